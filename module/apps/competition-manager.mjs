@@ -0,0 +1,423 @@
+/**
+ * ============================================================================
+ * DEATH CAP SAUTE - Competition Manager (ApplicationV2)
+ * ============================================================================
+ *
+ * A GM tool for running the whole competition from one window instead of
+ * opening every restaurant sheet in turn.
+ *
+ * WHAT IT HOLDS:
+ * The competition lives in the "competition" world setting:
+ *   { participants: [actorId, ...], location: "saltyDesert", phase: "dice" }
+ * Every GM sees the same state, and the window re-renders when it changes.
+ *
+ * HOW A ROUND IS RUN:
+ * 1. Pick the location - every participant's currentChallenge moves there
+ *    and a new round starts (clearing shared round modifiers)
+ * 2. Step through the phases in CONFIG.DCS.competitionPhases. "Run Phase"
+ *    does the work for every participant using the actor methods the sheet
+ *    buttons use (introduceLocation, rollShroompTable, rollChallengeDice,
+ *    rollHazardTable, completeChallenge) and moves on to the next phase
+ * 3. "Next Location" starts the following challenge
+ * 4. After the final challenge, award the end-game bonuses and roll the
+ *    Wild Shroomp
+ *
+ * The status table shows where each restaurant is in the current challenge,
+ * so the GM can see who still has to assign their dice.
+ */
+
+import { SYSTEM_ID } from "../helpers/settings.mjs";
+import { getLocationOrder, getNextLocationKey } from "../helpers/locations.mjs";
+import { advanceRound } from "../helpers/round.mjs";
+import { awardCategoryBonuses } from "../helpers/end-game.mjs";
+import { getRollModeFromEvent } from "../helpers/chat-cards.mjs";
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+/**
+ * The phases roll for everyone at the table and write the results into the
+ * sheets, so they are always public, whatever the GM's chat roll mode.
+ */
+const PHASE_ROLL_MODE = CONST.DICE_ROLL_MODES.PUBLIC;
+
+export class CompetitionManager extends HandlebarsApplicationMixin(ApplicationV2) {
+
+  // ==========================================================================
+  // STATIC CONFIGURATION
+  // ==========================================================================
+
+  static DEFAULT_OPTIONS = {
+    id: "dcs-competition",
+    classes: ["death-cap-saute", "competition-manager"],
+    window: {
+      title: "DCS.Competition.Title",
+      icon: "fas fa-trophy",
+      resizable: true
+    },
+    position: {
+      width: 600,
+      height: "auto"
+    },
+    actions: {
+      toggleParticipant: CompetitionManager.#onToggleParticipant,
+      setPhase: CompetitionManager.#onSetPhase,
+      runPhase: CompetitionManager.#onRunPhase,
+      nextLocation: CompetitionManager.#onNextLocation,
+      awardBonuses: CompetitionManager.#onAwardBonuses,
+      rollWildShroomp: CompetitionManager.#onRollWildShroomp,
+      openSheet: CompetitionManager.#onOpenSheet
+    }
+  };
+
+  static PARTS = {
+    manager: {
+      template: "systems/death-cap-saute/templates/apps/competition-manager.hbs"
+    }
+  };
+
+  /**
+   * Open the Competition window (GM only), or bring it to the front.
+   * @returns {CompetitionManager|null}
+   */
+  static open() {
+    if (!game.user.isGM) {
+      ui.notifications.warn(game.i18n.localize("DCS.Competition.GMOnly"));
+      return null;
+    }
+    const app = foundry.applications.instances.get("dcs-competition") ?? new CompetitionManager();
+    app.render(true);
+    return app;
+  }
+
+  // ==========================================================================
+  // STATE
+  // ==========================================================================
+
+  /**
+   * The stored competition state.
+   * @type {{participants: string[], location: string, phase: string}}
+   */
+  get state() {
+    return game.settings.get(SYSTEM_ID, "competition");
+  }
+
+  /**
+   * Participating restaurants that still exist in the world.
+   * @type {Actor[]}
+   */
+  get participants() {
+    return this.state.participants.map(id => game.actors.get(id)).filter(a => a?.type === "restaurant");
+  }
+
+  /**
+   * Save part of the competition state.
+   * @param {Object} changes - Fields to change
+   * @returns {Promise}
+   */
+  async #save(changes) {
+    return game.settings.set(SYSTEM_ID, "competition", { ...this.state, ...changes });
+  }
+
+  /**
+   * True while a phase is running, so a double click can't roll twice.
+   * @type {boolean}
+   */
+  #busy = false;
+
+  // ==========================================================================
+  // DATA PREPARATION
+  // ==========================================================================
+
+  /**
+   * Build the template context: all restaurants (with a participation
+   * checkbox), the locations, the phase list and per-restaurant status.
+   *
+   * @param {object} options - Rendering options
+   * @returns {Promise<object>} The template context
+   */
+  async _prepareContext(options) {
+    const context = await super._prepareContext(options);
+    const { participants, location, phase } = this.state;
+    const phaseKeys = Object.keys(CONFIG.DCS.competitionPhases);
+    const phaseIndex = phaseKeys.indexOf(phase);
+
+    context.restaurants = game.actors.filter(a => a.type === "restaurant").map(actor => ({
+      id: actor.id,
+      name: actor.name,
+      participating: participants.includes(actor.id)
+    }));
+
+    context.locations = getLocationOrder()
+      .map(key => ({ key, label: CONFIG.DCS.locations[key].label, selected: key === location }));
+    context.location = CONFIG.DCS.locations[location] ?? null;
+    context.nextLocation = location ? CONFIG.DCS.locations[getNextLocationKey(location)] ?? null : null;
+
+    context.phases = phaseKeys.map((key, index) => ({
+      key,
+      ...CONFIG.DCS.competitionPhases[key],
+      current: key === phase,
+      done: index < phaseIndex
+    }));
+    context.phase = CONFIG.DCS.competitionPhases[phase];
+    context.busy = this.#busy;
+
+    context.status = location ? this.participants.map(actor => this.#challengeStatus(actor, location)) : [];
+    context.hasParticipants = this.participants.length > 0;
+    // End-game scoring is offered once the final challenge is under way
+    context.finalChallenge = !!location && !getNextLocationKey(location);
+    return context;
+  }
+
+  /**
+   * Summarise where a restaurant is in a challenge.
+   *
+   * @param {Actor} actor - The restaurant
+   * @param {string} locationKey - The active location
+   * @returns {Object} Display data for one row of the status table
+   */
+  #challengeStatus(actor, locationKey) {
+    const challenge = actor.system.challenges?.[locationKey] ?? {};
+    const assigned = Object.keys(CONFIG.DCS.diceSlots).every(slot => challenge[slot]);
+
+    let dice = "";
+    if (challenge.dicePool?.length) dice = game.i18n.localize("DCS.Competition.WaitingToAssign");
+    else if (assigned) dice = game.i18n.format("DCS.Competition.Dish", { total: (challenge.presentation || 0) + (challenge.flavor || 0) + (challenge.originality || 0) });
+
+    let hazard = challenge.hazardName || "";
+    if (challenge.hazardResolved) {
+      hazard += ` (${game.i18n.localize(challenge.survivedHazard ? "DCS.Competition.Survived" : "DCS.Competition.Failed")})`;
+    }
+
+    return {
+      id: actor.id,
+      name: actor.name,
+      theme: challenge.dishTheme || "",
+      dice,
+      hazard,
+      completed: !!challenge.completed
+    };
+  }
+
+  // ==========================================================================
+  // RENDERING
+  // ==========================================================================
+
+  /**
+   * Id of our "updateActor" hook, so it can be removed on close.
+   * @type {number|null}
+   */
+  #updateHook = null;
+
+  /** @override */
+  _onFirstRender(context, options) {
+    super._onFirstRender(context, options);
+    // Keep the status table current as players assign dice etc.
+    this.#updateHook = Hooks.on("updateActor", actor => {
+      if (this.state.participants.includes(actor.id)) this.render();
+    });
+  }
+
+  /** @override */
+  _onClose(options) {
+    super._onClose(options);
+    Hooks.off("updateActor", this.#updateHook);
+    this.#updateHook = null;
+  }
+
+  /**
+   * The location select changes the active location straight away.
+   *
+   * @param {object} context - The prepared context
+   * @param {object} options - Rendering options
+   */
+  _onRender(context, options) {
+    super._onRender(context, options);
+    this.element.querySelector("select[name='location']")?.addEventListener("change", event => {
+      this.startLocation(event.target.value);
+    });
+  }
+
+  // ==========================================================================
+  // COMPETITION STEPS
+  // ==========================================================================
+
+  /**
+   * Move the competition to a location: every participant's current
+   * challenge follows, the phase resets and a new round begins.
+   *
+   * @param {string} locationKey - The location key
+   */
+  async startLocation(locationKey) {
+    if (!CONFIG.DCS.locations[locationKey]) return;
+    await this.#save({ location: locationKey, phase: "introduce" });
+    for (const actor of this.participants) {
+      await actor.update({ "system.currentChallenge": locationKey });
+    }
+    await advanceRound(locationKey);
+  }
+
+  /**
+   * Run a phase for every participant.
+   *
+   * @param {string} phase - A key of CONFIG.DCS.competitionPhases
+   */
+  async runPhase(phase) {
+    const { location } = this.state;
+    const actors = this.participants;
+    if (!location) {
+      ui.notifications.warn(game.i18n.localize("DCS.Competition.NoLocation"));
+      return;
+    }
+    if (phase !== "introduce" && !actors.length) {
+      ui.notifications.warn(game.i18n.localize("DCS.Competition.NoParticipants"));
+      return;
+    }
+
+    switch (phase) {
+      case "introduce":
+        await game.deathcapsaute.introduceLocation(location);
+        break;
+
+      case "theme":
+        for (const actor of actors) {
+          const entry = await actor.rollShroompTable(location, { rollMode: PHASE_ROLL_MODE });
+          if (entry) await actor.applyShroompResult(location, entry);
+        }
+        break;
+
+      case "dice":
+        for (const actor of actors) await actor.rollChallengeDice(location, { rollMode: PHASE_ROLL_MODE });
+        break;
+
+      case "hazard":
+        for (const actor of actors) await actor.rollHazardTable(location, 0, { rollMode: PHASE_ROLL_MODE });
+        break;
+
+      case "judge":
+        for (const actor of actors) await actor.completeChallenge(location, true);
+        await this.#postJudging(location, actors);
+        break;
+    }
+  }
+
+  /**
+   * Post every dish of the challenge to chat, best first, for the judge.
+   *
+   * @param {string} locationKey - The location key
+   * @param {Actor[]} actors - The participants
+   */
+  async #postJudging(locationKey, actors) {
+    const location = CONFIG.DCS.locations[locationKey];
+    const rows = actors.map(actor => {
+      const c = actor.system.challenges[locationKey];
+      return { actor, c, total: c.dishTotal };
+    }).sort((a, b) => b.total - a.total);
+
+    // Restaurant names and dish themes are typed by players, so they are escaped
+    const escape = Handlebars.escapeExpression;
+    const content = `
+      <div class="dcs-roll competition-judging">
+        <h3>${game.i18n.format("DCS.Competition.Judging", { location: location.label })}</h3>
+        <p><em>${game.i18n.format("DCS.Competition.Tastes", { judge: location.judge })}</em></p>
+        <ol>
+          ${rows.map(({ actor, c, total }) => `
+            <li><strong>${escape(actor.name)}</strong>: ${escape(c.dishTheme || game.i18n.localize("DCS.Competition.MysteryDish"))} -
+              ${total} (P${c.presentation || 0} / F${c.flavor || 0} / O${c.originality || 0})
+              ${c.earnedShroomp ? `<i class="fas fa-seedling" title="${game.i18n.localize("DCS.Sheet.EarnedShroomp")}"></i>` : ''}
+              ${c.hazardResolved && !c.survivedHazard ? `<i class="fas fa-skull" title="${game.i18n.localize("DCS.Competition.FailedHazard")}"></i>` : ''}
+            </li>`).join('')}
+        </ol>
+      </div>
+    `;
+    await ChatMessage.create({ content });
+  }
+
+  // ==========================================================================
+  // ACTION HANDLERS
+  // ==========================================================================
+
+  /**
+   * Add or remove a restaurant from the competition. A restaurant that
+   * joins mid-competition moves to the active location.
+   * @param {PointerEvent} event - The click event
+   * @param {HTMLElement} target - The checkbox
+   */
+  static async #onToggleParticipant(event, target) {
+    const id = target.dataset.actorId;
+    const participants = this.state.participants.filter(p => p !== id);
+    if (target.checked) {
+      participants.push(id);
+      const { location } = this.state;
+      if (location) await game.actors.get(id)?.update({ "system.currentChallenge": location });
+    }
+    await this.#save({ participants });
+  }
+
+  /**
+   * Jump to a phase without running the ones in between.
+   * @param {PointerEvent} event - The click event
+   * @param {HTMLElement} target - The phase element
+   */
+  static async #onSetPhase(event, target) {
+    await this.#save({ phase: target.dataset.phase });
+  }
+
+  /**
+   * Run the current phase for everyone, then move on to the next one.
+   */
+  static async #onRunPhase() {
+    if (this.#busy) return;
+    this.#busy = true;
+    this.render();
+    try {
+      const { phase } = this.state;
+      await this.runPhase(phase);
+      const phases = Object.keys(CONFIG.DCS.competitionPhases);
+      const next = phases[phases.indexOf(phase) + 1];
+      if (next) await this.#save({ phase: next });
+    } finally {
+      this.#busy = false;
+      this.render();
+    }
+  }
+
+  /**
+   * Start the challenge at the next location.
+   */
+  static async #onNextLocation() {
+    const next = getNextLocationKey(this.state.location);
+    if (!next) {
+      ui.notifications.info(game.i18n.localize("DCS.Competition.FinalChallenge"));
+      return;
+    }
+    await this.startLocation(next);
+  }
+
+  /**
+   * Award the end-game category bonuses to the participants.
+   */
+  static async #onAwardBonuses() {
+    await awardCategoryBonuses();
+  }
+
+  /**
+   * Roll the Wild Shroomp. The winner is worked out across all participants,
+   * so it doesn't matter whose roll it is; we use the first participant.
+   * Modifier keys pick the roll mode, like the sheet's roll buttons.
+   * @param {PointerEvent} event - The click event
+   */
+  static async #onRollWildShroomp(event) {
+    const [actor] = this.participants;
+    if (!actor) return ui.notifications.warn(game.i18n.localize("DCS.Competition.NoParticipants"));
+    await actor.rollWildShroomp({ rollMode: getRollModeFromEvent(event) });
+  }
+
+  /**
+   * Open a participant's sheet.
+   * @param {PointerEvent} event - The click event
+   * @param {HTMLElement} target - The element with data-actor-id
+   */
+  static #onOpenSheet(event, target) {
+    game.actors.get(target.dataset.actorId)?.sheet.render(true);
+  }
+}
@@ -0,0 +1,285 @@
+/**
+ * ============================================================================
+ * DEATH CAP SAUTE - Dice Assignment Dialog (ApplicationV2)
+ * ============================================================================
+ *
+ * After a restaurant rolls its 5d6 Challenge Dice, this dialog lets the player
+ * place each die into one of the five slots of the challenge:
+ * Presentation, Flavor, Originality, Hazard 1 and Hazard 2.
+ *
+ * HOW IT WORKS:
+ * - The dice come from the challenge's pending "dicePool" on the actor
+ * - Click a die, then click a slot to place it (or drag the die onto the slot)
+ * - Clicking a filled slot returns its die to the pool
+ * - Dish and Hazard totals update live as dice are placed
+ * - "Confirm" is only enabled once all five dice are placed, and writes the
+ *   values through DCSActor.assignChallengeDice()
+ *
+ * The dialog registers itself in actor.apps, so if the pool changes while it
+ * is open (for example a Mutation re-rolls a die) it re-renders automatically.
+ */
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+export class DiceAssignmentDialog extends HandlebarsApplicationMixin(ApplicationV2) {
+
+  /**
+   * @param {Object} options
+   * @param {Actor} options.actor - The restaurant the dice belong to
+   * @param {string} options.location - The challenge (location key) being assigned
+   */
+  constructor({ actor, location, ...options } = {}) {
+    super(options);
+    this.actor = actor;
+    this.location = location;
+    this.#clearSlots();
+  }
+
+  // ==========================================================================
+  // STATIC CONFIGURATION
+  // ==========================================================================
+
+  static DEFAULT_OPTIONS = {
+    classes: ["death-cap-saute", "dice-assignment"],
+    window: {
+      title: "DCS.DiceAssignment.Title",
+      icon: "fas fa-dice"
+    },
+    position: {
+      width: 520,
+      height: "auto"
+    },
+    actions: {
+      selectDie: DiceAssignmentDialog.#onSelectDie,
+      placeDie: DiceAssignmentDialog.#onPlaceDie,
+      resetDice: DiceAssignmentDialog.#onResetDice,
+      confirm: DiceAssignmentDialog.#onConfirm
+    }
+  };
+
+  static PARTS = {
+    dialog: {
+      template: "systems/death-cap-saute/templates/apps/dice-assignment.hbs"
+    }
+  };
+
+  /**
+   * Open the dialog for a restaurant's challenge, or bring an already open
+   * one to the front. Using a fixed id per actor and location means the same
+   * dice can't be assigned from two windows at once.
+   *
+   * @param {Actor} actor - The restaurant actor
+   * @param {string} location - The location key of the challenge
+   * @returns {DiceAssignmentDialog} The rendered dialog
+   */
+  static open(actor, location) {
+    const id = `dcs-dice-assignment-${actor.id}-${location}`;
+    const app = foundry.applications.instances.get(id)
+      ?? new DiceAssignmentDialog({ id, actor, location });
+    app.render(true);
+    return app;
+  }
+
+  // ==========================================================================
+  // STATE
+  // ==========================================================================
+
+  /**
+   * Which die (by its index in the pool) sits in each slot, or null if empty.
+   * @type {Object<string, number|null>}
+   */
+  #slots = {};
+
+  /**
+   * The die index currently picked up by a click, waiting to be placed.
+   * @type {number|null}
+   */
+  #selected = null;
+
+  /**
+   * Size of the pool when the slots were last reset. If the pool is re-rolled
+   * to a different size, the old placements no longer make sense.
+   * @type {number}
+   */
+  #poolSize = 0;
+
+  /**
+   * The pending dice for this challenge, read fresh from the actor each time.
+   * @type {number[]}
+   */
+  get dice() {
+    return this.actor.system.challenges?.[this.location]?.dicePool || [];
+  }
+
+  /** @override */
+  get title() {
+    const location = CONFIG.DCS.locations[this.location];
+    return `${game.i18n.localize(this.options.window.title)}: ${this.actor.name} - ${location?.label ?? this.location}`;
+  }
+
+  /**
+   * Empty every slot and drop the current selection.
+   */
+  #clearSlots() {
+    this.#slots = Object.fromEntries(Object.keys(CONFIG.DCS.diceSlots).map(slot => [slot, null]));
+    this.#selected = null;
+  }
+
+  // ==========================================================================
+  // DATA PREPARATION
+  // ==========================================================================
+
+  /**
+   * Build the context for the template: the dice pool, the five slots and
+   * the live Dish / Hazard totals.
+   *
+   * @param {object} options - Rendering options
+   * @returns {Promise<object>} The template context
+   */
+  async _prepareContext(options) {
+    const context = await super._prepareContext(options);
+    const dice = this.dice;
+
+    if (dice.length !== this.#poolSize) {
+      this.#poolSize = dice.length;
+      this.#clearSlots();
+    }
+
+    // Indices of dice that are already placed in a slot
+    const placed = new Set(Object.values(this.#slots).filter(i => i !== null));
+
+    context.dice = dice.map((value, index) => ({
+      index,
+      value,
+      placed: placed.has(index),
+      selected: this.#selected === index
+    }));
+
+    let dishTotal = 0;
+    let hazardTotal = 0;
+    context.slots = Object.entries(CONFIG.DCS.diceSlots).map(([key, slot]) => {
+      const dieIndex = this.#slots[key];
+      const value = dieIndex === null ? null : dice[dieIndex];
+      if (value !== null) {
+        if (slot.hazard) hazardTotal += value;
+        else dishTotal += value;
+      }
+      return { key, label: slot.label, hazard: slot.hazard, value, filled: value !== null };
+    });
+
+    context.hasDice = dice.length > 0;
+    context.dishTotal = dishTotal;
+    context.hazardTotal = hazardTotal;
+    context.complete = context.hasDice && context.slots.every(s => s.filled);
+    return context;
+  }
+
+  // ==========================================================================
+  // RENDERING
+  // ==========================================================================
+
+  /** @override */
+  _onFirstRender(context, options) {
+    super._onFirstRender(context, options);
+    // Re-render whenever the actor changes (e.g. a Mutation alters the pool)
+    this.actor.apps[this.id] = this;
+  }
+
+  /** @override */
+  _onClose(options) {
+    super._onClose(options);
+    delete this.actor.apps[this.id];
+  }
+
+  /**
+   * Wire up native drag-and-drop. Clicking is handled by the actions above;
+   * dragging a die onto a slot does the same thing as click-then-click.
+   *
+   * @param {object} context - The prepared context
+   * @param {object} options - Rendering options
+   */
+  _onRender(context, options) {
+    super._onRender(context, options);
+    const html = this.element;
+
+    html.querySelectorAll(".dice-pool .die[draggable='true']").forEach(die => {
+      die.addEventListener("dragstart", event => {
+        event.dataTransfer.setData("text/plain", die.dataset.index);
+      });
+    });
+
+    html.querySelectorAll(".dice-slot").forEach(slot => {
+      slot.addEventListener("dragover", event => event.preventDefault());
+      slot.addEventListener("drop", event => {
+        event.preventDefault();
+        const index = parseInt(event.dataTransfer.getData("text/plain"));
+        if (Number.isNaN(index)) return;
+        this.#place(slot.dataset.slot, index);
+      });
+    });
+  }
+
+  /**
+   * Put a die into a slot. A die can only be in one slot, so it is first
+   * removed from wherever it was before.
+   *
+   * @param {string} slot - The slot key
+   * @param {number} index - The die index in the pool
+   */
+  #place(slot, index) {
+    for (const [key, value] of Object.entries(this.#slots)) {
+      if (value === index) this.#slots[key] = null;
+    }
+    this.#slots[slot] = index;
+    this.#selected = null;
+    this.render();
+  }
+
+  // ==========================================================================
+  // ACTION HANDLERS
+  // ==========================================================================
+
+  /**
+   * Pick up (or put back down) a die from the pool.
+   * @param {PointerEvent} event - The click event
+   * @param {HTMLElement} target - The die element
+   */
+  static #onSelectDie(event, target) {
+    const index = parseInt(target.dataset.index);
+    this.#selected = this.#selected === index ? null : index;
+    this.render();
+  }
+
+  /**
+   * Click on a slot: place the selected die, or empty the slot if no die
+   * is selected.
+   * @param {PointerEvent} event - The click event
+   * @param {HTMLElement} target - The slot element
+   */
+  static #onPlaceDie(event, target) {
+    const slot = target.dataset.slot;
+    if (this.#selected !== null) return this.#place(slot, this.#selected);
+    this.#slots[slot] = null;
+    this.render();
+  }
+
+  /**
+   * Return every die to the pool.
+   */
+  static #onResetDice() {
+    this.#clearSlots();
+    this.render();
+  }
+
+  /**
+   * Save the assignment to the actor and close the dialog.
+   */
+  static async #onConfirm() {
+    const dice = this.dice;
+    const assignment = Object.fromEntries(
+      Object.entries(this.#slots).map(([slot, index]) => [slot, index === null ? null : dice[index]])
+    );
+    const saved = await this.actor.assignChallengeDice(this.location, assignment);
+    if (saved) await this.close();
+  }
+}
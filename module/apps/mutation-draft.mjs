@@ -0,0 +1,196 @@
+/**
+ * ============================================================================
+ * DEATH CAP SAUTE - Mutation Draft (ApplicationV2)
+ * ============================================================================
+ *
+ * The window for the Mutation snake draft (see helpers/draft.mjs).
+ *
+ * WHAT IT SHOWS:
+ * - Lobby: the restaurants that joined from the creation wizard. The GM
+ *   starts the draft from here once everyone is in.
+ * - Running: the draft order, whose turn it is and the pool. Owners of the
+ *   restaurant whose turn it is click a Mutation to pick it.
+ * - Done: every chef has a Mutation.
+ *
+ * Everyone sees the same draft, and the window re-renders when the
+ * "mutationDraft" setting or one of the restaurants changes. Players get it
+ * opened for them when the GM starts the draft.
+ */
+
+import {
+  cancelDraft, getCurrentTurn, getDraftRestaurants, getDraftState, getOpenChefs, pickMutation, startDraft
+} from "../helpers/draft.mjs";
+import { getMutationChoices } from "../helpers/mutation-items.mjs";
+
+const { ApplicationV2, DialogV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+export class MutationDraft extends HandlebarsApplicationMixin(ApplicationV2) {
+
+  // ==========================================================================
+  // STATIC CONFIGURATION
+  // ==========================================================================
+
+  static DEFAULT_OPTIONS = {
+    id: "dcs-mutation-draft",
+    classes: ["death-cap-saute", "mutation-draft"],
+    window: {
+      title: "DCS.Draft.Title",
+      icon: "fas fa-people-arrows",
+      resizable: true
+    },
+    position: {
+      width: 560,
+      height: "auto"
+    },
+    actions: {
+      start: MutationDraft.#onStart,
+      cancel: MutationDraft.#onCancel,
+      pick: MutationDraft.#onPick,
+      openSheet: MutationDraft.#onOpenSheet
+    }
+  };
+
+  static PARTS = {
+    draft: {
+      template: "systems/death-cap-saute/templates/apps/mutation-draft.hbs"
+    }
+  };
+
+  /**
+   * Open the draft window, or bring it to the front.
+   * @returns {MutationDraft}
+   */
+  static open() {
+    const app = foundry.applications.instances.get("dcs-mutation-draft") ?? new MutationDraft();
+    app.render(true);
+    return app;
+  }
+
+  /**
+   * True while a pick is on its way, so a double click can't pick twice.
+   * @type {boolean}
+   */
+  #busy = false;
+
+  // ==========================================================================
+  // DATA PREPARATION
+  // ==========================================================================
+
+  /**
+   * Build the template context: the draft status, the restaurants with
+   * their chefs and the pool.
+   *
+   * @param {object} options - Rendering options
+   * @returns {Promise<object>} The template context
+   */
+  async _prepareContext(options) {
+    const context = await super._prepareContext(options);
+    const state = getDraftState();
+    const turn = getCurrentTurn(state);
+    const choices = await getMutationChoices();
+    const labels = Object.fromEntries(choices.map(c => [c.key, c.label]));
+
+    context.status = state.status;
+    context.isGM = game.user.isGM;
+    context.restaurants = getDraftRestaurants(state).map(actor => ({
+      id: actor.id,
+      name: actor.name,
+      current: turn?.actor === actor,
+      open: getOpenChefs(actor).length,
+      chefs: actor.system.teamMembers.map((m, i) => ({
+        name: m.name || game.i18n.format("DCS.Wizard.ChefPlaceholder", { number: i + 1 }),
+        mutation: labels[m.mutation] ?? m.mutation,
+        alive: m.alive
+      }))
+    }));
+
+    context.turn = turn ? { name: turn.actor.name, mine: turn.actor.isOwner } : null;
+    const owned = new Set(turn?.actor.system.teamMembers.map(m => m.mutation));
+    context.pool = state.pool.map(key => {
+      const choice = choices.find(c => c.key === key);
+      return {
+        key,
+        label: choice?.label ?? key,
+        img: choice?.img,
+        description: choice?.description ?? "",
+        disabled: !context.turn?.mine || owned.has(key) || this.#busy
+      };
+    });
+    return context;
+  }
+
+  // ==========================================================================
+  // RENDERING
+  // ==========================================================================
+
+  /**
+   * Id of our "updateActor" hook, so it can be removed on close.
+   * @type {number|null}
+   */
+  #updateHook = null;
+
+  /** @override */
+  _onFirstRender(context, options) {
+    super._onFirstRender(context, options);
+    // Chef names and Mutations change on the restaurants themselves
+    this.#updateHook = Hooks.on("updateActor", actor => {
+      if (getDraftState().restaurants.includes(actor.id)) this.render();
+    });
+  }
+
+  /** @override */
+  _onClose(options) {
+    super._onClose(options);
+    Hooks.off("updateActor", this.#updateHook);
+    this.#updateHook = null;
+  }
+
+  // ==========================================================================
+  // ACTION HANDLERS
+  // ==========================================================================
+
+  /**
+   * Start the draft with the restaurants in the lobby (GM only).
+   */
+  static async #onStart() {
+    await startDraft();
+  }
+
+  /**
+   * End the draft. Mutations picked so far stay with their chefs.
+   */
+  static async #onCancel() {
+    const confirmed = await DialogV2.confirm({
+      window: { title: "DCS.Draft.Cancel" },
+      content: `<p>${game.i18n.localize("DCS.Draft.CancelConfirm")}</p>`
+    });
+    if (confirmed) await cancelDraft();
+  }
+
+  /**
+   * Pick a Mutation from the pool for the restaurant whose turn it is.
+   * @param {PointerEvent} event - The click event
+   * @param {HTMLElement} target - The element with data-key
+   */
+  static async #onPick(event, target) {
+    const turn = getCurrentTurn();
+    if (this.#busy || !turn?.actor.isOwner) return;
+    this.#busy = true;
+    this.render();
+    try {
+      await pickMutation(turn.actor, target.dataset.key);
+    } finally {
+      this.#busy = false;
+      this.render();
+    }
+  }
+
+  /**
+   * Open a restaurant's sheet.
+   * @param {PointerEvent} event - The click event
+   * @param {HTMLElement} target - The element with data-actor-id
+   */
+  static #onOpenSheet(event, target) {
+    game.actors.get(target.dataset.actorId)?.sheet.render(true);
+  }
+}
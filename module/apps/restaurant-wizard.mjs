@@ -0,0 +1,371 @@
+/**
+ * ============================================================================
+ * DEATH CAP SAUTE - Restaurant Creation Wizard (ApplicationV2)
+ * ============================================================================
+ *
+ * New restaurants start with three blank team members (see template.json).
+ * This wizard opens for the user who created the restaurant and walks them
+ * through setting it up:
+ * 1. Name the restaurant
+ * 2. Name the three chefs
+ * 3. Give each chef a Mutation, in one of three ways:
+ *    - Choose: pick a Mutation per chef
+ *    - Random: deal out Mutations at random, and re-roll until happy
+ *    - Draft: join the snake draft with the other players (see
+ *      helpers/draft.mjs and apps/mutation-draft.mjs)
+ *
+ * Every chef on a team has a different Mutation. Choosing offers only the
+ * Mutations no other chef has, random deals never repeat, and the draft
+ * checks every pick. assignMutation() enforces it again when saving.
+ *
+ * The dice next to the names roll random ones (see helpers/names.mjs).
+ *
+ * Nothing is saved until "Finish". "Skip" closes the wizard and leaves the
+ * restaurant as it is; it can be reopened with:
+ *   game.deathcapsaute.RestaurantWizard.open(actor)
+ * The wizard can be turned off with the "Restaurant creation wizard" setting.
+ */
+
+import { assignMutation, getMutationChoiceItem, getMutationChoices } from "../helpers/mutation-items.mjs";
+import { getDraftState, joinDraft, shuffle } from "../helpers/draft.mjs";
+import { generateName } from "../helpers/names.mjs";
+import { MutationDraft } from "./mutation-draft.mjs";
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+/**
+ * The wizard's steps, in order.
+ */
+const STEPS = ["name", "chefs", "mutations"];
+
+/**
+ * The ways of giving out Mutations.
+ */
+const MODES = ["choose", "random", "draft"];
+
+export class RestaurantWizard extends HandlebarsApplicationMixin(ApplicationV2) {
+
+  /**
+   * @param {Object} options
+   * @param {Actor} options.actor - The restaurant being set up
+   */
+  constructor({ actor, ...options } = {}) {
+    super(options);
+    this.actor = actor;
+    this.#name = actor.name;
+    this.#chefs = actor.system.teamMembers.map(m => m.name);
+    this.#picks = actor.system.teamMembers.map(m => (m.alive ? m.mutation || "" : ""));
+  }
+
+  // ==========================================================================
+  // STATIC CONFIGURATION
+  // ==========================================================================
+
+  static DEFAULT_OPTIONS = {
+    classes: ["death-cap-saute", "restaurant-wizard"],
+    window: {
+      title: "DCS.Wizard.Title",
+      icon: "fas fa-hat-chef"
+    },
+    position: {
+      width: 480,
+      height: "auto"
+    },
+    actions: {
+      back: RestaurantWizard.#onBack,
+      next: RestaurantWizard.#onNext,
+      rollName: RestaurantWizard.#onRollName,
+      setMode: RestaurantWizard.#onSetMode,
+      randomize: RestaurantWizard.#onRandomize,
+      finish: RestaurantWizard.#onFinish,
+      skip: RestaurantWizard.#onSkip
+    }
+  };
+
+  static PARTS = {
+    wizard: {
+      template: "systems/death-cap-saute/templates/apps/restaurant-wizard.hbs"
+    }
+  };
+
+  /**
+   * Open the wizard for a restaurant, or bring its open wizard to the front.
+   *
+   * @param {Actor} actor - The restaurant actor
+   * @returns {RestaurantWizard|null}
+   */
+  static open(actor) {
+    if (actor?.type !== "restaurant" || !actor.isOwner) return null;
+    const id = `dcs-restaurant-wizard-${actor.id}`;
+    const app = foundry.applications.instances.get(id) ?? new RestaurantWizard({ id, actor });
+    app.render(true);
+    return app;
+  }
+
+  // ==========================================================================
+  // STATE
+  // ==========================================================================
+
+  /** @type {string} The current step, one of STEPS */
+  #step = STEPS[0];
+
+  /** @type {string} The restaurant name typed so far */
+  #name = "";
+
+  /** @type {string[]} The chef names typed so far */
+  #chefs = [];
+
+  /** @type {string} How Mutations are given out, one of MODES */
+  #mode = MODES[0];
+
+  /** @type {string[]} The mutation key picked for each chef ("" for none) */
+  #picks = [];
+
+  /** @type {boolean} True while saving, so "Finish" can't run twice */
+  #busy = false;
+
+  /** @override */
+  get title() {
+    return `${game.i18n.localize(this.options.window.title)}: ${this.#name || this.actor.name}`;
+  }
+
+  // ==========================================================================
+  // DATA PREPARATION
+  // ==========================================================================
+
+  /**
+   * Build the template context for the current step.
+   *
+   * @param {object} options - Rendering options
+   * @returns {Promise<object>} The template context
+   */
+  async _prepareContext(options) {
+    const context = await super._prepareContext(options);
+    const stepIndex = STEPS.indexOf(this.#step);
+    const choices = await getMutationChoices();
+    const labels = Object.fromEntries(choices.map(c => [c.key, c.label]));
+
+    context.step = this.#step;
+    context.steps = STEPS.map((key, index) => ({
+      key,
+      label: `DCS.Wizard.Step.${key}`,
+      current: index === stepIndex,
+      done: index < stepIndex
+    }));
+    context.first = stepIndex === 0;
+    context.last = stepIndex === STEPS.length - 1;
+    context.busy = this.#busy;
+
+    context.name = this.#name;
+    context.mode = this.#mode;
+    context.modes = MODES.map(key => ({
+      key,
+      label: `DCS.Wizard.Mode.${key}`,
+      hint: `DCS.Wizard.Mode.${key}Hint`,
+      active: key === this.#mode
+    }));
+    context.draftRunning = getDraftState().status === "running";
+
+    context.chefs = this.#chefs.map((name, index) => {
+      const pick = this.#picks[index];
+      const takenByOthers = new Set(this.#picks.filter((p, i) => p && i !== index));
+      return {
+        index,
+        name,
+        placeholder: game.i18n.format("DCS.Wizard.ChefPlaceholder", { number: index + 1 }),
+        alive: this.actor.system.teamMembers[index]?.alive ?? true,
+        pick,
+        pickLabel: labels[pick] ?? "",
+        options: choices.map(c => ({
+          key: c.key,
+          label: c.label,
+          selected: c.key === pick,
+          disabled: takenByOthers.has(c.key)
+        }))
+      };
+    });
+    return context;
+  }
+
+  // ==========================================================================
+  // RENDERING
+  // ==========================================================================
+
+  /**
+   * Keep the typed names and the chosen Mutations in the wizard's state,
+   * so they survive going back and forth between steps.
+   *
+   * @param {object} context - The prepared context
+   * @param {object} options - Rendering options
+   */
+  _onRender(context, options) {
+    super._onRender(context, options);
+    this.element.querySelector("input[name='name']")?.addEventListener("input", event => {
+      this.#name = event.target.value;
+    });
+    for (const input of this.element.querySelectorAll("input[data-chef]")) {
+      input.addEventListener("input", event => {
+        this.#chefs[Number(event.target.dataset.chef)] = event.target.value;
+      });
+    }
+    for (const select of this.element.querySelectorAll("select[data-chef]")) {
+      // Re-render so the other chefs' lists drop the chosen Mutation
+      select.addEventListener("change", event => {
+        this.#picks[Number(event.target.dataset.chef)] = event.target.value;
+        this.render();
+      });
+    }
+  }
+
+  // ==========================================================================
+  // MUTATIONS
+  // ==========================================================================
+
+  /**
+   * The indices of the chefs who can be given a Mutation. Dead chefs can't,
+   * should the wizard be reopened mid-competition.
+   * @type {number[]}
+   */
+  get #livingChefs() {
+    return this.actor.system.teamMembers.flatMap((m, i) => (m.alive ? [i] : []));
+  }
+
+  /**
+   * Deal a different random Mutation to every living chef.
+   * @returns {Promise<void>}
+   */
+  async #dealRandom() {
+    const keys = shuffle((await getMutationChoices()).map(c => c.key));
+    this.#picks = this.#chefs.map(() => "");
+    for (const index of this.#livingChefs) this.#picks[index] = keys.pop() ?? "";
+  }
+
+  /**
+   * Why the chosen Mutations can't be saved, if they can't.
+   * @returns {string|undefined} The warning, or nothing if they are fine
+   */
+  #validatePicks() {
+    const picks = this.#livingChefs.map(i => this.#picks[i]);
+    if (picks.some(p => !p)) return game.i18n.localize("DCS.Wizard.MissingMutation");
+    if (new Set(picks).size !== picks.length) return game.i18n.localize("DCS.Wizard.DuplicateMutation");
+  }
+
+  /**
+   * Save the name, the chef names and the Mutations to the restaurant.
+   * @returns {Promise<boolean>} True if everything was saved
+   */
+  async #save() {
+    const actor = this.actor;
+    const drafting = this.#mode === "draft";
+    if (!drafting) {
+      const error = this.#validatePicks();
+      if (error) {
+        ui.notifications.warn(error);
+        return false;
+      }
+    }
+
+    // Chosen Mutations replace the old ones, so clear those first: otherwise
+    // swapping two chefs' Mutations would look like a duplicate
+    const teamMembers = foundry.utils.deepClone(actor._teamMembersArray).map((member, index) => ({
+      ...member,
+      name: this.#chefs[index].trim(),
+      mutation: drafting ? member.mutation : ""
+    }));
+    await actor.update({ name: this.#name.trim() || actor.name, "system.teamMembers": teamMembers });
+
+    if (drafting) {
+      if (!(await joinDraft(actor))) return false;
+      MutationDraft.open();
+      return true;
+    }
+
+    for (const index of this.#livingChefs) {
+      const item = await getMutationChoiceItem(this.#picks[index]);
+      if (!item || !(await assignMutation(actor, index, item))) return false;
+    }
+    return true;
+  }
+
+  // ==========================================================================
+  // ACTION HANDLERS
+  // ==========================================================================
+
+  /**
+   * Go back a step.
+   */
+  static #onBack() {
+    this.#step = STEPS[Math.max(0, STEPS.indexOf(this.#step) - 1)];
+    this.render();
+  }
+
+  /**
+   * Go on to the next step.
+   */
+  static #onNext() {
+    this.#step = STEPS[Math.min(STEPS.length - 1, STEPS.indexOf(this.#step) + 1)];
+    this.render();
+  }
+
+  /**
+   * Roll a random restaurant name, or a chef name for a button with
+   * data-chef. Names the other chefs already have are avoided.
+   * @param {PointerEvent} event - The click event
+   * @param {HTMLElement} target - The dice button
+   */
+  static async #onRollName(event, target) {
+    const index = target.dataset.chef;
+    if (index === undefined) {
+      this.#name = (await generateName("restaurant")) || this.#name;
+    } else {
+      const name = await generateName("chef", { exclude: this.#chefs });
+      if (name) this.#chefs[Number(index)] = name;
+    }
+    this.render();
+  }
+
+  /**
+   * Change how Mutations are given out. Random deals straight away.
+   * @param {PointerEvent} event - The click event
+   * @param {HTMLElement} target - The element with data-mode
+   */
+  static async #onSetMode(event, target) {
+    const mode = target.dataset.mode;
+    if (!MODES.includes(mode) || mode === this.#mode) return;
+    this.#mode = mode;
+    if (mode === "random") await this.#dealRandom();
+    this.render();
+  }
+
+  /**
+   * Deal the random Mutations again.
+   */
+  static async #onRandomize() {
+    await this.#dealRandom();
+    this.render();
+  }
+
+  /**
+   * Save everything and close the wizard.
+   */
+  static async #onFinish() {
+    if (this.#busy) return;
+    this.#busy = true;
+    this.render();
+    let saved = false;
+    try {
+      saved = await this.#save();
+    } finally {
+      this.#busy = false;
+    }
+    if (saved) await this.close();
+    else this.render();
+  }
+
+  /**
+   * Close the wizard without changing the restaurant.
+   */
+  static #onSkip() {
+    this.close();
+  }
+}
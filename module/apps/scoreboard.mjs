@@ -0,0 +1,177 @@
+/**
+ * ============================================================================
+ * DEATH CAP SAUTE - Scoreboard (ApplicationV2)
+ * ============================================================================
+ *
+ * A live leaderboard of every restaurant in the world, so players don't have
+ * to open each other's sheets to compare the Totals tab.
+ *
+ * WHAT IT SHOWS (one row per restaurant):
+ * - The dish score at each location (Presentation + Flavor + Originality)
+ * - Presentation / Flavor / Originality totals and the Shroomp count
+ * - Which chefs are alive and which are dead
+ *
+ * STANDING:
+ * Restaurants are ranked by Shroomps, then by total dish score.
+ *
+ * LIVE UPDATES:
+ * The scoreboard listens to the "updateActor" hook and re-renders whenever
+ * a restaurant's challenges, end-game bonuses or team change. It also
+ * re-renders when restaurants are created or deleted, and when a restaurant
+ * gains or loses a Shroomp item.
+ */
+
+import { getLocationOrder } from "../helpers/locations.mjs";
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+/**
+ * The parts of a restaurant that appear on the scoreboard. An update that
+ * touches any of these re-renders it.
+ */
+const WATCHED_PATHS = ["system.challenges", "system.endGame", "system.teamMembers", "name"];
+
+export class Scoreboard extends HandlebarsApplicationMixin(ApplicationV2) {
+
+  // ==========================================================================
+  // STATIC CONFIGURATION
+  // ==========================================================================
+
+  static DEFAULT_OPTIONS = {
+    id: "dcs-scoreboard",
+    classes: ["death-cap-saute", "scoreboard"],
+    window: {
+      title: "DCS.Scoreboard.Title",
+      icon: "fas fa-list-ol",
+      resizable: true
+    },
+    position: {
+      width: 720,
+      height: "auto"
+    },
+    actions: {
+      openSheet: Scoreboard.#onOpenSheet
+    }
+  };
+
+  static PARTS = {
+    board: {
+      template: "systems/death-cap-saute/templates/apps/scoreboard.hbs"
+    }
+  };
+
+  /**
+   * Open the scoreboard, or bring it to the front.
+   * @returns {Scoreboard}
+   */
+  static open() {
+    const app = foundry.applications.instances.get("dcs-scoreboard") ?? new Scoreboard();
+    app.render(true);
+    return app;
+  }
+
+  // ==========================================================================
+  // DATA PREPARATION
+  // ==========================================================================
+
+  /**
+   * Build one row per restaurant, sorted by standing.
+   *
+   * @param {object} options - Rendering options
+   * @returns {Promise<object>} The template context
+   */
+  async _prepareContext(options) {
+    const context = await super._prepareContext(options);
+
+    const locationKeys = getLocationOrder();
+    context.locations = locationKeys.map(key => ({ key, label: CONFIG.DCS.locations[key].label }));
+
+    const rows = game.actors.filter(a => a.type === "restaurant").map(actor => {
+      const { challenges = {}, totals } = actor.system;
+
+      const dishes = locationKeys.map(key => {
+        const c = challenges[key] ?? {};
+        return {
+          score: c.dishTotal ?? 0,
+          completed: !!c.completed,
+          earnedShroomp: !!(c.completed && c.earnedShroomp)
+        };
+      });
+
+      return {
+        id: actor.id,
+        name: actor.name,
+        img: actor.img,
+        dishes,
+        totals,
+        dishTotal: totals.dish,
+        chefs: actor._teamMembersArray.map(m => ({ name: m.name || game.i18n.localize("DCS.Unnamed"), alive: m.alive })),
+        eliminated: actor.system.eliminated
+      };
+    });
+
+    rows.sort((a, b) => (b.totals.shroomps - a.totals.shroomps) || (b.dishTotal - a.dishTotal));
+
+    // Restaurants that are level on both share a rank
+    rows.forEach((row, index) => {
+      const previous = rows[index - 1];
+      const tied = previous && previous.totals.shroomps === row.totals.shroomps && previous.dishTotal === row.dishTotal;
+      row.rank = tied ? previous.rank : index + 1;
+    });
+
+    context.rows = rows;
+    return context;
+  }
+
+  // ==========================================================================
+  // LIVE UPDATES
+  // ==========================================================================
+
+  /**
+   * Hook ids registered while the scoreboard is open, so they can be removed.
+   * @type {Array<[string, number]>}
+   */
+  #hooks = [];
+
+  /** @override */
+  _onFirstRender(context, options) {
+    super._onFirstRender(context, options);
+    const rerender = actor => {
+      if (actor.type === "restaurant") this.render();
+    };
+    this.#hooks = [
+      ["updateActor", Hooks.on("updateActor", (actor, changed) => {
+        if (WATCHED_PATHS.some(path => foundry.utils.hasProperty(changed, path))) rerender(actor);
+      })],
+      ["createActor", Hooks.on("createActor", rerender)],
+      ["deleteActor", Hooks.on("deleteActor", rerender)],
+      ["createItem", Hooks.on("createItem", item => {
+        if (item.type === "shroomp" && item.parent) rerender(item.parent);
+      })],
+      ["deleteItem", Hooks.on("deleteItem", item => {
+        if (item.type === "shroomp" && item.parent) rerender(item.parent);
+      })]
+    ];
+  }
+
+  /** @override */
+  _onClose(options) {
+    super._onClose(options);
+    for (const [hook, id] of this.#hooks) Hooks.off(hook, id);
+    this.#hooks = [];
+  }
+
+  // ==========================================================================
+  // ACTION HANDLERS
+  // ==========================================================================
+
+  /**
+   * Open a restaurant's sheet (if the user may see it).
+   * @param {PointerEvent} event - The click event
+   * @param {HTMLElement} target - The element with data-actor-id
+   */
+  static #onOpenSheet(event, target) {
+    const actor = game.actors.get(target.dataset.actorId);
+    if (actor?.testUserPermission(game.user, "LIMITED")) actor.sheet.render(true);
+  }
+}
@@ -0,0 +1,287 @@
+/**
+ * ============================================================================
+ * DEATH CAP SAUTE - Restaurant Data Model
+ * ============================================================================
+ *
+ * RestaurantData defines what a "restaurant" actor stores in actor.system.
+ * It replaces the loose defaults of template.json with typed fields, so bad
+ * values are refused instead of saved: a Presentation score of 47 or -3
+ * fails validation, and the sheet shows the error.
+ *
+ * WHAT IS A TypeDataModel?
+ * A TypeDataModel is a class describing the "system" data of one document
+ * type. Its defineSchema() lists every field with its type and limits
+ * (whole number 0-6, true/false, text...). Foundry uses it to:
+ * - Fill in defaults for new actors
+ * - Clean and validate every create and update
+ * - Prepare derived data (prepareBaseData/prepareDerivedData), like the
+ *   Document class does
+ *
+ * It is registered in death-cap-saute.mjs:
+ *   CONFIG.Actor.dataModels.restaurant = RestaurantData;
+ *
+ * CHALLENGES:
+ * system.challenges holds one entry per location key. Locations come from
+ * data (see helpers/locations.mjs), so the keys aren't fixed: ChallengesField
+ * checks every entry against the challenge schema, whatever its key.
+ *
+ * DERIVED DATA (not saved, recalculated on every change):
+ *   system.totals              - {presentation, flavor, originality, dishModifier, dish, shroomps}
+ *   system.challenges.X.dishTotal - The dish score of one challenge
+ *   system.aliveTeamMembers    - Number of living team members
+ *   system.deadTeamMembers     - Number of dead team members
+ *   system.eliminated          - True once every team member is dead
+ */
+
+import { getLocationOrder } from "../helpers/locations.mjs";
+import { getShroompItems } from "../helpers/shroomps.mjs";
+import { getMutationKey } from "../helpers/mutation-items.mjs";
+
+const { ArrayField, BooleanField, NumberField, ObjectField, SchemaField, StringField } = foundry.data.fields;
+
+// ============================================================================
+// FIELD HELPERS
+// ============================================================================
+
+/**
+ * A die value: 0 (no die yet) to 6.
+ * @returns {NumberField}
+ */
+function dieField() {
+  return new NumberField({ required: true, nullable: false, integer: true, min: 0, max: 6, initial: 0 });
+}
+
+/**
+ * The fields of one challenge (one location).
+ * @returns {SchemaField}
+ */
+function challengeSchema() {
+  return new SchemaField({
+    completed: new BooleanField(),
+    presentation: dieField(),
+    flavor: dieField(),
+    originality: dieField(),
+    hazard1: dieField(),
+    hazard2: dieField(),
+    dicePool: new ArrayField(dieField()),
+    dishTheme: new StringField(),
+    shroompRequirement: new StringField(),
+    shroompRoll: dieField(),
+    earnedShroomp: new BooleanField(),
+    survivedHazard: new BooleanField({ initial: true }),
+    hazardResolved: new BooleanField(),
+    hazardRoll: dieField(),
+    hazardValue: new NumberField({ required: true, nullable: false, integer: true, min: 0, initial: 0 }),
+    hazardName: new StringField(),
+    hazardPenalty: new StringField(),
+    mutationUsed: new StringField(),
+    mutationsBlocked: new BooleanField(),
+    // Bonuses/penalties to the whole dish from hazards (e.g. Gorgeous Gorgon)
+    dishModifier: new NumberField({ required: true, nullable: false, integer: true, initial: 0 }),
+    // Changes made by an applied hazard penalty, so it can be reverted
+    penalty: new SchemaField({
+      applied: new BooleanField(),
+      summary: new StringField(),
+      changes: new ArrayField(new ObjectField())
+    }),
+    // Event log (see DCSActor.addChallengeLog)
+    log: new ArrayField(new SchemaField({
+      type: new StringField(),
+      summary: new StringField(),
+      dice: new ArrayField(new NumberField({ integer: true })),
+      time: new NumberField({ integer: true, initial: 0 }),
+      user: new StringField()
+    })),
+    notes: new StringField()
+  });
+}
+
+/**
+ * The challenge schema, shared by every ChallengesField.
+ */
+const CHALLENGE_SCHEMA = challengeSchema();
+
+/**
+ * The data of one challenge on a restaurant, before anything is played.
+ * @returns {Object}
+ */
+export function createChallengeData() {
+  return CHALLENGE_SCHEMA.getInitialValue({});
+}
+
+/**
+ * An object of challenges keyed by location. Each entry is cleaned and
+ * validated with the challenge schema; the keys can be any location key.
+ */
+class ChallengesField extends ObjectField {
+  /** @override */
+  _cleanType(value, options) {
+    for (const [key, challenge] of Object.entries(value)) {
+      if (challenge && typeof challenge === "object") value[key] = CHALLENGE_SCHEMA.clean(challenge, options);
+    }
+    return value;
+  }
+
+  /** @override */
+  _validateType(value, options) {
+    super._validateType(value, options);
+    for (const [key, challenge] of Object.entries(value)) {
+      // null removes a challenge ("-=key" updates)
+      if (challenge === null) continue;
+      const failure = CHALLENGE_SCHEMA.validate(challenge, options);
+      if (failure) throw new Error(`challenge "${key}": ${failure.asError().message}`);
+    }
+  }
+}
+
+/**
+ * A team member's Mutation key. Only the shape is checked here; whether the
+ * Mutation exists is checked by RestaurantData._checkMutations(), which can
+ * see the restaurant's mutation items.
+ * @returns {StringField}
+ */
+function mutationKeyField() {
+  return new StringField({
+    validate: key => !key || /^[\w-]+$/.test(key),
+    validationError: "must be a mutation key (letters, numbers, - and _ only)"
+  });
+}
+
+// ============================================================================
+// THE DATA MODEL
+// ============================================================================
+
+export class RestaurantData extends foundry.abstract.TypeDataModel {
+
+  /** @override */
+  static defineSchema() {
+    return {
+      teamMembers: new ArrayField(new SchemaField({
+        name: new StringField(),
+        mutation: mutationKeyField(),
+        alive: new BooleanField({ initial: true })
+      }), {
+        initial: () => Array.from({ length: CONFIG.DCS.teamMembersPerPlayer }, () => ({ name: "", mutation: "", alive: true }))
+      }),
+      challenges: new ChallengesField(),
+      endGame: new SchemaField({
+        presentationBonus: new BooleanField(),
+        flavorBonus: new BooleanField(),
+        originalityBonus: new BooleanField(),
+        wildShroomp: new BooleanField(),
+        wildShroompName: new StringField()
+      }),
+      currentChallenge: new StringField()
+    };
+  }
+
+  /**
+   * Older worlds saved team members as an object with numeric keys (what a
+   * form submits for "system.teamMembers.0.name"). Turn it into the array.
+   * @override
+   */
+  static migrateData(source) {
+    const members = source.teamMembers;
+    if (members && typeof members === "object" && !Array.isArray(members)) {
+      source.teamMembers = Object.keys(members).sort((a, b) => a - b).map(k => members[k]);
+    }
+    return super.migrateData(source);
+  }
+
+  // ==========================================================================
+  // DATA PREPARATION
+  // ==========================================================================
+
+  /**
+   * Give every configured location a challenge, including locations added
+   * after the restaurant was created. Stored values win over the defaults.
+   * @override
+   */
+  prepareBaseData() {
+    const order = getLocationOrder();
+    // A new object, so the derived values below never end up in the source
+    this.challenges = { ...this.challenges };
+    for (const key of order) {
+      this.challenges[key] = foundry.utils.mergeObject(createChallengeData(), this.challenges[key] ?? {}, { inplace: false });
+    }
+    if (!CONFIG.DCS.locations[this.currentChallenge]) this.currentChallenge = order[0] ?? "";
+  }
+
+  /**
+   * Calculate the totals, dish scores and team member counts.
+   * @override
+   */
+  prepareDerivedData() {
+    const totals = {
+      presentation: 0,
+      flavor: 0,
+      originality: 0,
+      dishModifier: 0,
+      dish: 0,
+      shroomps: 0
+    };
+
+    // Only completed challenges of locations still in play count
+    for (const key of getLocationOrder()) {
+      const challenge = this.challenges[key];
+      challenge.dishTotal = challenge.presentation + challenge.flavor + challenge.originality + challenge.dishModifier;
+      if (!challenge.completed) continue;
+      totals.presentation += challenge.presentation;
+      totals.flavor += challenge.flavor;
+      totals.originality += challenge.originality;
+      totals.dishModifier += challenge.dishModifier;
+    }
+    totals.dish = totals.presentation + totals.flavor + totals.originality + totals.dishModifier;
+
+    // Every Shroomp is an item (see helpers/shroomps.mjs). Earned Shroomp and
+    // the end-game checkboxes create them, so they aren't counted again here.
+    totals.shroomps = getShroompItems(this.parent).length;
+    this.totals = totals;
+
+    this.aliveTeamMembers = this.teamMembers.filter(m => m.alive).length;
+    this.deadTeamMembers = this.teamMembers.length - this.aliveTeamMembers;
+    this.eliminated = this.aliveTeamMembers === 0;
+  }
+
+  // ==========================================================================
+  // VALIDATION
+  // ==========================================================================
+
+  /** @override */
+  async _preCreate(data, options, user) {
+    const allowed = await super._preCreate(data, options, user);
+    if (allowed === false) return false;
+    return this._checkMutations(data.system?.teamMembers);
+  }
+
+  /** @override */
+  async _preUpdate(changes, options, user) {
+    const allowed = await super._preUpdate(changes, options, user);
+    if (allowed === false) return false;
+    return this._checkMutations(changes.system?.teamMembers);
+  }
+
+  /**
+   * Refuse team members given a Mutation that doesn't exist: neither a
+   * mutation item on this restaurant nor a rulebook Mutation. Mutations a
+   * team member already had are left alone.
+   *
+   * @param {Object[]|undefined} teamMembers - The team members being saved
+   * @returns {boolean|undefined} False to cancel the change
+   * @private
+   */
+  _checkMutations(teamMembers) {
+    if (!Array.isArray(teamMembers)) return;
+    const known = new Set(Object.keys(CONFIG.DCS.mutations));
+    for (const item of this.parent.items) {
+      if (item.type === "mutation") known.add(getMutationKey(item));
+    }
+
+    const unknown = teamMembers
+      .filter((m, i) => m?.mutation && m.mutation !== this.teamMembers[i]?.mutation && !known.has(m.mutation))
+      .map(m => m.mutation);
+    if (!unknown.length) return;
+    ui.notifications.error(game.i18n.format("DCS.Notify.UnknownMutation", { mutations: unknown.join(", ") }));
+    return false;
+  }
+}
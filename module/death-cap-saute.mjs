@@ -29,9 +29,26 @@
 // The ".mjs" extension tells the browser this is a JavaScript module.
 
 import { DCSActor } from "./documents/actor.mjs";      // Our custom Actor class
+import { RestaurantData } from "./data/restaurant-data.mjs";  // Typed data of restaurant actors
 import { RestaurantSheet } from "./sheets/restaurant-sheet.mjs";  // Our sheet UI class
-import { DCS_CONFIG } from "./helpers/config.mjs";     // All game data (mutations, locations, etc.)
-import { createDefaultTables } from "./helpers/roll-tables.mjs";  // Helper to create roll tables
+import { ShroompSheet } from "./sheets/shroomp-sheet.mjs";  // Sheet for Shroomp items
+import { MutationSheet } from "./sheets/mutation-sheet.mjs";  // Sheet for Mutation items
+import { DCS_CONFIG, localizeConfig } from "./helpers/config.mjs";     // All game data (mutations, locations, etc.)
+import { createDefaultTables, hasSystemTables, promptTableSync, syncSystemTables } from "./helpers/roll-tables.mjs";  // Helper to create roll tables
+import { DiceAssignmentDialog } from "./apps/dice-assignment.mjs";  // Dialog for placing rolled dice
+import { CompetitionManager } from "./apps/competition-manager.mjs";  // GM tool for running the rounds
+import { Scoreboard } from "./apps/scoreboard.mjs";  // Live standings of every restaurant
+import { RestaurantWizard } from "./apps/restaurant-wizard.mjs";  // Set-up steps for new restaurants
+import { MutationDraft } from "./apps/mutation-draft.mjs";  // Snake draft of Mutations
+import { registerSystemSettings, SYSTEM_ID } from "./helpers/settings.mjs";   // World/client settings
+import { advanceRound, getRoundState } from "./helpers/round.mjs";  // Shared round modifiers
+import { registerSocket, requestGM } from "./helpers/socket.mjs";  // Player -> GM request relay
+import { awardCategoryBonuses } from "./helpers/end-game.mjs";  // End-game bonus Shroomps
+import { createMutationCompendium, getMutationPack } from "./helpers/mutation-items.mjs";  // Mutations compendium
+import { getLocationOrder, loadLocations } from "./helpers/locations.mjs";  // Data-driven locations
+import { runMigrations } from "./helpers/migrations.mjs";  // World data migrations
+import { createNameTables, generateName } from "./helpers/names.mjs";  // Random restaurant and chef names
+import { CHAT_TEMPLATES, introduceLocation, registerChatCardListeners } from "./helpers/chat-cards.mjs";  // Chat card templates and buttons
 
 // ============================================================================
 // INITIALIZATION HOOK
@@ -59,39 +76,23 @@ Hooks.once("init", async function() {
    */
   game.deathcapsaute = {
     DCSActor,           // Our Actor class (for instanceof checks, etc.)
-    createDefaultTables, // Function to create roll tables in the world
-
-    /**
-     * Helper function to post a location's intro text to chat.
-     * This can be called from a macro or the console:
-     *   game.deathcapsaute.introduceLocation('saltyDesert')
-     *
-     * @param {string} locationKey - One of: saltyDesert, kingsCourt, onionSwamp,
-     *                               meltedMountain, shroompLair
-     */
-    introduceLocation: async (locationKey) => {
-      const location = CONFIG.DCS.locations[locationKey];
-      if (!location) {
-        ui.notifications.warn(`Unknown location: ${locationKey}`);
-        return;
-      }
-
-      // Template literal (backticks) lets us embed variables with ${}
-      // and write multi-line strings easily
-      const messageContent = `
-        <div class="dcs-location-intro">
-          <h2>${location.label}</h2>
-          <p class="flavor-text"><em>${location.flavorText}</em></p>
-          <hr>
-          <h3>Judge: ${location.judge}</h3>
-          <p>${location.judgeDescription}</p>
-          <p class="hazard-range"><strong>Hazard Range:</strong> ${location.hazardMin} - ${location.hazardMax}</p>
-        </div>
-      `;
-
-      // ChatMessage.create() posts a message to the chat log
-      await ChatMessage.create({ content: messageContent });
-    }
+    createDefaultTables, // Create the roll tables, e.g. createDefaultTables({ compendium: true })
+    syncSystemTables,   // GM: update the roll tables, e.g. syncSystemTables({ mode: 'recreate', preserveCustom: false })
+    DiceAssignmentDialog, // Open with DiceAssignmentDialog.open(actor, locationKey)
+    CompetitionManager, // GM: open with CompetitionManager.open()
+    Scoreboard,         // Open with Scoreboard.open()
+    RestaurantWizard,   // Set up a restaurant with RestaurantWizard.open(actor)
+    MutationDraft,      // Open the Mutation draft with MutationDraft.open()
+    getRoundState,      // Current round and its shared modifiers (Moon Ladle)
+    getLocationOrder,   // The location keys in play order
+    advanceRound,       // GM: start the next round, e.g. advanceRound('kingsCourt')
+    awardCategoryBonuses, // GM: give the Presentation/Flavor/Originality bonuses to the leaders
+    requestGM,          // Ask the GM's client to run a request, see helpers/socket.mjs
+    createMutationCompendium, // GM: add missing rulebook Mutations to the Mutations compendium
+    runMigrations,      // GM: run data migrations the world hasn't had yet
+    introduceLocation,  // Post a location's intro to chat, e.g. introduceLocation('saltyDesert')
+    generateName,       // Roll a random name, e.g. generateName('restaurant') or generateName('chef')
+    createNameTables    // GM: create the name tables if they are missing
   };
 
   // -------------------------------------------------------------------------
@@ -106,6 +107,25 @@ Hooks.once("init", async function() {
    */
   CONFIG.DCS = DCS_CONFIG;
 
+  // -------------------------------------------------------------------------
+  // REGISTER SETTINGS
+  // -------------------------------------------------------------------------
+  /**
+   * Settings must be registered during "init" so they exist before any
+   * sheet or document tries to read them. See helpers/settings.mjs.
+   */
+  registerSystemSettings();
+
+  // -------------------------------------------------------------------------
+  // CHAT CARD BUTTONS
+  // -------------------------------------------------------------------------
+  /**
+   * Roll cards carry buttons ("Apply hazard", "Assign dice"...). The
+   * listener must exist before the chat log is first rendered, so it is
+   * registered here. See helpers/chat-cards.mjs.
+   */
+  registerChatCardListeners();
+
   // -------------------------------------------------------------------------
   // REGISTER CUSTOM DOCUMENT CLASS
   // -------------------------------------------------------------------------
@@ -121,6 +141,13 @@ Hooks.once("init", async function() {
    */
   CONFIG.Actor.documentClass = DCSActor;
 
+  /**
+   * A data model defines and validates what an actor type stores in
+   * actor.system, and calculates its derived data (totals, alive counts).
+   * Restaurants use RestaurantData instead of the defaults in template.json.
+   */
+  CONFIG.Actor.dataModels.restaurant = RestaurantData;
+
   // -------------------------------------------------------------------------
   // REGISTER ACTOR SHEETS
   // -------------------------------------------------------------------------
@@ -139,6 +166,20 @@ Hooks.once("init", async function() {
     label: "DCS.SheetLabels.Restaurant"  // Localization key (see lang/en.json)
   });
 
+  // Every Shroomp a restaurant owns is a "shroomp" Item (see helpers/shroomps.mjs)
+  Items.registerSheet("death-cap-saute", ShroompSheet, {
+    types: ["shroomp"],
+    makeDefault: true,
+    label: "DCS.SheetLabels.Shroomp"
+  });
+
+  // Mutations are "mutation" Items, dropped onto team member cards
+  Items.registerSheet("death-cap-saute", MutationSheet, {
+    types: ["mutation"],
+    makeDefault: true,
+    label: "DCS.SheetLabels.Mutation"
+  });
+
   // -------------------------------------------------------------------------
   // PRELOAD TEMPLATES
   // -------------------------------------------------------------------------
@@ -150,6 +191,18 @@ Hooks.once("init", async function() {
   return preloadHandlebarsTemplates();
 });
 
+// ============================================================================
+// TRANSLATION
+// ============================================================================
+/**
+ * The "i18nInit" hook runs after "init", once the language files are loaded.
+ * CONFIG.DCS holds i18n keys for every text (see helpers/config.mjs); here
+ * they are replaced with the text in the world's language.
+ */
+Hooks.once("i18nInit", function() {
+  localizeConfig(CONFIG.DCS);
+});
+
 // ============================================================================
 // TEMPLATE PRELOADING
 // ============================================================================
@@ -165,6 +218,21 @@ async function preloadHandlebarsTemplates() {
   const templatePaths = [
     // Main sheet template
     "systems/death-cap-saute/templates/actor/restaurant-sheet.hbs",
+    // Dialog for assigning rolled Challenge Dice to slots
+    "systems/death-cap-saute/templates/apps/dice-assignment.hbs",
+    // GM window for running the competition
+    "systems/death-cap-saute/templates/apps/competition-manager.hbs",
+    // Live scoreboard of every restaurant
+    "systems/death-cap-saute/templates/apps/scoreboard.hbs",
+    // Creation wizard for new restaurants and the Mutation draft
+    "systems/death-cap-saute/templates/apps/restaurant-wizard.hbs",
+    "systems/death-cap-saute/templates/apps/mutation-draft.hbs",
+    // Sheet for Shroomp items
+    "systems/death-cap-saute/templates/item/shroomp-sheet.hbs",
+    // Sheet for Mutation items
+    "systems/death-cap-saute/templates/item/mutation-sheet.hbs",
+    // Chat cards posted by the roll methods (see helpers/chat-cards.mjs)
+    ...CHAT_TEMPLATES,
     // We could add partial templates here if we had them:
     // "systems/death-cap-saute/templates/partials/team-member.hbs",
   ];
@@ -204,16 +272,6 @@ Hooks.once("init", function() {
     return arr && arr.includes(val);
   });
 
-  /**
-   * Get mutation data by key
-   * Usage: {{#with (getMutation "knifeFingers")}}{{label}}: {{description}}{{/with}}
-   *
-   * This lets us look up mutation details from the config in templates
-   */
-  Handlebars.registerHelper('getMutation', function(key) {
-    return CONFIG.DCS.mutations[key] || { label: key, description: "Unknown mutation" };
-  });
-
   /**
    * Get location data by key
    * Usage: {{#with (getLocation "saltyDesert")}}{{label}}{{/with}}
@@ -262,11 +320,81 @@ Hooks.once("init", function() {
 Hooks.once("ready", async function() {
   console.log("Death Cap Saute | System Ready");
 
+  // Build the location list from the rulebook and the Locations File setting.
+  // Actors were prepared with the rulebook list, so prepare them again if
+  // the file changed it (each restaurant gets a challenge per location).
+  if (await loadLocations()) {
+    for (const actor of game.actors) actor.reset();
+  }
+
+  // Listen for players asking the GM to make changes they can't make themselves
+  registerSocket();
+
+  // Bring worlds made with an older version of the system up to date
+  await runMigrations();
+
+  // Mutations live in a world compendium, created on the world's first start
+  if (game.user.isGM && !getMutationPack()) await createMutationCompendium();
+
+  // Hazard, Shroomp and Wild Shroomp rolls draw from RollTables generated
+  // from the config, so the GM can edit them in Foundry's table editor.
+  // Existing tables are checked against this version's content.
+  if (game.user.isGM && !hasSystemTables()) await createDefaultTables();
+  else await promptTableSync();
+  // The name generator's tables sit next to them (helpers/names.mjs)
+  await createNameTables();
+
   // Log some helpful commands users can run in the console or macros
   console.log("Death Cap Saute | Useful commands:");
-  console.log("  game.deathcapsaute.introduceLocation('saltyDesert')");
-  console.log("  game.deathcapsaute.introduceLocation('kingsCourt')");
-  console.log("  game.deathcapsaute.introduceLocation('onionSwamp')");
-  console.log("  game.deathcapsaute.introduceLocation('meltedMountain')");
-  console.log("  game.deathcapsaute.introduceLocation('shroompLair')");
+  for (const key of getLocationOrder()) {
+    console.log(`  game.deathcapsaute.introduceLocation('${key}')`);
+  }
+  console.log("  game.deathcapsaute.advanceRound('kingsCourt')  // GM: clears the Moon Ladle bonus");
+  console.log("  game.deathcapsaute.CompetitionManager.open()  // GM: run the competition");
+  console.log("  game.deathcapsaute.Scoreboard.open()");
+  console.log("  game.deathcapsaute.MutationDraft.open()");
+  console.log("  game.deathcapsaute.generateName('chef')");
+});
+
+// ============================================================================
+// ACTOR DIRECTORY BUTTONS
+// ============================================================================
+/**
+ * Add "Scoreboard", "Draft" (everyone) and "Competition" (GM only) buttons to
+ * the top of the Actors sidebar.
+ * v12 passes a jQuery object and v13 a plain HTMLElement, so we handle both.
+ */
+Hooks.on("renderActorDirectory", (app, html) => {
+  const root = html instanceof HTMLElement ? html : html[0];
+  const header = root.querySelector(".directory-header");
+  if (!header || header.querySelector(".dcs-directory-buttons")) return;
+
+  const buttons = document.createElement("div");
+  buttons.classList.add("dcs-directory-buttons", "action-buttons", "flexrow");
+  buttons.innerHTML = `<button type="button" data-dcs-open="scoreboard"><i class="fas fa-list-ol"></i> ${game.i18n.localize("DCS.Scoreboard.Title")}</button>`;
+  buttons.innerHTML += `<button type="button" data-dcs-open="draft"><i class="fas fa-people-arrows"></i> ${game.i18n.localize("DCS.Draft.Button")}</button>`;
+  if (game.user.isGM) {
+    buttons.innerHTML += `<button type="button" data-dcs-open="competition"><i class="fas fa-trophy"></i> ${game.i18n.localize("DCS.Competition.Button")}</button>`;
+  }
+
+  buttons.querySelector("[data-dcs-open='scoreboard']").addEventListener("click", () => Scoreboard.open());
+  buttons.querySelector("[data-dcs-open='draft']").addEventListener("click", () => MutationDraft.open());
+  buttons.querySelector("[data-dcs-open='competition']")?.addEventListener("click", () => CompetitionManager.open());
+  header.append(buttons);
+});
+
+// ============================================================================
+// RESTAURANT CREATION WIZARD
+// ============================================================================
+/**
+ * Open the creation wizard (apps/restaurant-wizard.mjs) for a new restaurant,
+ * on the client of the user who created it. "createActor" runs on every
+ * client, so check userId. Restaurants created with their team already
+ * filled in (imports, duplicates) are left alone.
+ */
+Hooks.on("createActor", (actor, options, userId) => {
+  if (userId !== game.user.id || actor.type !== "restaurant") return;
+  if (!game.settings.get(SYSTEM_ID, "creationWizard")) return;
+  if (actor.system.teamMembers.some(m => m.name || m.mutation)) return;
+  RestaurantWizard.open(actor);
 });
@@ -16,87 +16,251 @@
  * WHY EXTEND ACTOR?
  * By extending Actor, we can:
  * 1. Add custom methods (like rollChallengeDice())
- * 2. Override data preparation (calculate totals automatically)
+ * 2. React to updates (resolve hazards, create earned Shroomps)
  * 3. Add computed properties (like aliveTeamMembers)
  *
+ * What a restaurant stores, and the totals calculated from it, are defined
+ * by its data model, RestaurantData (data/restaurant-data.mjs).
+ *
  * The custom class is registered in death-cap-saute.mjs:
  *   CONFIG.Actor.documentClass = DCSActor;
  */
+import { checkShroompRequirement, findShroompEntry } from "../helpers/shroomp-rules.mjs";
+import { findHazardEntry, resolveHazard, runHazardPenalty } from "../helpers/hazards.mjs";
+import { MUTATION_EFFECTS, runMutationEffect } from "../helpers/mutations.mjs";
+import { getRoundHazardBonus, getRoundState } from "../helpers/round.mjs";
+import { awardWildShroomp, resolveWildShroomp } from "../helpers/end-game.mjs";
+import { requestGM } from "../helpers/socket.mjs";
+import { restoreShroomp, syncEarnedShroomps, transferShroomp } from "../helpers/shroomps.mjs";
+import { getMutationData, getMutationKey } from "../helpers/mutation-items.mjs";
+import { drawSystemTable } from "../helpers/roll-tables.mjs";
+import { introduceLocation, isPublicRoll, postChatCard } from "../helpers/chat-cards.mjs";
+
 export class DCSActor extends Actor {
 
   // ==========================================================================
-  // DATA PREPARATION
+  // UPDATE LIFECYCLE
   // ==========================================================================
   /**
-   * Foundry calls prepareDerivedData() automatically whenever the actor's
-   * data changes. This is where we calculate values that depend on other data.
+   * Foundry calls _preUpdate() before an update is sent to the database, on
+   * the client that requested it. Changing the "changed" object here lets us
+   * add extra fields to the same update.
+   *
+   * We use it to recompute survivedHazard whenever a challenge's hazard dice
+   * or hazard value change, no matter whether they came from the sheet
+   * inputs, the dice assignment dialog or a hazard roll.
    *
-   * THE DATA PREPARATION FLOW:
-   * 1. prepareBaseData() - Set up data that doesn't depend on anything else
-   * 2. prepareEmbeddedDocuments() - Process owned items (not used in this system)
-   * 3. prepareDerivedData() - Calculate values from other data
+   * We also log dice changed by hand in the challenge's event log. Updates
+   * made by the system's own methods pass {dcsLogged: true} because they
+   * write their own, more detailed log entry.
    *
-   * We override prepareDerivedData() to calculate running totals.
+   * @param {Object} changed - The (expanded) changes about to be saved
+   * @param {Object} options - Update options, passed on to _onUpdate()
+   * @param {User} user - The user requesting the update
    */
-  prepareDerivedData() {
-    // Always call the parent class method first!
-    // This ensures Foundry's base processing runs before our custom code.
-    super.prepareDerivedData();
+  async _preUpdate(changed, options, user) {
+    const allowed = await super._preUpdate(changed, options, user);
+    if (allowed === false) return false;
+    // Penalties may move hazard dice around (Mind Spores) after the hazard
+    // was already failed - that must not flip the result
+    if (this.type === 'restaurant' && !options.dcsPenalty) this._resolveChangedHazards(changed, options);
+    // Dice typed into the sheet by hand go into the challenge log too
+    if (this.type === 'restaurant' && !options.dcsLogged) this._logManualEdits(changed);
+    // Requirements and hazards typed by hand are stored by die face too
+    if (this.type === 'restaurant') this._matchTypedEntries(changed);
+  }
 
-    // Get a reference to this actor's system data
-    // In Foundry v10+, custom data is stored in actor.system (not actor.data.data)
-    const systemData = this.system;
+  /**
+   * Foundry calls _onUpdate() on every client after an update is saved.
+   * Only the client that made the change creates or removes shroomp items,
+   * so it happens exactly once. Resolved hazards are handled by a player
+   * owning the restaurant if one is logged in (see _getHazardUser), since
+   * their penalties may ask the team to choose.
+   *
+   * @param {Object} changed - The changes that were saved
+   * @param {Object} options - Update options (from _preUpdate)
+   * @param {string} userId - The id of the user who made the update
+   */
+  _onUpdate(changed, options, userId) {
+    super._onUpdate(changed, options, userId);
 
-    // Only process restaurant actors (in case we add other types later)
-    if (this.type !== 'restaurant') return;
+    if (options.dcsResolvedHazards && this._getHazardUser(userId) === game.user) {
+      for (const locationKey of options.dcsResolvedHazards) this._afterHazardResolved(locationKey);
+    }
+    if (userId !== game.user.id) return;
+    if (this.type === 'restaurant') syncEarnedShroomps(this, changed);
+  }
 
-    // Calculate running totals across all completed challenges
-    this._calculateTotals(systemData);
+  /**
+   * The user who announces resolved hazards and picks their penalties: the
+   * first active player owning the restaurant, or else whoever made the
+   * update (e.g. the GM rolling hazards from the Competition Manager for a
+   * team whose players are away). Every client works out the same user.
+   *
+   * @param {string} userId - The id of the user who made the update
+   * @returns {User|undefined}
+   * @private
+   */
+  _getHazardUser(userId) {
+    return game.users.find(u => u.active && !u.isGM && this.testUserPermission(u, "OWNER")) ?? game.users.get(userId);
   }
 
   /**
-   * Calculate running totals for presentation, flavor, originality, and shroomps.
-   * This runs automatically whenever the actor data changes.
+   * Announce a resolved hazard, then apply its penalty if it was failed, or
+   * revert the penalty if new dice turned it into a survived one.
    *
-   * @param {Object} systemData - Reference to this.system
-   * @private - The underscore prefix is a convention indicating this is internal
+   * @param {string} locationKey - The location key
+   * @private
    */
-  _calculateTotals(systemData) {
-    // Initialize our totals object
-    const totals = {
-      presentation: 0,
-      flavor: 0,
-      originality: 0,
-      shroomps: 0
-    };
+  async _afterHazardResolved(locationKey) {
+    await this._postHazardSummary(locationKey);
+
+    const challenge = this.system.challenges?.[locationKey];
+    if (!challenge) return;
+    if (challenge.survivedHazard) {
+      if (challenge.penalty?.applied) await this.revertHazardPenalty(locationKey);
+      return;
+    }
+    if (challenge.penalty?.applied) return;
+    if (findHazardEntry(locationKey, challenge)?.effect) await this.applyHazardPenalty(locationKey);
+  }
+
+  /**
+   * Recompute hazard survival for every challenge touched by an update.
+   * Writes hazardResolved/survivedHazard into the pending changes and lists
+   * the challenges whose outcome changed in options.dcsResolvedHazards.
+   *
+   * @param {Object} changed - The pending changes
+   * @param {Object} options - Update options
+   * @private
+   */
+  _resolveChangedHazards(changed, options) {
+    const changedChallenges = changed.system?.challenges;
+    if (!changedChallenges) return;
+
+    const hazardFields = ["hazard1", "hazard2", "hazardValue"];
+    const resolved = [];
+    for (const [key, delta] of Object.entries(changedChallenges)) {
+      if (!delta || typeof delta !== "object") continue;
+      if (!hazardFields.some(field => field in delta)) continue;
+
+      // Combine what is stored with what is changing
+      const current = this.system.challenges?.[key] ?? {};
+      const result = resolveHazard({ ...current, ...delta });
+
+      if (!result) {
+        delta.hazardResolved = false;
+        continue;
+      }
+      delta.hazardResolved = true;
+      delta.survivedHazard = result.survived;
 
-    // Loop through all challenges and sum up scores from completed ones
-    const challenges = systemData.challenges || {};
+      // Only announce new results, not re-saves of the same outcome
+      if (!current.hazardResolved || current.survivedHazard !== result.survived) resolved.push(key);
+    }
+    if (resolved.length) options.dcsResolvedHazards = resolved;
+  }
 
-    // Object.entries() converts {key: value} to [[key, value], ...]
-    // This lets us loop through object properties easily
-    for (const [key, challenge] of Object.entries(challenges)) {
-      if (challenge.completed) {
-        // The || 0 ensures we don't add undefined/null values
-        totals.presentation += challenge.presentation || 0;
-        totals.flavor += challenge.flavor || 0;
-        totals.originality += challenge.originality || 0;
+  /**
+   * Add "edit" log entries for dice slots changed by hand.
+   *
+   * @param {Object} changed - The pending changes
+   * @private
+   */
+  _logManualEdits(changed) {
+    for (const [key, delta] of Object.entries(changed.system?.challenges ?? {})) {
+      const current = this.system.challenges?.[key];
+      if (!current || !delta || typeof delta !== "object") continue;
+
+      const edited = Object.keys(CONFIG.DCS.diceSlots)
+        .filter(slot => slot in delta && Number(delta[slot]) !== Number(current[slot]));
+      if (!edited.length) continue;
+
+      const summary = edited
+        .map(slot => `${CONFIG.DCS.diceSlots[slot].label} ${current[slot] || 0} → ${delta[slot] || 0}`)
+        .join(", ");
+      delta.log = [...(delta.log ?? current.log ?? []), this._createLogEntry("edit", summary)];
+    }
+  }
 
-        // Count shroomps earned from challenges
-        if (challenge.earnedShroomp) totals.shroomps += 1;
+  /**
+   * Turn a Shroomp requirement or hazard typed by hand into the die face of
+   * the matching table entry (0 if none matches). Texts are matched here, in
+   * the language of the user typing them; every other client then finds the
+   * entry by its face, whatever language it uses.
+   *
+   * @param {Object} changed - The pending changes
+   * @private
+   */
+  _matchTypedEntries(changed) {
+    for (const [key, delta] of Object.entries(changed.system?.challenges ?? {})) {
+      const current = this.system.challenges?.[key];
+      if (!current || !delta || typeof delta !== "object") continue;
+      const edited = field => field in delta && delta[field] !== current[field];
+
+      if (!("shroompRoll" in delta) && edited("shroompRequirement")) {
+        delta.shroompRoll = findShroompEntry(key, { shroompRequirement: delta.shroompRequirement })?.roll ?? 0;
+      }
+      if (!("hazardRoll" in delta) && (edited("hazardName") || edited("hazardPenalty"))) {
+        const typed = { hazardName: current.hazardName, hazardPenalty: current.hazardPenalty, ...delta, hazardRoll: 0 };
+        delta.hazardRoll = findHazardEntry(key, typed)?.roll ?? 0;
       }
     }
+  }
 
-    // Add end-game bonus shroomps (one for each category if highest)
-    const endGame = systemData.endGame || {};
-    if (endGame.presentationBonus) totals.shroomps += 1;
-    if (endGame.flavorBonus) totals.shroomps += 1;
-    if (endGame.originalityBonus) totals.shroomps += 1;
-    if (endGame.wildShroomp) totals.shroomps += 1;
+  /**
+   * Build one entry for a challenge's event log.
+   *
+   * @param {string} type - A key of CONFIG.DCS.challengeLogTypes
+   * @param {string} summary - What happened
+   * @param {number[]} [dice] - Dice involved (raw roll, new pool, assignment...)
+   * @returns {{type: string, summary: string, dice: number[], time: number, user: string}}
+   * @private
+   */
+  _createLogEntry(type, summary, dice = []) {
+    return { type, summary, dice, time: Date.now(), user: game.user.name };
+  }
 
-    // Store the calculated totals back on the system data
-    // This makes them available in templates as {{system.totals.shroomps}}
-    systemData.totals = totals;
+  /**
+   * Append an event to a challenge's log as part of a pending update, so the
+   * log is saved together with the change it describes.
+   *
+   * @param {Object} updates - Flat update object (paths to values), changed in place
+   * @param {string} locationKey - The location key
+   * @param {string} type - A key of CONFIG.DCS.challengeLogTypes
+   * @param {string} summary - What happened
+   * @param {number[]} [dice] - Dice involved
+   * @returns {Object} The same updates object
+   */
+  addChallengeLog(updates, locationKey, type, summary, dice = []) {
+    const path = `system.challenges.${locationKey}.log`;
+    const log = updates[path] ?? [...(this.system.challenges?.[locationKey]?.log ?? [])];
+    log.push(this._createLogEntry(type, summary, dice));
+    updates[path] = log;
+    return updates;
+  }
+
+  /**
+   * Post a chat summary of a resolved hazard.
+   *
+   * @param {string} locationKey - The location key
+   * @private
+   */
+  async _postHazardSummary(locationKey) {
+    const location = CONFIG.DCS.locations[locationKey];
+    const challenge = this.system.challenges?.[locationKey];
+    const result = challenge && resolveHazard(challenge);
+    if (!location || !result) return;
+
+    await postChatCard("hazard-result", {
+      name: this.name,
+      location,
+      challenge,
+      result,
+      outcome: result.survived ? "survived" : "failed",
+      heading: result.survived ? "DCS.Chat.HazardResult.Survives" : "DCS.Chat.HazardResult.Fails",
+      showPenalty: !result.survived && !!challenge.hazardPenalty
+    }, { actor: this });
   }
 
   // ==========================================================================
@@ -110,28 +274,22 @@ export class DCSActor extends Actor {
    */
 
   /**
-   * Get teamMembers as an array, whether stored as array or object.
-   * Foundry's form handling can convert arrays to objects when using
-   * dot notation in form field names (e.g., "system.teamMembers.0.name").
+   * The team members. RestaurantData stores them as an array (older worlds
+   * with an object of numeric keys are migrated when loaded).
    * @returns {Array} Array of team member objects
    * @private
    */
   get _teamMembersArray() {
-    const members = this.system.teamMembers;
-    if (!members) return [];
-    if (Array.isArray(members)) return members;
-    // Convert object with numeric keys to array
-    return Object.values(members);
+    return this.system.teamMembers ?? [];
   }
 
   /**
    * Count how many team members are still alive.
+   * Calculated by RestaurantData.prepareDerivedData().
    * @returns {number} Number of alive team members (0-3)
    */
   get aliveTeamMembers() {
-    // filter() creates a new array with only elements that pass the test
-    // The arrow function (m => m.alive) returns true for alive members
-    return this._teamMembersArray.filter(m => m.alive).length;
+    return this.system.aliveTeamMembers ?? 0;
   }
 
   /**
@@ -139,7 +297,7 @@ export class DCSActor extends Actor {
    * @returns {number} Number of dead team members (0-3)
    */
   get deadTeamMembers() {
-    return this._teamMembersArray.filter(m => !m.alive).length;
+    return this.system.deadTeamMembers ?? 0;
   }
 
   /**
@@ -148,7 +306,110 @@ export class DCSActor extends Actor {
    * @returns {boolean} True if all team members are dead
    */
   get isEliminated() {
-    return this.aliveTeamMembers === 0;
+    return !!this.system.eliminated;
+  }
+
+  /**
+   * Look up a Mutation by the key stored on a team member. The restaurant's
+   * own mutation item is used (see helpers/mutation-items.mjs); the rulebook
+   * entry in CONFIG.DCS.mutations is only a fallback for team members whose
+   * Mutation was picked before Mutations were items.
+   *
+   * @param {string} key - The mutation key
+   * @returns {{key: string, label: string, description: string, effect: Object}|null}
+   */
+  getMutation(key) {
+    if (!key) return null;
+    const item = this.items.find(i => i.type === "mutation" && getMutationKey(i) === key);
+    if (item) return getMutationData(item);
+    const data = CONFIG.DCS.mutations[key];
+    return data ? { key, ...data } : null;
+  }
+
+  // ==========================================================================
+  // CHALLENGE METHODS
+  // ==========================================================================
+
+  /**
+   * Check a challenge's dice against its Shroomp requirement.
+   * The rolled die face (or else the requirement text) picks the entry of
+   * the location's shroompTable, and that entry's structured rule is evaluated (see helpers/shroomp-rules.mjs).
+   *
+   * @param {string} locationKey - The location key
+   * @returns {{entry: Object, passed: boolean, reason: string}|null}
+   *   Null if no requirement is set or it isn't one from the table
+   */
+  checkShroompRequirement(locationKey) {
+    const challenge = this.system.challenges?.[locationKey];
+    if (!challenge) return null;
+    return checkShroompRequirement(locationKey, challenge);
+  }
+
+  /**
+   * Mark a challenge complete (or not). When completing, and the
+   * "Award Shroomps Automatically" setting is on, Earned Shroomp is set
+   * from the requirement check.
+   *
+   * @param {string} locationKey - The location key
+   * @param {boolean} completed - The new completed state
+   */
+  async completeChallenge(locationKey, completed = true) {
+    const updates = { [`system.challenges.${locationKey}.completed`]: completed };
+
+    const check = completed ? this.checkShroompRequirement(locationKey) : null;
+    if (check && game.settings.get("death-cap-saute", "autoAwardShroomps")) {
+      updates[`system.challenges.${locationKey}.earnedShroomp`] = check.passed;
+    }
+    await this.update(updates);
+  }
+
+  /**
+   * Write a Shroomp & Dish Theme roll into a challenge. Used by the
+   * Competition Manager and the "Apply theme to sheet" chat card button.
+   *
+   * @param {string} locationKey - The location key
+   * @param {{roll: number, requirement: string, dishTheme: string}} entry - The rolled Shroomp table entry
+   * @returns {Promise<boolean>} True if the challenge was updated
+   */
+  async applyShroompResult(locationKey, { roll = 0, requirement, dishTheme }) {
+    if (!this.system.challenges?.[locationKey]) {
+      ui.notifications.error(game.i18n.format("DCS.Notify.UnknownLocation", { location: locationKey }));
+      return false;
+    }
+    await this.update({
+      [`system.challenges.${locationKey}.dishTheme`]: dishTheme ?? "",
+      [`system.challenges.${locationKey}.shroompRequirement`]: requirement ?? "",
+      [`system.challenges.${locationKey}.shroompRoll`]: roll
+    });
+    return true;
+  }
+
+  /**
+   * Write a Hazard roll into a challenge (hazardRoll, hazardName,
+   * hazardPenalty and hazardValue) and log it. If the hazard dice are already
+   * assigned, survival is worked out straight away by _preUpdate().
+   * Used by rollHazardTable() and the "Apply hazard" chat card button.
+   *
+   * @param {string} locationKey - The location key
+   * @param {Object} hazard - {roll, name, penalty, value, bonus}; value includes the bonus
+   * @returns {Promise<boolean>} True if the challenge was updated
+   */
+  async applyHazardResult(locationKey, { roll, name, penalty = "", value, bonus = 0 }) {
+    if (!this.system.challenges?.[locationKey]) {
+      ui.notifications.error(game.i18n.format("DCS.Notify.UnknownLocation", { location: locationKey }));
+      return false;
+    }
+    const path = `system.challenges.${locationKey}`;
+    const updates = {
+      [`${path}.hazardRoll`]: roll,
+      [`${path}.hazardName`]: name,
+      [`${path}.hazardPenalty`]: penalty,
+      [`${path}.hazardValue`]: value
+    };
+    this.addChallengeLog(updates, locationKey, "hazard", game.i18n.format(bonus ? "DCS.Log.HazardBonus" : "DCS.Log.Hazard",
+      { roll, name, value, bonus }), [roll]);
+    await this.update(updates, { dcsLogged: true });
+    return true;
   }
 
   // ==========================================================================
@@ -162,6 +423,12 @@ export class DCSActor extends Actor {
    * 4. Return the results for further processing
    *
    * All methods are async because they involve database operations (chat messages)
+   *
+   * Every roll method takes a {rollMode} option: "publicroll", "gmroll",
+   * "blindroll" or "selfroll" (CONST.DICE_ROLL_MODES). Without it, the mode
+   * selected in the chat sidebar is used. Hidden Challenge Dice, Hazard and
+   * Wild Shroomp results wait for the button on their chat card before
+   * anyone's sheet shows them (see helpers/chat-cards.mjs).
    */
 
   /**
@@ -169,9 +436,24 @@ export class DCSActor extends Actor {
    * This is the main roll players make each round - 5 dice to assign to
    * Presentation, Flavor, Originality, Hazard1, and Hazard2.
    *
-   * @returns {Promise<{roll: Roll, results: number[]}>} The roll and individual results
+   * The results are stored on the challenge as its "dice pool" so they can
+   * be assigned later with assignChallengeDice() (the sheet opens the
+   * DiceAssignmentDialog for this right after the roll). Hidden rolls store
+   * nothing: the card's "Assign dice" button does, through applyChallengeDice().
+   *
+   * @param {string} locationKey - The challenge to roll for (defaults to currentChallenge)
+   * @param {Object} [options]
+   * @param {string} [options.rollMode] - The roll mode of the chat message
+   * @returns {Promise<{roll: Roll, results: number[], pending: boolean}|null>}
+   *   The roll, the individual results and whether they wait for the card's button
    */
-  async rollChallengeDice() {
+  async rollChallengeDice(locationKey = this.system.currentChallenge, { rollMode } = {}) {
+    const location = CONFIG.DCS.locations[locationKey];
+    if (!location) {
+      ui.notifications.error(game.i18n.format("DCS.Notify.UnknownLocation", { location: locationKey }));
+      return null;
+    }
+
     // Create a new Roll object with the formula "5d6"
     // Roll is Foundry's class for handling dice, supporting formulas like "2d20+5"
     const roll = new Roll("5d6");
@@ -184,70 +466,119 @@ export class DCSActor extends Actor {
     // .results is an array of {result: number} objects
     const results = roll.dice[0].results.map(r => r.result);
 
-    // Build the HTML content for the chat message
-    // Template literals (backticks) let us embed expressions with ${}
-    const messageContent = `
-      <div class="dcs-roll challenge-dice">
-        <h3>${this.name} rolls Challenge Dice</h3>
-        <div class="dice-results">
-          ${results.map(r => `<span class="die">${r}</span>`).join('')}
-        </div>
-        <p class="hint">Assign these to: Presentation, Flavor, Originality, Hazard 1, Hazard 2</p>
-        <p class="hint">You may use one Mutation from an alive team member.</p>
-      </div>
-    `;
-
-    // Create a chat message to display the roll
-    await ChatMessage.create({
-      speaker: ChatMessage.getSpeaker({ actor: this }),
-      content: messageContent,
+    // Anyone can read the sheet, so hidden dice stay on the card for now
+    const pending = !isPublicRoll(rollMode);
+    if (!pending) await this.applyChallengeDice(locationKey, results);
+
+    // Post the roll from the templates/chat/challenge-dice.hbs card. Its
+    // "Assign dice" button opens the DiceAssignmentDialog for this challenge
+    // (storing hidden dice first).
+    const slots = Object.values(CONFIG.DCS.diceSlots).map(slot => slot.label).join(", ");
+    await postChatCard("challenge-dice", { name: this.name, location, results, slots, pending }, {
+      actor: this,
+      card: pending ? { locationKey, results } : { locationKey },
       // Including the roll object enables Foundry's dice animation and roll display
-      rolls: [roll]
+      rolls: [roll],
+      rollMode
     });
 
     // Return both the Roll object and the extracted results
-    return { roll, results };
+    return { roll, results, pending };
+  }
+
+  /**
+   * Store rolled Challenge Dice as a challenge's pending pool. Each value has
+   * to be used exactly once when the dice are assigned. The raw roll is
+   * logged so it survives later re-rolls and edits.
+   * Used by rollChallengeDice() and the "Assign dice" chat card button.
+   *
+   * @param {string} locationKey - The challenge the dice were rolled for
+   * @param {number[]} results - The five dice
+   * @returns {Promise<boolean>} True if the challenge was updated
+   */
+  async applyChallengeDice(locationKey, results) {
+    if (!this.system.challenges?.[locationKey]) {
+      ui.notifications.error(game.i18n.format("DCS.Notify.UnknownLocation", { location: locationKey }));
+      return false;
+    }
+    const updates = { [`system.challenges.${locationKey}.dicePool`]: results };
+    this.addChallengeLog(updates, locationKey, "roll",
+      game.i18n.format("DCS.Log.Rolled", { dice: results.join(", ") }), results);
+    await this.update(updates, { dcsLogged: true });
+    return true;
+  }
+
+  /**
+   * Write an assignment of the pending dice pool into a challenge's five slots.
+   * Every die in the pool must be used exactly once. On success the pool is
+   * cleared, since those dice have now been spent.
+   *
+   * @param {string} locationKey - The challenge the dice belong to
+   * @param {Object} assignment - Slot key to die value, e.g. {presentation: 4, ...}
+   * @returns {Promise<boolean>} True if the assignment was valid and saved
+   */
+  async assignChallengeDice(locationKey, assignment) {
+    const challenge = this.system.challenges?.[locationKey];
+    if (!challenge) {
+      ui.notifications.error(game.i18n.format("DCS.Notify.UnknownLocation", { location: locationKey }));
+      return false;
+    }
+
+    // Compare the assigned values and the pool as sorted lists. If they
+    // match, every die was used once and nothing was invented.
+    const slots = Object.keys(CONFIG.DCS.diceSlots);
+    const byValue = (a, b) => a - b;
+    const pool = [...(challenge.dicePool || [])].sort(byValue);
+    const values = slots.map(slot => Number(assignment[slot])).sort(byValue);
+    if (pool.length !== slots.length || values.some((v, i) => v !== pool[i])) {
+      ui.notifications.warn(game.i18n.localize("DCS.Notify.UseEachDieOnce"));
+      return false;
+    }
+
+    const updates = { [`system.challenges.${locationKey}.dicePool`]: [] };
+    for (const slot of slots) {
+      updates[`system.challenges.${locationKey}.${slot}`] = Number(assignment[slot]);
+    }
+    const summary = slots.map(slot => `${CONFIG.DCS.diceSlots[slot].label} ${assignment[slot]}`).join(", ");
+    this.addChallengeLog(updates, locationKey, "assign", summary, slots.map(slot => Number(assignment[slot])));
+    await this.update(updates, { dcsLogged: true });
+    return true;
   }
 
   /**
    * Roll on the Shroomp table to determine the Shroomp requirement and Dish Theme.
-   * Each location has its own table with 6 entries (one per die face).
+   * Each location has its own table with 6 entries (one per die face),
+   * drawn from its generated RollTable when the world has one.
    *
    * @param {string} locationKey - The location key (e.g., "saltyDesert")
+   * @param {Object} [options]
+   * @param {string} [options.rollMode] - The roll mode of the chat message
    * @returns {Promise<Object|null>} The table entry or null if location not found
    */
-  async rollShroompTable(locationKey) {
+  async rollShroompTable(locationKey, { rollMode } = {}) {
     // Look up the location data from our config
     const location = CONFIG.DCS.locations[locationKey];
     if (!location) {
       // ui.notifications shows a toast message to the user
-      ui.notifications.error(`Unknown location: ${locationKey}`);
+      ui.notifications.error(game.i18n.format("DCS.Notify.UnknownLocation", { location: locationKey }));
       return null;
     }
 
-    // Roll a single d6
-    const roll = new Roll("1d6");
-    await roll.evaluate();
-    const result = roll.total;  // .total gives the final number
-
-    // Find the matching entry in the shroomp table
-    // Array.find() returns the first element that matches the condition
-    const tableEntry = location.shroompTable.find(e => e.roll === result);
-
-    // Build and send the chat message
-    const messageContent = `
-      <div class="dcs-roll shroomp-table">
-        <h3>Shroomp & Dish Theme - ${location.label}</h3>
-        <p><strong>Roll:</strong> ${result}</p>
-        <p><strong>Shroomp Requirement:</strong> ${tableEntry.requirement}</p>
-        <p><strong>Dish Theme:</strong> ${tableEntry.dishTheme}</p>
-      </div>
-    `;
-
-    await ChatMessage.create({
-      speaker: ChatMessage.getSpeaker({ actor: this }),
-      content: messageContent,
-      rolls: [roll]
+    // Draw from the location's Shroomp & Dish Theme RollTable, so results
+    // the GM edited in Foundry are used (see helpers/roll-tables.mjs)
+    const draw = await drawSystemTable("shroomp", locationKey);
+    if (!draw) {
+      ui.notifications.error(game.i18n.format("DCS.Notify.NoShroompResult", { location: location.label }));
+      return null;
+    }
+    const { roll, result, entry: tableEntry } = draw;
+
+    // The card's "Apply theme to sheet" button calls applyShroompResult()
+    await postChatCard("shroomp-table", { location, result, entry: tableEntry }, {
+      actor: this,
+      card: { locationKey, roll: tableEntry.roll, requirement: tableEntry.requirement, dishTheme: tableEntry.dishTheme },
+      rolls: [roll],
+      rollMode
     });
 
     return tableEntry;
@@ -255,48 +586,59 @@ export class DCSActor extends Actor {
 
   /**
    * Roll on the Hazard table to determine what danger the team faces.
-   * Each location has hazards with different values and optional penalties.
+   * Each location has hazards with different values and optional penalties,
+   * drawn from its generated RollTable when the world has one.
+   *
+   * The result is stored on the location's challenge (hazardRoll, hazardName,
+   * hazardPenalty and hazardValue). If the hazard dice are already assigned,
+   * survival is worked out straight away by _preUpdate(). A hidden roll is
+   * only stored when "Apply hazard" is clicked on its chat card, so a GM can
+   * roll hazards ahead of time.
+   *
+   * The round's shared hazard bonus (Curse of the Moon Ladle, see
+   * helpers/round.mjs) is added automatically.
    *
    * @param {string} locationKey - The location key
-   * @param {number} bonus - Bonus to add to hazard value (from Curse of the Moon Ladle)
+   * @param {number} bonus - Any extra bonus to add to the hazard value
+   * @param {Object} [options]
+   * @param {string} [options.rollMode] - The roll mode of the chat message
    * @returns {Promise<Object|null>} The hazard entry with effectiveValue added
    */
-  async rollHazardTable(locationKey, bonus = 0) {
+  async rollHazardTable(locationKey, bonus = 0, { rollMode } = {}) {
     const location = CONFIG.DCS.locations[locationKey];
     if (!location) {
-      ui.notifications.error(`Unknown location: ${locationKey}`);
+      ui.notifications.error(game.i18n.format("DCS.Notify.UnknownLocation", { location: locationKey }));
       return null;
     }
 
-    const roll = new Roll("1d6");
-    await roll.evaluate();
-    const result = roll.total;
-
-    const tableEntry = location.hazardTable.find(e => e.roll === result);
-
-    // Apply any bonus to the hazard value
-    // (Curse of the Moon Ladle mutation adds +1 to hazard value)
-    const effectiveValue = tableEntry.value + bonus;
-
-    // Build message with conditional penalty display
-    // The ${condition ? valueIfTrue : valueIfFalse} is a ternary operator
-    const messageContent = `
-      <div class="dcs-roll hazard-table">
-        <h3>Hazard Roll - ${location.label}</h3>
-        <p><strong>Roll:</strong> ${result}</p>
-        <p><strong>Hazard:</strong> ${tableEntry.name}</p>
-        <p><strong>Hazard Value:</strong> ${tableEntry.value}${bonus ? ` (+${bonus} bonus = ${effectiveValue})` : ''}</p>
-        ${tableEntry.penalty ? `<p><strong>Added Penalty (if failed):</strong> ${tableEntry.penalty}</p>` : ''}
-        <p class="hint">Your Hazard dice total must meet or beat ${effectiveValue} to survive!</p>
-      </div>
-    `;
-
-    await ChatMessage.create({
-      speaker: ChatMessage.getSpeaker({ actor: this }),
-      content: messageContent,
-      rolls: [roll]
+    const draw = await drawSystemTable("hazard", locationKey);
+    if (!draw) {
+      ui.notifications.error(game.i18n.format("DCS.Notify.NoHazardResult", { location: location.label }));
+      return null;
+    }
+    const { roll, result, entry: tableEntry } = draw;
+
+    // Apply any bonus to the hazard value, including the Moon Ladle
+    // bonus every player at this location shares this round
+    const roundBonus = getRoundHazardBonus(locationKey);
+    bonus += roundBonus;
+    const effectiveValue = (tableEntry.value ?? 0) + bonus;
+    const cursedBy = roundBonus ? getRoundState().contributors.join(", ") : "";
+
+    // What the card's "Apply hazard" button writes back, see applyHazardResult()
+    const hazard = { roll: result, name: tableEntry.name, penalty: tableEntry.penalty ?? "", value: effectiveValue, bonus };
+    const pending = !isPublicRoll(rollMode);
+    await postChatCard("hazard-table", { location, result, entry: tableEntry, bonus, effectiveValue, roundBonus, cursedBy, pending }, {
+      actor: this,
+      card: { locationKey, hazard },
+      rolls: [roll],
+      rollMode
     });
 
+    // Tie the hazard to this location's challenge. Done after the roll
+    // message so the survival summary (if any) appears below it.
+    if (!pending) await this.applyHazardResult(locationKey, hazard);
+
     // Use spread operator (...) to copy tableEntry and add effectiveValue
     return { ...tableEntry, effectiveValue };
   }
@@ -305,57 +647,79 @@ export class DCSActor extends Actor {
    * Roll for Wild Shroomp at the end of the game.
    * This determines which special condition grants a bonus Shroomp.
    *
+   * The winning restaurant is worked out from the recorded data of every
+   * competitor (see helpers/end-game.mjs). endGame.wildShroomp and
+   * wildShroompName are then set on the winner - through the GM when a
+   * player rolls. Ties are left to the GM. The award of a hidden roll waits
+   * for the "Award Wild Shroomp" button on its chat card.
+   *
+   * @param {Object} [options]
+   * @param {string} [options.rollMode] - The roll mode of the chat message
    * @returns {Promise<Object>} The wild shroomp table entry
    */
-  async rollWildShroomp() {
-    const roll = new Roll("1d6");
-    await roll.evaluate();
-    const result = roll.total;
-
-    // Look up in the wildShroompTable from config
-    const tableEntry = CONFIG.DCS.wildShroompTable.find(e => e.roll === result);
-
-    const messageContent = `
-      <div class="dcs-roll wild-shroomp">
-        <h3>Wild Shroomp Roll</h3>
-        <p><strong>Roll:</strong> ${result}</p>
-        <p><strong>${tableEntry.name}</strong></p>
-        <p><strong>Requirement:</strong> ${tableEntry.requirement}</p>
-      </div>
-    `;
-
-    await ChatMessage.create({
-      speaker: ChatMessage.getSpeaker({ actor: this }),
-      content: messageContent,
-      rolls: [roll]
+  async rollWildShroomp({ rollMode } = {}) {
+    // Draw from the Wild Shroomps RollTable; the rule comes from the
+    // config entry for the same die face
+    const draw = await drawSystemTable("wildShroomp");
+    if (!draw) {
+      ui.notifications.error(game.i18n.localize("DCS.Notify.NoWildShroompResult"));
+      return null;
+    }
+    const { roll, result, entry: tableEntry } = draw;
+
+    // Work out the winner from every restaurant's recorded dice and team
+    const resolution = resolveWildShroomp(tableEntry);
+    const i18n = game.i18n;
+    let outcome = '';
+    if (resolution?.tied) {
+      outcome = i18n.format("DCS.Chat.WildShroomp.Tied",
+        { names: resolution.winners.map(a => a.name).join(", "), description: resolution.description });
+    } else if (resolution) {
+      outcome = resolution.winners.length
+        ? i18n.format("DCS.Chat.WildShroomp.Earns", { name: resolution.winners[0].name, description: resolution.description })
+        : i18n.localize("DCS.Chat.WildShroomp.Nobody");
+    }
+
+    const pending = !!resolution && !isPublicRoll(rollMode);
+    await postChatCard("wild-shroomp", { result, entry: tableEntry, outcome, pending }, {
+      actor: this,
+      card: pending ? { entry: { roll: tableEntry.roll, name: tableEntry.name } } : undefined,
+      rolls: [roll],
+      rollMode
     });
 
+    if (resolution && !pending) await this.awardRolledWildShroomp(tableEntry);
     return tableEntry;
   }
 
+  /**
+   * Award a rolled Wild Shroomp to the restaurant that qualifies. Only the GM
+   * may change the other restaurants' sheets, so players hand the award (and
+   * any tie) over to the GM.
+   *
+   * @param {{roll: number, name: string}} entry - The rolled entry; the name may have been edited in the table
+   * @returns {Promise<Actor|Object|null>} The winner (or the GM's answer), null if nobody
+   */
+  async awardRolledWildShroomp({ roll, name }) {
+    if (!game.user.isGM) return requestGM("awardWildShroomp", { roll, name });
+    const entry = CONFIG.DCS.wildShroompTable.find(e => e.roll === roll);
+    return entry ? awardWildShroomp({ ...entry, name: name || entry.name }) : null;
+  }
+
   /**
    * Roll a single d6, typically for mutations like Tongue Sight.
    * This is a utility method for any situation needing one die.
    *
-   * @param {string} purpose - Description of why we're rolling (shown in chat)
+   * @param {string} [purpose] - Description of why we're rolling (shown in chat)
+   * @param {Object} [options]
+   * @param {string} [options.rollMode] - The roll mode of the chat message
    * @returns {Promise<number>} The die result (1-6)
    */
-  async rollSingleDie(purpose = "Mutation") {
+  async rollSingleDie(purpose = game.i18n.localize("TYPES.Item.mutation"), { rollMode } = {}) {
     const roll = new Roll("1d6");
     await roll.evaluate();
 
-    const messageContent = `
-      <div class="dcs-roll single-die">
-        <h3>${this.name} - ${purpose}</h3>
-        <p><strong>Result:</strong> <span class="die">${roll.total}</span></p>
-      </div>
-    `;
-
-    await ChatMessage.create({
-      speaker: ChatMessage.getSpeaker({ actor: this }),
-      content: messageContent,
-      rolls: [roll]
-    });
+    await postChatCard("single-die", { name: this.name, purpose, total: roll.total }, { actor: this, rolls: [roll], rollMode });
 
     return roll.total;
   }
@@ -384,38 +748,206 @@ export class DCSActor extends Actor {
       await this.update({ "system.teamMembers": teamMembers });
 
       // Post a death announcement to chat
+      // The message is HTML, so the names typed by players are escaped
       const member = teamMembers[index];
-      await ChatMessage.create({
-        speaker: ChatMessage.getSpeaker({ actor: this }),
-        content: `<div class="dcs-death"><strong>${member.name}</strong> from ${this.name} has perished! Their mutation (${member.mutation}) is no longer available.</div>`
-      });
+      const escape = Handlebars.escapeExpression;
+      await postChatCard("death", {
+        message: game.i18n.format("DCS.Chat.Death", {
+          name: `<strong>${escape(member.name)}</strong>`,
+          restaurant: escape(this.name),
+          mutation: escape(this.getMutation(member.mutation)?.label ?? game.i18n.localize("DCS.Chat.NoMutation"))
+        })
+      }, { actor: this });
     }
   }
 
+  /**
+   * Apply the penalty of a failed hazard to the challenge.
+   * The hazard's structured effect decides what changes (prompting for any
+   * choice). The old value of everything changed is kept in
+   * challenge.penalty.changes so the penalty can be reviewed and reverted.
+   *
+   * @param {string} locationKey - The location key
+   * @returns {Promise<boolean>} True if a penalty was applied
+   */
+  async applyHazardPenalty(locationKey) {
+    const challenge = this.system.challenges?.[locationKey];
+    const entry = challenge && findHazardEntry(locationKey, challenge);
+    if (!entry?.effect) {
+      ui.notifications.warn(game.i18n.localize("DCS.Notify.NoPenalty"));
+      return false;
+    }
+    if (challenge.penalty?.applied) {
+      ui.notifications.warn(game.i18n.localize("DCS.Notify.PenaltyApplied"));
+      return false;
+    }
+
+    const outcome = await runHazardPenalty(entry.effect, { actor: this, locationKey, challenge });
+    if (!outcome) return false;
+
+    // Remember the "before" value of every path the penalty touches.
+    // Stored as a list because paths contain dots, which Foundry would
+    // otherwise expand into nested objects.
+    const changes = Object.entries(outcome.updates).map(([path, after]) => ({
+      actorId: this.id,
+      path,
+      // Challenges not stored yet only have their prepared defaults
+      before: foundry.utils.deepClone(foundry.utils.getProperty(this._source, path)
+        ?? foundry.utils.getProperty(this, path) ?? null),
+      after
+    }));
+
+    // A lost or given Shroomp is an item, so it is recorded as a whole
+    if (outcome.shroompTransfer) {
+      const { item, target } = outcome.shroompTransfer;
+      const shroomp = await transferShroomp(this, item, target);
+      if (!shroomp) return false;
+      changes.push({ actorId: this.id, shroomp });
+    }
+
+    const updates = {
+      ...outcome.updates,
+      [`system.challenges.${locationKey}.penalty`]: { applied: true, summary: outcome.summary, changes }
+    };
+    this.addChallengeLog(updates, locationKey, "penalty", `${entry.name}: ${outcome.summary}`);
+    await this.update(updates, { dcsPenalty: true, dcsLogged: true });
+
+    await postChatCard("hazard-penalty", {
+      name: this.name,
+      hazard: entry.name,
+      penalty: entry.penalty,
+      summary: outcome.summary
+    }, { actor: this, rolls: outcome.rolls ?? [] });
+    return true;
+  }
+
+  /**
+   * Undo an applied hazard penalty by restoring every recorded "before" value
+   * and giving back any Shroomp the penalty took.
+   *
+   * @param {string} locationKey - The location key
+   * @returns {Promise<boolean>} True if the penalty was reverted
+   */
+  async revertHazardPenalty(locationKey) {
+    const penalty = this.system.challenges?.[locationKey]?.penalty;
+    if (!penalty?.applied) return false;
+
+    const updates = {};
+    for (const change of penalty.changes ?? []) {
+      if (change.shroomp) {
+        if (!(await restoreShroomp(this, change.shroomp))) return false;
+      }
+      else updates[change.path] = change.before;
+    }
+    Object.assign(updates, {
+      [`system.challenges.${locationKey}.penalty`]: { applied: false, summary: "", changes: [] }
+    });
+    this.addChallengeLog(updates, locationKey, "penalty", game.i18n.format("DCS.Log.Reverted", { summary: penalty.summary }));
+    await this.update(updates, { dcsPenalty: true, dcsLogged: true });
+
+    await postChatCard("hazard-penalty", { name: this.name, reverted: true, summary: penalty.summary }, { actor: this });
+    return true;
+  }
+
+  /**
+   * Use a team member's mutation on the pending dice for a challenge.
+   *
+   * The rules enforced here:
+   * - Dead team members can't use their mutations
+   * - Only one Mutation may be used per challenge
+   * - Dice effects need dice that were rolled but not yet assigned
+   * - Gastromancy borrows a dead team member's Mutation from any restaurant
+   *   (see the "borrow" effect in helpers/mutations.mjs)
+   *
+   * @param {number} index - Index of the team member (0, 1, or 2)
+   * @param {Object} [options]
+   * @param {string} [options.locationKey] - The challenge (defaults to currentChallenge)
+   * @returns {Promise<boolean>} True if the mutation was used
+   */
+  async useMutation(index, { locationKey = this.system.currentChallenge } = {}) {
+    const member = this._teamMembersArray[index];
+    const mutation = this.getMutation(member?.mutation);
+    const challenge = this.system.challenges?.[locationKey];
+
+    const i18n = game.i18n;
+    if (!member || !mutation) {
+      ui.notifications.warn(i18n.localize("DCS.Notify.NoMutation"));
+      return false;
+    }
+    if (!member.alive) {
+      ui.notifications.warn(i18n.format("DCS.Notify.DeadMutation", { name: member.name || i18n.localize("DCS.Chat.ThisMember") }));
+      return false;
+    }
+    if (!challenge) {
+      ui.notifications.error(i18n.format("DCS.Notify.UnknownLocation", { location: locationKey }));
+      return false;
+    }
+    if (challenge.mutationsBlocked) {
+      ui.notifications.warn(i18n.localize("DCS.Notify.MutationsBlocked"));
+      return false;
+    }
+    if (challenge.mutationUsed) {
+      const used = this.getMutation(challenge.mutationUsed)?.label ?? challenge.mutationUsed;
+      ui.notifications.warn(i18n.format("DCS.Notify.MutationUsed", { mutation: used }));
+      return false;
+    }
+
+    const handler = MUTATION_EFFECTS[mutation.effect?.type];
+    if (!handler) {
+      ui.notifications.warn(i18n.format("DCS.Notify.ManualMutation", { mutation: mutation.label }));
+      return false;
+    }
+    const pool = challenge.dicePool || [];
+    if (handler.needsPool && !pool.length) {
+      ui.notifications.warn(i18n.localize("DCS.Notify.RollFirst"));
+      return false;
+    }
+
+    const outcome = await runMutationEffect(mutation, { actor: this, locationKey, pool });
+    if (!outcome) return false;
+
+    const path = `system.challenges.${locationKey}`;
+    const updates = { [`${path}.mutationUsed`]: member.mutation };
+    if (outcome.pool) updates[`${path}.dicePool`] = outcome.pool;
+    const chef = member.name || i18n.localize("DCS.Chat.AChef");
+    const label = outcome.borrowed
+      ? i18n.format("DCS.Log.Borrowed", { mutation: mutation.label, borrowed: outcome.borrowed.mutation.label })
+      : mutation.label;
+    this.addChallengeLog(updates, locationKey, "mutation",
+      i18n.format("DCS.Log.MutationUsed", { chef, mutation: label, summary: outcome.summary })
+        + (outcome.pool ? ` [${pool.join(", ")} → ${outcome.pool.join(", ")}]` : ''),
+      outcome.pool ?? []);
+    await this.update(updates, { dcsLogged: true });
+
+    // Gastromancy records whose Mutation was borrowed. The line is HTML, so
+    // the names are escaped.
+    const escape = Handlebars.escapeExpression;
+    const borrowed = outcome.borrowed && i18n.format("DCS.Chat.Mutation.Borrowed", {
+      mutation: `<strong>${escape(outcome.borrowed.mutation.label)}</strong>`,
+      chef: escape(outcome.borrowed.member.name || i18n.localize("DCS.Chat.ADeadChef")),
+      restaurant: escape(outcome.borrowed.actor.name)
+    });
+
+    await postChatCard("mutation-use", {
+      name: member.name || this.name,
+      mutation: mutation.label,
+      borrowed,
+      summary: outcome.summary,
+      before: outcome.pool ? pool : null,
+      after: outcome.pool
+    }, { actor: this, rolls: outcome.rolls ?? [] });
+    return true;
+  }
+
   /**
    * Post location flavor text and judge info to chat.
-   * This introduces a new cooking challenge to all players.
+   * This introduces a new cooking challenge to all players; the card is
+   * shared with game.deathcapsaute.introduceLocation (helpers/chat-cards.mjs).
    *
    * @param {string} locationKey - The location key
+   * @returns {Promise<ChatMessage|null>}
    */
   async introduceLocation(locationKey) {
-    const location = CONFIG.DCS.locations[locationKey];
-    if (!location) return;
-
-    const messageContent = `
-      <div class="dcs-location-intro">
-        <h2>${location.label}</h2>
-        <p class="flavor-text"><em>${location.flavorText}</em></p>
-        <hr>
-        <h3>Judge: ${location.judge}</h3>
-        <p>${location.judgeDescription}</p>
-        <p class="hazard-range"><strong>Hazard Range:</strong> ${location.hazardMin} - ${location.hazardMax}</p>
-      </div>
-    `;
-
-    await ChatMessage.create({
-      content: messageContent,
-      whisper: []  // Empty array = public message (not a whisper)
-    });
+    return introduceLocation(locationKey);
   }
 }
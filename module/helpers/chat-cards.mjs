@@ -0,0 +1,263 @@
+/**
+ * ============================================================================
+ * DEATH CAP SAUTE - Chat Cards
+ * ============================================================================
+ *
+ * The messages the roll methods of DCSActor post to chat are rendered from
+ * the Handlebars templates in templates/chat/, one per kind of card.
+ *
+ * USAGE:
+ *   await postChatCard("hazard-table", { location, entry, ... }, { actor, rolls: [roll] });
+ *
+ * CARD BUTTONS:
+ * Some cards carry buttons that write their result into the restaurant's
+ * challenge:
+ * - "Apply theme to sheet" on Shroomp & Dish Theme rolls
+ * - "Apply hazard" on hidden Hazard rolls (public ones are applied straight away)
+ * - "Assign dice" on Challenge Dice rolls (storing hidden dice first)
+ * - "Award Wild Shroomp" on hidden Wild Shroomp rolls
+ * What a button needs is saved in the message's flags
+ * (flags["death-cap-saute"].card), never read back from the HTML. Users who
+ * don't own the restaurant don't see the buttons, and every click is
+ * checked again before anything changes.
+ *
+ * ROLL MODES:
+ * Cards with rolls follow the roll mode chosen in the chat sidebar, or the
+ * one passed as the "rollMode" option (public, private GM, blind or self).
+ * On the restaurant sheet, holding a modifier key while clicking a roll
+ * button picks the mode for that roll (see ROLL_MODE_KEYS). Results of
+ * hidden rolls are not written into the sheet straight away, since anyone
+ * can read the sheet; the card's button does it when the time comes.
+ *
+ * ADDING A BUTTON:
+ * Add an entry to CARD_ACTIONS, a <button data-card-action="key"> to the
+ * card's template, and pass what the action needs as the "card" option of
+ * postChatCard().
+ */
+
+import { SYSTEM_ID } from "./settings.mjs";
+import { DiceAssignmentDialog } from "../apps/dice-assignment.mjs";
+
+/**
+ * Where the chat card templates live.
+ */
+const TEMPLATE_DIR = `systems/${SYSTEM_ID}/templates/chat`;
+
+/**
+ * Every chat card template, preloaded at startup.
+ */
+export const CHAT_TEMPLATES = [
+  "challenge-dice",
+  "death",
+  "hazard-penalty",
+  "hazard-result",
+  "hazard-table",
+  "location-intro",
+  "mutation-use",
+  "shroomp-table",
+  "single-die",
+  "wild-shroomp"
+].map(name => `${TEMPLATE_DIR}/${name}.hbs`);
+
+/**
+ * The buttons chat cards can carry. run(actor, card, message) gets the
+ * restaurant the card was posted for, the data saved with the card and the
+ * card's ChatMessage.
+ */
+export const CARD_ACTIONS = {
+
+  /** Shroomp & Dish Theme roll: fill in the challenge's theme and requirement */
+  applyTheme: {
+    run: (actor, { locationKey, roll, requirement, dishTheme }) =>
+      actor.applyShroompResult(locationKey, { roll, requirement, dishTheme })
+  },
+
+  /** Hazard roll: set the challenge's hazard to the rolled one */
+  applyHazard: {
+    run: (actor, { locationKey, hazard }) => actor.applyHazardResult(locationKey, hazard)
+  },
+
+  /**
+   * Challenge Dice roll: open the dialog for the dice not yet assigned.
+   * Hidden rolls store their dice the first time, and mark the card so an
+   * old card can't bring back dice that were already used.
+   */
+  assignDice: {
+    async run(actor, { locationKey, results, stored }, message) {
+      if (results && !stored) {
+        if (!(await actor.applyChallengeDice(locationKey, results))) return;
+        if (message.isOwner) await message.setFlag(SYSTEM_ID, "card.stored", true);
+      }
+      DiceAssignmentDialog.open(actor, locationKey);
+    }
+  },
+
+  /** Hidden Wild Shroomp roll: award it once it is revealed */
+  awardWildShroomp: {
+    run: (actor, { entry }) => actor.awardRolledWildShroomp(entry)
+  }
+};
+
+/**
+ * The modifier keys that pick a roll mode when clicking a roll button.
+ * A click without one uses the mode selected in the chat sidebar.
+ */
+export const ROLL_MODE_KEYS = {
+  shiftKey: CONST.DICE_ROLL_MODES.PRIVATE,
+  ctrlKey: CONST.DICE_ROLL_MODES.BLIND,
+  metaKey: CONST.DICE_ROLL_MODES.BLIND,
+  altKey: CONST.DICE_ROLL_MODES.SELF
+};
+
+/**
+ * The roll mode picked by the modifier keys held during a click.
+ *
+ * @param {Event} event - The click event
+ * @returns {string|undefined} A CONST.DICE_ROLL_MODES value, or undefined for the sidebar's mode
+ */
+export function getRollModeFromEvent(event) {
+  const key = Object.keys(ROLL_MODE_KEYS).find(k => event?.[k]);
+  return key ? ROLL_MODE_KEYS[key] : undefined;
+}
+
+/**
+ * Whether a roll made with this roll mode is seen by everyone.
+ *
+ * @param {string} [rollMode] - A CONST.DICE_ROLL_MODES value; the sidebar's mode if omitted
+ * @returns {boolean}
+ */
+export function isPublicRoll(rollMode) {
+  return (rollMode ?? game.settings.get("core", "rollMode")) === CONST.DICE_ROLL_MODES.PUBLIC;
+}
+
+// ============================================================================
+// RENDERING
+// ============================================================================
+
+/**
+ * Render a chat card template to HTML.
+ *
+ * @param {string} name - The template name in templates/chat/, without .hbs
+ * @param {Object} data - The template data
+ * @returns {Promise<string>}
+ */
+export async function renderChatCard(name, data) {
+  // v13 moved renderTemplate into foundry.applications.handlebars
+  const render = foundry.applications.handlebars?.renderTemplate ?? renderTemplate;
+  return render(`${TEMPLATE_DIR}/${name}.hbs`, data);
+}
+
+/**
+ * Render a chat card and post it to chat.
+ *
+ * @param {string} name - The template name in templates/chat/, without .hbs
+ * @param {Object} data - The template data
+ * @param {Object} [options]
+ * @param {Actor} [options.actor] - The restaurant posting the card (the speaker)
+ * @param {Object} [options.card] - What the card's buttons need, see CARD_ACTIONS
+ * @param {Roll[]} [options.rolls] - Rolls shown with the card
+ * @param {string} [options.rollMode] - A CONST.DICE_ROLL_MODES value. Cards
+ *   with rolls default to the mode selected in the chat sidebar; other cards
+ *   are public unless a mode is given.
+ * @returns {Promise<ChatMessage>}
+ */
+export async function postChatCard(name, data, { actor, card, rolls = [], rollMode } = {}) {
+  const messageData = { content: await renderChatCard(name, data), rolls };
+  if (actor) messageData.speaker = ChatMessage.getSpeaker({ actor });
+  if (actor && card) messageData.flags = { [SYSTEM_ID]: { card: { actorUuid: actor.uuid, ...card } } };
+  // Sets the whisper recipients and blind flag of private, blind and self rolls
+  if (rolls.length || rollMode) ChatMessage.applyRollMode(messageData, rollMode ?? game.settings.get("core", "rollMode"));
+  return ChatMessage.create(messageData);
+}
+
+/**
+ * Post a location's flavor text and judge to chat, introducing a new cooking
+ * challenge to every player. Used by the restaurant sheet, the Competition
+ * Manager and macros:
+ *   game.deathcapsaute.introduceLocation('saltyDesert')
+ *
+ * @param {string} locationKey - A key of CONFIG.DCS.locations
+ * @returns {Promise<ChatMessage|null>}
+ */
+export async function introduceLocation(locationKey) {
+  const location = CONFIG.DCS.locations[locationKey];
+  if (!location) {
+    ui.notifications.warn(game.i18n.format("DCS.Notify.UnknownLocation", { location: locationKey }));
+    return null;
+  }
+  return postChatCard("location-intro", { location });
+}
+
+// ============================================================================
+// CARD BUTTONS
+// ============================================================================
+
+/**
+ * The restaurant a card was posted for, if it still exists.
+ *
+ * @param {ChatMessage} message
+ * @returns {Actor|null}
+ */
+function getCardActor(message) {
+  const uuid = message.getFlag(SYSTEM_ID, "card")?.actorUuid;
+  return uuid ? fromUuidSync(uuid) : null;
+}
+
+/**
+ * Handle a click on a card button.
+ *
+ * @param {PointerEvent} event - The click event
+ * @param {ChatMessage} message - The message the button belongs to
+ */
+async function onCardAction(event, message) {
+  event.preventDefault();
+  const button = event.currentTarget;
+  const action = CARD_ACTIONS[button.dataset.cardAction];
+  const actor = getCardActor(message);
+  if (!action || !actor) {
+    ui.notifications.warn(game.i18n.localize("DCS.Notify.CardActorMissing"));
+    return;
+  }
+  // The buttons are hidden from non-owners, but never trust the page alone
+  if (!actor.isOwner) {
+    ui.notifications.warn(game.i18n.format("DCS.Notify.CardNotOwner", { name: actor.name }));
+    return;
+  }
+
+  button.disabled = true;
+  try {
+    await action.run(actor, message.getFlag(SYSTEM_ID, "card"), message);
+  } finally {
+    button.disabled = false;
+  }
+}
+
+/**
+ * Wire up the buttons of a rendered card, or remove them for users who don't
+ * own the restaurant. v12 passes a jQuery object and v13 a plain HTMLElement.
+ *
+ * @param {ChatMessage} message - The rendered message
+ * @param {HTMLElement|jQuery} html - Its HTML
+ */
+function onRenderChatMessage(message, html) {
+  const root = html instanceof HTMLElement ? html : html[0];
+  const buttons = root?.querySelector(".dcs-roll .card-buttons");
+  if (!buttons) return;
+
+  if (!getCardActor(message)?.isOwner) {
+    buttons.remove();
+    return;
+  }
+  for (const button of buttons.querySelectorAll("[data-card-action]")) {
+    button.addEventListener("click", event => onCardAction(event, message));
+  }
+}
+
+/**
+ * Listen for rendered chat messages. Called from the "init" hook, before the
+ * chat log is first rendered.
+ */
+export function registerChatCardListeners() {
+  const hook = game.release.generation >= 13 ? "renderChatMessageHTML" : "renderChatMessage";
+  Hooks.on(hook, onRenderChatMessage);
+}
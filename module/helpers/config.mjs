@@ -20,6 +20,12 @@
  *   CONFIG.DCS.mutations.knifeFingers.description
  *   CONFIG.DCS.locations.saltyDesert.hazardTable
  *   CONFIG.DCS.wildShroompTable
+ *
+ * TRANSLATION:
+ * Every text shown to players is an i18n key here ("DCS.Mutation.knifeFingers.Label"),
+ * with the text itself in lang/en.json, lang/fr.json... On "i18nInit",
+ * localizeConfig() swaps each key for the text in the world's language, so
+ * the rest of the system reads plain text from CONFIG.DCS.
  */
 
 export const DCS_CONFIG = {
@@ -34,43 +40,69 @@ export const DCS_CONFIG = {
    * - Dead team members cannot use their mutations
    * - The Gastromancy mutation lets you use dead members' mutations
    *
+   * These are the rulebook Mutations. In play, Mutations are "mutation"
+   * Items: the GM's client copies these entries into the Mutations
+   * compendium (helpers/mutation-items.mjs), and homebrew Mutations are
+   * simply new items - they don't need to be added here.
+   *
    * DATA STRUCTURE:
    * - Key: camelCase identifier used in code (e.g., "knifeFingers")
-   * - label: Display name for the UI (e.g., "Knife Fingers")
+   * - label: Display name for the UI (an i18n key, like every text here)
    * - description: The rules text explaining what the mutation does
+   * - effect: What the mutation does to the pending dice pool, run by
+   *   helpers/mutations.mjs. "type" picks the effect, the rest are options:
+   *   - rerollAll                    - re-roll every die
+   *   - rerollOne                    - re-roll one chosen die
+   *   - setHighest                   - set the highest die to a chosen number
+   *   - shiftPair {amount}           - -amount to one die and +amount to another
+   *   - perDeadMember {amount}       - +amount to a die per dead team member
+   *   - rollShift {amount, threshold} - roll a die; below threshold -amount,
+   *                                    otherwise +amount, split across dice
+   *   - borrow                       - use a dead team member's Mutation
+   *                                    from any restaurant (Gastromancy)
+   *   - hazardBonus {amount}         - +amount to every Hazard roll at this
+   *                                    location for the rest of the round
    */
   mutations: {
     knifeFingers: {
-      label: "Knife Fingers",
-      description: "Re-roll all 5 dice."
+      label: "DCS.Mutation.knifeFingers.Label",
+      description: "DCS.Mutation.knifeFingers.Description",
+      effect: { type: "rerollAll" }
     },
     tongueSight: {
-      label: "Tongue Sight",
-      description: "Roll a die. On 1-3, -2 to your dice. On 4-6, +2 to your dice. Split as you wish."
+      label: "DCS.Mutation.tongueSight.Label",
+      description: "DCS.Mutation.tongueSight.Description",
+      effect: { type: "rollShift", amount: 2, threshold: 4 }
     },
     permanentChefHat: {
-      label: "Permanent Chef Hat",
-      description: "Re-roll any single die."
+      label: "DCS.Mutation.permanentChefHat.Label",
+      description: "DCS.Mutation.permanentChefHat.Description",
+      effect: { type: "rerollOne" }
     },
     gastromancy: {
-      label: "Gastromancy",
-      description: "You can use the Mutation of a dead person from any team."
+      label: "DCS.Mutation.gastromancy.Label",
+      description: "DCS.Mutation.gastromancy.Description",
+      effect: { type: "borrow" }
     },
     soupGlands: {
-      label: "Soup Glands",
-      description: "Set your highest die to any number."
+      label: "DCS.Mutation.soupGlands.Label",
+      description: "DCS.Mutation.soupGlands.Description",
+      effect: { type: "setHighest" }
     },
     buttMouth: {
-      label: "Butt Mouth",
-      description: "-1 to any die and +1 to any die."
+      label: "DCS.Mutation.buttMouth.Label",
+      description: "DCS.Mutation.buttMouth.Description",
+      effect: { type: "shiftPair", amount: 1 }
     },
     cannibalConnoisseur: {
-      label: "Cannibal Connoisseur",
-      description: "+1 to a die for each dead team member."
+      label: "DCS.Mutation.cannibalConnoisseur.Label",
+      description: "DCS.Mutation.cannibalConnoisseur.Description",
+      effect: { type: "perDeadMember", amount: 1 }
     },
     curseOfTheMoonLadle: {
-      label: "Curse of the Moon Ladle",
-      description: "+1 to the Hazard roll this round. This can stack if other players also use this Mutation."
+      label: "DCS.Mutation.curseOfTheMoonLadle.Label",
+      description: "DCS.Mutation.curseOfTheMoonLadle.Description",
+      effect: { type: "hazardBonus", amount: 1 }
     }
   },
 
@@ -78,12 +110,16 @@ export const DCS_CONFIG = {
   // LOCATIONS (Cooking Challenges)
   // ==========================================================================
   /**
-   * The game has 5 cooking challenges, each at a different location.
+   * The rulebook has 5 cooking challenges, each at a different location.
    * Players progress through them in order (Salty Desert → Shroomp Lair).
    *
+   * These are the rulebook locations. A world can add, change or replace
+   * them with the "Locations File" setting - see helpers/locations.mjs.
+   * Every restaurant gets a challenge for each location automatically.
+   *
    * LOCATION DATA STRUCTURE:
    * - label: Display name of the location
-   * - order: Which challenge number (1-5)
+   * - order: Which challenge number (renumbered 1, 2, 3... when loaded)
    * - judge: Name of the NPC judge for this location
    * - judgeDescription: Flavor text describing the judge
    * - flavorText: Atmospheric description read when starting the challenge
@@ -95,42 +131,56 @@ export const DCS_CONFIG = {
    * - roll: The die result (1-6)
    * - requirement: What the player must achieve to earn a Shroomp
    * - dishTheme: The theme their dish must follow
+   * - rule: Structured version of the requirement, checked against the
+   *   assigned dice by helpers/shroomp-rules.mjs (see that file for rule types)
    *
    * HAZARD TABLE ENTRIES:
    * - roll: The die result (1-6)
    * - name: Name of the hazard
    * - value: The target number to beat with hazard dice
    * - penalty: What happens if you fail (null if no penalty)
+   * - effect: Structured version of the penalty, applied to the challenge by
+   *   helpers/hazards.mjs when the hazard is failed (see that file for types)
    */
   locations: {
     // -------------------------------------------------------------------------
     // CHALLENGE 1: SALTY DESERT
     // -------------------------------------------------------------------------
     saltyDesert: {
-      label: "Salty Desert",
+      label: "DCS.Location.saltyDesert.Label",
       order: 1,
-      judge: "Billy Wishbones",
-      judgeDescription: "An elder chef and sentient skeleton. Her bones have become encrusted in salt. Won the last Shroomp competition over 50 years ago.",
-      flavorText: "The pink and white salt dunes coruscate as the sun rises over the great desert. The ancient cooking stations are weathered by the sharp wind. Something rumbles deep beneath the ground.",
+      judge: "DCS.Location.saltyDesert.Judge",
+      judgeDescription: "DCS.Location.saltyDesert.JudgeDescription",
+      flavorText: "DCS.Location.saltyDesert.FlavorText",
       hazardMin: 5,
       hazardMax: 8,
       // Shroomp requirements and dish themes (roll 1d6 to determine)
       shroompTable: [
-        { roll: 1, requirement: "All same number", dishTheme: "Comfort Classics" },
-        { roll: 2, requirement: "All different numbers", dishTheme: "Desert Delights" },
-        { roll: 3, requirement: "3 in a row", dishTheme: "Sippin' and Dippin'" },
-        { roll: 4, requirement: "Pair of 6's", dishTheme: "Salt and Sand" },
-        { roll: 5, requirement: "Total 12+", dishTheme: "Bone Broth" },
-        { roll: 6, requirement: "No 1's", dishTheme: "Skeleton's Feast" }
+        { roll: 1, requirement: "DCS.Location.saltyDesert.Shroomp1.Requirement", dishTheme: "DCS.Location.saltyDesert.Shroomp1.DishTheme",
+          rule: { type: "allSame", scope: "all" } },
+        { roll: 2, requirement: "DCS.Location.saltyDesert.Shroomp2.Requirement", dishTheme: "DCS.Location.saltyDesert.Shroomp2.DishTheme",
+          rule: { type: "allDifferent", scope: "all" } },
+        { roll: 3, requirement: "DCS.Location.saltyDesert.Shroomp3.Requirement", dishTheme: "DCS.Location.saltyDesert.Shroomp3.DishTheme",
+          rule: { type: "run", length: 3, scope: "all" } },
+        { roll: 4, requirement: "DCS.Location.saltyDesert.Shroomp4.Requirement", dishTheme: "DCS.Location.saltyDesert.Shroomp4.DishTheme",
+          rule: { type: "countOf", face: 6, min: 2, scope: "all" } },
+        { roll: 5, requirement: "DCS.Location.saltyDesert.Shroomp5.Requirement", dishTheme: "DCS.Location.saltyDesert.Shroomp5.DishTheme",
+          rule: { type: "total", min: 12, scope: "dish" } },
+        { roll: 6, requirement: "DCS.Location.saltyDesert.Shroomp6.Requirement", dishTheme: "DCS.Location.saltyDesert.Shroomp6.DishTheme",
+          rule: { type: "noneOf", faces: [1], scope: "all" } }
       ],
       // Hazards to overcome (roll 1d6 to determine)
       hazardTable: [
-        { roll: 1, name: "Mirage of the Knife", value: 5, penalty: "Swap Presentation with Originality" },
-        { roll: 2, name: "Cactus Gnomes", value: 6, penalty: null },
-        { roll: 3, name: "Salt Goblin", value: 6, penalty: "-1 to lowest Dish die" },
-        { roll: 4, name: "Pickling Pond", value: 7, penalty: null },
-        { roll: 5, name: "Mirage of the Knife", value: 7, penalty: "Swap Presentation with Originality" },
-        { roll: 6, name: "Cactus Gnomes", value: 8, penalty: "-2 to any Dish die" }
+        { roll: 1, name: "DCS.Location.saltyDesert.Hazard1.Name", value: 5, penalty: "DCS.Location.saltyDesert.Hazard1.Penalty",
+          effect: { type: "swap", slots: ["presentation", "originality"] } },
+        { roll: 2, name: "DCS.Location.saltyDesert.Hazard2.Name", value: 6, penalty: null },
+        { roll: 3, name: "DCS.Location.saltyDesert.Hazard3.Name", value: 6, penalty: "DCS.Location.saltyDesert.Hazard3.Penalty",
+          effect: { type: "adjustLowest", amount: -1 } },
+        { roll: 4, name: "DCS.Location.saltyDesert.Hazard4.Name", value: 7, penalty: null },
+        { roll: 5, name: "DCS.Location.saltyDesert.Hazard5.Name", value: 7, penalty: "DCS.Location.saltyDesert.Hazard5.Penalty",
+          effect: { type: "swap", slots: ["presentation", "originality"] } },
+        { roll: 6, name: "DCS.Location.saltyDesert.Hazard6.Name", value: 8, penalty: "DCS.Location.saltyDesert.Hazard6.Penalty",
+          effect: { type: "adjustChoice", amount: -2 } }
       ]
     },
 
@@ -138,28 +188,38 @@ export const DCS_CONFIG = {
     // CHALLENGE 2: KING'S COURT
     // -------------------------------------------------------------------------
     kingsCourt: {
-      label: "King's Court",
+      label: "DCS.Location.kingsCourt.Label",
       order: 2,
-      judge: "Scrangly, the Rat King",
-      judgeDescription: "An ancient, rusting animatronic construct that inexplicably gained artificial intelligence. Their taste in food varies with their mood.",
-      flavorText: "Heralded as a site of historic culinary significance in the Wastelands, the ruins of The King's Court are meticulously maintained by a dedicated few. Researchers believe it was once a common area where food was served in something called a 'mall.'",
+      judge: "DCS.Location.kingsCourt.Judge",
+      judgeDescription: "DCS.Location.kingsCourt.JudgeDescription",
+      flavorText: "DCS.Location.kingsCourt.FlavorText",
       hazardMin: 5,
       hazardMax: 9,
       shroompTable: [
-        { roll: 1, requirement: "Dish score 10+", dishTheme: "Doomsday Pepper" },
-        { roll: 2, requirement: "No 2's or 5's", dishTheme: "Stir Fried Sorcery" },
-        { roll: 3, requirement: "Pair in Dish dice", dishTheme: "Royal Feast" },
-        { roll: 4, requirement: "All Dish dice odd", dishTheme: "Court Cuisine" },
-        { roll: 5, requirement: "Presentation 5+", dishTheme: "Animatronic Appetizers" },
-        { roll: 6, requirement: "All Dish dice even", dishTheme: "Mall Food Revival" }
+        { roll: 1, requirement: "DCS.Location.kingsCourt.Shroomp1.Requirement", dishTheme: "DCS.Location.kingsCourt.Shroomp1.DishTheme",
+          rule: { type: "total", min: 10, scope: "dish" } },
+        { roll: 2, requirement: "DCS.Location.kingsCourt.Shroomp2.Requirement", dishTheme: "DCS.Location.kingsCourt.Shroomp2.DishTheme",
+          rule: { type: "noneOf", faces: [2, 5], scope: "all" } },
+        { roll: 3, requirement: "DCS.Location.kingsCourt.Shroomp3.Requirement", dishTheme: "DCS.Location.kingsCourt.Shroomp3.DishTheme",
+          rule: { type: "ofAKind", count: 2, scope: "dish" } },
+        { roll: 4, requirement: "DCS.Location.kingsCourt.Shroomp4.Requirement", dishTheme: "DCS.Location.kingsCourt.Shroomp4.DishTheme",
+          rule: { type: "parity", parity: "odd", scope: "dish" } },
+        { roll: 5, requirement: "DCS.Location.kingsCourt.Shroomp5.Requirement", dishTheme: "DCS.Location.kingsCourt.Shroomp5.DishTheme",
+          rule: { type: "slot", slot: "presentation", min: 5 } },
+        { roll: 6, requirement: "DCS.Location.kingsCourt.Shroomp6.Requirement", dishTheme: "DCS.Location.kingsCourt.Shroomp6.DishTheme",
+          rule: { type: "parity", parity: "even", scope: "dish" } }
       ],
       hazardTable: [
-        { roll: 1, name: "Crumb Rats", value: 5, penalty: null },
-        { roll: 2, name: "Acidic Critics", value: 6, penalty: "-1 to Flavor" },
-        { roll: 3, name: "Kitchen Cutlery Rain", value: 7, penalty: null },
-        { roll: 4, name: "Acidic Critics", value: 7, penalty: "-2 to Flavor" },
-        { roll: 5, name: "The Tenderizer", value: 8, penalty: "-1 to all Dish dice" },
-        { roll: 6, name: "The Tenderizer", value: 9, penalty: "-2 to all Dish dice" }
+        { roll: 1, name: "DCS.Location.kingsCourt.Hazard1.Name", value: 5, penalty: null },
+        { roll: 2, name: "DCS.Location.kingsCourt.Hazard2.Name", value: 6, penalty: "DCS.Location.kingsCourt.Hazard2.Penalty",
+          effect: { type: "adjustSlot", slot: "flavor", amount: -1 } },
+        { roll: 3, name: "DCS.Location.kingsCourt.Hazard3.Name", value: 7, penalty: null },
+        { roll: 4, name: "DCS.Location.kingsCourt.Hazard4.Name", value: 7, penalty: "DCS.Location.kingsCourt.Hazard4.Penalty",
+          effect: { type: "adjustSlot", slot: "flavor", amount: -2 } },
+        { roll: 5, name: "DCS.Location.kingsCourt.Hazard5.Name", value: 8, penalty: "DCS.Location.kingsCourt.Hazard5.Penalty",
+          effect: { type: "adjustAll", amount: -1 } },
+        { roll: 6, name: "DCS.Location.kingsCourt.Hazard6.Name", value: 9, penalty: "DCS.Location.kingsCourt.Hazard6.Penalty",
+          effect: { type: "adjustAll", amount: -2 } }
       ]
     },
 
@@ -167,28 +227,37 @@ export const DCS_CONFIG = {
     // CHALLENGE 3: ONION SWAMP
     // -------------------------------------------------------------------------
     onionSwamp: {
-      label: "Onion Swamp",
+      label: "DCS.Location.onionSwamp.Label",
       order: 3,
-      judge: "The Shallot Witch",
-      judgeDescription: "A practitioner of gastromancy with a focused interest in food properties beyond look and taste. Her palette prefers dishes that would be considered 'absolute shit' by most.",
-      flavorText: "The acrid air hits the senses like a big, rotten dump truck. Ironwood docks host a thriving black market where the most forbidden ingredients are bartered away. One false step in the waters may pull you under, never to resurface.",
+      judge: "DCS.Location.onionSwamp.Judge",
+      judgeDescription: "DCS.Location.onionSwamp.JudgeDescription",
+      flavorText: "DCS.Location.onionSwamp.FlavorText",
       hazardMin: 6,
       hazardMax: 10,
       shroompTable: [
-        { roll: 1, requirement: "Lowest die is 3+", dishTheme: "Swamp Stew" },
-        { roll: 2, requirement: "Total Dish 11+", dishTheme: "Forbidden Flavors" },
-        { roll: 3, requirement: "No matching dice", dishTheme: "Witch's Brew" },
-        { roll: 4, requirement: "Originality 5+", dishTheme: "Black Market Bites" },
-        { roll: 5, requirement: "3 of a kind in Dish", dishTheme: "Onion Layers" },
-        { roll: 6, requirement: "Survive Hazard", dishTheme: "Gastromancy Special" }
+        { roll: 1, requirement: "DCS.Location.onionSwamp.Shroomp1.Requirement", dishTheme: "DCS.Location.onionSwamp.Shroomp1.DishTheme",
+          rule: { type: "minDie", min: 3, scope: "all" } },
+        { roll: 2, requirement: "DCS.Location.onionSwamp.Shroomp2.Requirement", dishTheme: "DCS.Location.onionSwamp.Shroomp2.DishTheme",
+          rule: { type: "total", min: 11, scope: "dish" } },
+        { roll: 3, requirement: "DCS.Location.onionSwamp.Shroomp3.Requirement", dishTheme: "DCS.Location.onionSwamp.Shroomp3.DishTheme",
+          rule: { type: "allDifferent", scope: "all" } },
+        { roll: 4, requirement: "DCS.Location.onionSwamp.Shroomp4.Requirement", dishTheme: "DCS.Location.onionSwamp.Shroomp4.DishTheme",
+          rule: { type: "slot", slot: "originality", min: 5 } },
+        { roll: 5, requirement: "DCS.Location.onionSwamp.Shroomp5.Requirement", dishTheme: "DCS.Location.onionSwamp.Shroomp5.DishTheme",
+          rule: { type: "ofAKind", count: 3, scope: "dish" } },
+        { roll: 6, requirement: "DCS.Location.onionSwamp.Shroomp6.Requirement", dishTheme: "DCS.Location.onionSwamp.Shroomp6.DishTheme",
+          rule: { type: "survivedHazard" } }
       ],
       hazardTable: [
-        { roll: 1, name: "Reeking Rapscallions", value: 6, penalty: null },
-        { roll: 2, name: "The Searing Fumes", value: 6, penalty: "Lose 1 Mutation from Team" },
-        { roll: 3, name: "Onion Ogre", value: 7, penalty: null },
-        { roll: 4, name: "The Bog of Beguiling", value: 8, penalty: "Re-roll each Dish die and put in same place" },
-        { roll: 5, name: "The Devil's Lettuce", value: 9, penalty: null },
-        { roll: 6, name: "Fish of the Day", value: 10, penalty: "Score 0 in Category of your choice" }
+        { roll: 1, name: "DCS.Location.onionSwamp.Hazard1.Name", value: 6, penalty: null },
+        { roll: 2, name: "DCS.Location.onionSwamp.Hazard2.Name", value: 6, penalty: "DCS.Location.onionSwamp.Hazard2.Penalty",
+          effect: { type: "loseMutation" } },
+        { roll: 3, name: "DCS.Location.onionSwamp.Hazard3.Name", value: 7, penalty: null },
+        { roll: 4, name: "DCS.Location.onionSwamp.Hazard4.Name", value: 8, penalty: "DCS.Location.onionSwamp.Hazard4.Penalty",
+          effect: { type: "rerollDish" } },
+        { roll: 5, name: "DCS.Location.onionSwamp.Hazard5.Name", value: 9, penalty: null },
+        { roll: 6, name: "DCS.Location.onionSwamp.Hazard6.Name", value: 10, penalty: "DCS.Location.onionSwamp.Hazard6.Penalty",
+          effect: { type: "setChoice", value: 0 } }
       ]
     },
 
@@ -196,28 +265,38 @@ export const DCS_CONFIG = {
     // CHALLENGE 4: MELTED MOUNTAIN
     // -------------------------------------------------------------------------
     meltedMountain: {
-      label: "Melted Mountain",
+      label: "DCS.Location.meltedMountain.Label",
       order: 4,
-      judge: "Gooble Froot",
-      judgeDescription: "A massive, mutated slug with a bad boy attitude. His thick coat of fuzz is always cultivating a new flavor through fermentation. Rumored to swap recipes with the Shroomp Lord each full moon.",
-      flavorText: "The dense forests along the mountainside give off a dull green glow that can be seen from miles away at night. Unknown shrieks and growls pierce through the cold fog. Pockets of searing radiation turn to sub-zero temperatures at the summit.",
+      judge: "DCS.Location.meltedMountain.Judge",
+      judgeDescription: "DCS.Location.meltedMountain.JudgeDescription",
+      flavorText: "DCS.Location.meltedMountain.FlavorText",
       hazardMin: 6,
       hazardMax: 11,
       shroompTable: [
-        { roll: 1, requirement: "Flavor 6", dishTheme: "Fermented Fuzz" },
-        { roll: 2, requirement: "Total Hazard 10+", dishTheme: "Mountain Melt" },
-        { roll: 3, requirement: "All dice 3+", dishTheme: "Glowing Greens" },
-        { roll: 4, requirement: "Dish total 13+", dishTheme: "Radiation Risotto" },
-        { roll: 5, requirement: "No 4's", dishTheme: "Frosty Fusion" },
-        { roll: 6, requirement: "Straight (1-2-3-4-5 or 2-3-4-5-6)", dishTheme: "Summit Surprise" }
+        { roll: 1, requirement: "DCS.Location.meltedMountain.Shroomp1.Requirement", dishTheme: "DCS.Location.meltedMountain.Shroomp1.DishTheme",
+          rule: { type: "slot", slot: "flavor", min: 6, max: 6 } },
+        { roll: 2, requirement: "DCS.Location.meltedMountain.Shroomp2.Requirement", dishTheme: "DCS.Location.meltedMountain.Shroomp2.DishTheme",
+          rule: { type: "total", min: 10, scope: "hazard" } },
+        { roll: 3, requirement: "DCS.Location.meltedMountain.Shroomp3.Requirement", dishTheme: "DCS.Location.meltedMountain.Shroomp3.DishTheme",
+          rule: { type: "minDie", min: 3, scope: "all" } },
+        { roll: 4, requirement: "DCS.Location.meltedMountain.Shroomp4.Requirement", dishTheme: "DCS.Location.meltedMountain.Shroomp4.DishTheme",
+          rule: { type: "total", min: 13, scope: "dish" } },
+        { roll: 5, requirement: "DCS.Location.meltedMountain.Shroomp5.Requirement", dishTheme: "DCS.Location.meltedMountain.Shroomp5.DishTheme",
+          rule: { type: "noneOf", faces: [4], scope: "all" } },
+        { roll: 6, requirement: "DCS.Location.meltedMountain.Shroomp6.Requirement", dishTheme: "DCS.Location.meltedMountain.Shroomp6.DishTheme",
+          rule: { type: "run", length: 5, scope: "all" } }
       ],
       hazardTable: [
-        { roll: 1, name: "Pepper Ghosts", value: 6, penalty: null },
-        { roll: 2, name: "The Brothman", value: 7, penalty: "Roll die. If 6, +3 next dish. Else, -3 next dish" },
-        { roll: 3, name: "Boiling Ooze", value: 8, penalty: null },
-        { roll: 4, name: "The Forbidden Pit", value: 9, penalty: "Score 2 in all Categories for Dish" },
-        { roll: 5, name: "Parasitic Frost", value: 10, penalty: "Roll die, subtract value from Dish, split as you wish" },
-        { roll: 6, name: "The Breathless Fog", value: 11, penalty: "Next Challenge, can't use Mutations" }
+        { roll: 1, name: "DCS.Location.meltedMountain.Hazard1.Name", value: 6, penalty: null },
+        { roll: 2, name: "DCS.Location.meltedMountain.Hazard2.Name", value: 7, penalty: "DCS.Location.meltedMountain.Hazard2.Penalty",
+          effect: { type: "nextDishGamble", success: 6, amount: 3 } },
+        { roll: 3, name: "DCS.Location.meltedMountain.Hazard3.Name", value: 8, penalty: null },
+        { roll: 4, name: "DCS.Location.meltedMountain.Hazard4.Name", value: 9, penalty: "DCS.Location.meltedMountain.Hazard4.Penalty",
+          effect: { type: "setAll", value: 2 } },
+        { roll: 5, name: "DCS.Location.meltedMountain.Hazard5.Name", value: 10, penalty: "DCS.Location.meltedMountain.Hazard5.Penalty",
+          effect: { type: "rollSplit" } },
+        { roll: 6, name: "DCS.Location.meltedMountain.Hazard6.Name", value: 11, penalty: "DCS.Location.meltedMountain.Hazard6.Penalty",
+          effect: { type: "blockMutationsNext" } }
       ]
     },
 
@@ -225,30 +304,41 @@ export const DCS_CONFIG = {
     // CHALLENGE 5: SHROOMP LAIR (Final Challenge)
     // -------------------------------------------------------------------------
     shroompLair: {
-      label: "Shroomp Lair",
+      label: "DCS.Location.shroompLair.Label",
       order: 5,
-      judge: "The Shroomp Lord",
-      judgeDescription: "Nobody knows if they were a human taken over by mushrooms or a massive mushroom colony that developed intelligence. They are the only source of the most coveted ingredient across the Wasteland: Shroomps!",
-      flavorText: "The location of the Shroomp Lair is a closely guarded secret and the journey to it is treacherous. Sounds in the cavernous space are dampened by the soft, fungal walls. The Shroomp Lord awaits upon their massive mycelium throne!",
+      judge: "DCS.Location.shroompLair.Judge",
+      judgeDescription: "DCS.Location.shroompLair.JudgeDescription",
+      flavorText: "DCS.Location.shroompLair.FlavorText",
       hazardMin: 7,
       hazardMax: 12,
       shroompTable: [
-        { roll: 1, requirement: "Dish Score 14+, all Evens", dishTheme: "Fungimentals" },
-        { roll: 2, requirement: "All Dish dice same", dishTheme: "Mycelium Medley" },
-        { roll: 3, requirement: "3 in a row, Total Dish score Even", dishTheme: "Chili Bones" },
-        { roll: 4, requirement: "Survive Hazard, +2 to Hazard Roll", dishTheme: "Herbs and Vices" },
-        { roll: 5, requirement: "6 in Presentation and Originality", dishTheme: "Doomed Legumes" },
-        { roll: 6, requirement: "Dish total 15+", dishTheme: "Signature Dish" }
+        { roll: 1, requirement: "DCS.Location.shroompLair.Shroomp1.Requirement", dishTheme: "DCS.Location.shroompLair.Shroomp1.DishTheme",
+          rule: { type: "all", rules: [{ type: "total", min: 14, scope: "dish" }, { type: "parity", parity: "even", scope: "dish" }] } },
+        { roll: 2, requirement: "DCS.Location.shroompLair.Shroomp2.Requirement", dishTheme: "DCS.Location.shroompLair.Shroomp2.DishTheme",
+          rule: { type: "allSame", scope: "dish" } },
+        { roll: 3, requirement: "DCS.Location.shroompLair.Shroomp3.Requirement", dishTheme: "DCS.Location.shroompLair.Shroomp3.DishTheme",
+          rule: { type: "all", rules: [{ type: "run", length: 3, scope: "all" }, { type: "total", parity: "even", scope: "dish" }] } },
+        { roll: 4, requirement: "DCS.Location.shroompLair.Shroomp4.Requirement", dishTheme: "DCS.Location.shroompLair.Shroomp4.DishTheme",
+          rule: { type: "survivedHazard", bonus: 2 } },
+        { roll: 5, requirement: "DCS.Location.shroompLair.Shroomp5.Requirement", dishTheme: "DCS.Location.shroompLair.Shroomp5.DishTheme",
+          rule: { type: "all", rules: [{ type: "slot", slot: "presentation", min: 6 }, { type: "slot", slot: "originality", min: 6 }] } },
+        { roll: 6, requirement: "DCS.Location.shroompLair.Shroomp6.Requirement", dishTheme: "DCS.Location.shroompLair.Shroomp6.DishTheme",
+          rule: { type: "total", min: 15, scope: "dish" } }
       ],
       // The Shroomp Lair has the most dangerous hazards
       // Note: Roll 1 causes instant elimination (team wipe)!
       hazardTable: [
-        { roll: 1, name: "The Gelatinous Oubliette", value: 7, penalty: "Your Team dies & don't present Dish" },
-        { roll: 2, name: "Mind Spores", value: 8, penalty: "Swap 2 Dish Dice with 2 Hazard Dice" },
-        { roll: 3, name: "The Ceaseless Void", value: 9, penalty: "Score 1 in all Categories for Dish" },
-        { roll: 4, name: "Shroomp Cultist", value: 10, penalty: "Lose a Shroomp" },
-        { roll: 5, name: "Cast Iron Maiden", value: 11, penalty: null },
-        { roll: 6, name: "The Whispering Sentinel", value: 12, penalty: "Give a Shroomp to another player" }
+        { roll: 1, name: "DCS.Location.shroompLair.Hazard1.Name", value: 7, penalty: "DCS.Location.shroompLair.Hazard1.Penalty",
+          effect: { type: "teamDies" } },
+        { roll: 2, name: "DCS.Location.shroompLair.Hazard2.Name", value: 8, penalty: "DCS.Location.shroompLair.Hazard2.Penalty",
+          effect: { type: "swapDishHazard" } },
+        { roll: 3, name: "DCS.Location.shroompLair.Hazard3.Name", value: 9, penalty: "DCS.Location.shroompLair.Hazard3.Penalty",
+          effect: { type: "setAll", value: 1 } },
+        { roll: 4, name: "DCS.Location.shroompLair.Hazard4.Name", value: 10, penalty: "DCS.Location.shroompLair.Hazard4.Penalty",
+          effect: { type: "loseShroomp" } },
+        { roll: 5, name: "DCS.Location.shroompLair.Hazard5.Name", value: 11, penalty: null },
+        { roll: 6, name: "DCS.Location.shroompLair.Hazard6.Name", value: 12, penalty: "DCS.Location.shroompLair.Hazard6.Penalty",
+          effect: { type: "giveShroomp" } }
       ]
     }
   },
@@ -266,14 +356,27 @@ export const DCS_CONFIG = {
    * - roll: The die result (1-6)
    * - name: The name of this special Shroomp
    * - requirement: What condition must be met to earn it
+   * - rule: How the winner is worked out from the restaurants' recorded
+   *   data (see helpers/end-game.mjs):
+   *   - mostFace {face}  - most dish dice showing "face" in completed challenges
+   *   - mostDead         - most dead team members
+   *   - fewestShroomps   - fewest Shroomps (not counting the Wild Shroomp)
+   *   - highestDish      - highest single dish score in a completed challenge
+   *   - allAlive         - every team member still alive
    */
   wildShroompTable: [
-    { roll: 1, requirement: "Most 1's among all your dishes", name: "Consolation Shroomp" },
-    { roll: 2, requirement: "Most 6's among all your dishes", name: "Lucky Shroomp" },
-    { roll: 3, requirement: "Most dead team members", name: "Sacrifice Shroomp" },
-    { roll: 4, requirement: "Fewest total Shroomps so far", name: "Underdog Shroomp" },
-    { roll: 5, requirement: "Highest single dish score", name: "Masterpiece Shroomp" },
-    { roll: 6, requirement: "All team members alive", name: "Survivor Shroomp" }
+    { roll: 1, requirement: "DCS.WildShroomp1.Requirement", name: "DCS.WildShroomp1.Name",
+      rule: { type: "mostFace", face: 1 } },
+    { roll: 2, requirement: "DCS.WildShroomp2.Requirement", name: "DCS.WildShroomp2.Name",
+      rule: { type: "mostFace", face: 6 } },
+    { roll: 3, requirement: "DCS.WildShroomp3.Requirement", name: "DCS.WildShroomp3.Name",
+      rule: { type: "mostDead" } },
+    { roll: 4, requirement: "DCS.WildShroomp4.Requirement", name: "DCS.WildShroomp4.Name",
+      rule: { type: "fewestShroomps" } },
+    { roll: 5, requirement: "DCS.WildShroomp5.Requirement", name: "DCS.WildShroomp5.Name",
+      rule: { type: "highestDish" } },
+    { roll: 6, requirement: "DCS.WildShroomp6.Requirement", name: "DCS.WildShroomp6.Name",
+      rule: { type: "allAlive" } }
   ],
 
   // ==========================================================================
@@ -291,6 +394,71 @@ export const DCS_CONFIG = {
    */
   dishCategories: ["presentation", "flavor", "originality"],
 
+  /**
+   * The five slots a Challenge roll is assigned to, in sheet order.
+   * The keys match the field names on each challenge in template.json.
+   * - label: Display name for the slot
+   * - hazard: True for the two hazard dice, false for the three dish dice
+   */
+  diceSlots: {
+    presentation: { label: "DCS.Slot.presentation", hazard: false },
+    flavor: { label: "DCS.Slot.flavor", hazard: false },
+    originality: { label: "DCS.Slot.originality", hazard: false },
+    hazard1: { label: "DCS.Slot.hazard1", hazard: true },
+    hazard2: { label: "DCS.Slot.hazard2", hazard: true }
+  },
+
+  /**
+   * How a Shroomp item was earned (its system.source), see helpers/shroomps.mjs.
+   * - label: Display name
+   * - icon: Font Awesome icon class
+   */
+  shroompSources: {
+    challenge: { label: "DCS.ShroompSource.challenge", icon: "fas fa-utensils" },
+    presentationBonus: { label: "DCS.ShroompSource.presentationBonus", icon: "fas fa-medal" },
+    flavorBonus: { label: "DCS.ShroompSource.flavorBonus", icon: "fas fa-medal" },
+    originalityBonus: { label: "DCS.ShroompSource.originalityBonus", icon: "fas fa-medal" },
+    wildShroomp: { label: "DCS.ShroompSource.wildShroomp", icon: "fas fa-dice" },
+    gift: { label: "DCS.ShroompSource.gift", icon: "fas fa-gift" },
+    manual: { label: "DCS.ShroompSource.manual", icon: "fas fa-pencil-alt" }
+  },
+
+  /**
+   * Kinds of entry in a challenge's event log (challenge.log), shown as a
+   * timeline on the challenge card.
+   * - label: Display name
+   * - icon: Font Awesome icon class
+   */
+  challengeLogTypes: {
+    roll: { label: "DCS.LogType.roll", icon: "fas fa-dice" },
+    mutation: { label: "DCS.LogType.mutation", icon: "fas fa-dna" },
+    assign: { label: "DCS.LogType.assign", icon: "fas fa-hand-pointer" },
+    hazard: { label: "DCS.LogType.hazard", icon: "fas fa-skull-crossbones" },
+    penalty: { label: "DCS.LogType.penalty", icon: "fas fa-gavel" },
+    edit: { label: "DCS.LogType.edit", icon: "fas fa-pencil-alt" }
+  },
+
+  /**
+   * The phases of a challenge round, in order. The GM steps every
+   * participating restaurant through these with the Competition app
+   * (apps/competition-manager.mjs).
+   * - label: Display name for the phase
+   * - icon: Font Awesome icon class
+   * - hint: What running the phase does
+   */
+  competitionPhases: {
+    introduce: { label: "DCS.Phase.introduce.Label", icon: "fas fa-map-marked-alt",
+      hint: "DCS.Phase.introduce.Hint" },
+    theme: { label: "DCS.Phase.theme.Label", icon: "fas fa-seedling",
+      hint: "DCS.Phase.theme.Hint" },
+    dice: { label: "DCS.Phase.dice.Label", icon: "fas fa-dice",
+      hint: "DCS.Phase.dice.Hint" },
+    hazard: { label: "DCS.Phase.hazard.Label", icon: "fas fa-skull-crossbones",
+      hint: "DCS.Phase.hazard.Hint" },
+    judge: { label: "DCS.Phase.judge.Label", icon: "fas fa-gavel",
+      hint: "DCS.Phase.judge.Hint" }
+  },
+
   /**
    * Number of dice rolled per challenge.
    * Players roll 5d6 and assign them to: Presentation, Flavor,
@@ -305,8 +473,25 @@ export const DCS_CONFIG = {
   teamMembersPerPlayer: 3,
 
   /**
-   * The game consists of 5 cooking challenges,
-   * one at each location, played in order.
+   * The game consists of one cooking challenge per location, played in
+   * order. Updated from the location list by loadLocations().
    */
   totalChallenges: 5
 };
+
+/**
+ * Replace every i18n key ("DCS.…") in a config object with its translation,
+ * in place. Called on "i18nInit" for CONFIG.DCS, and by loadLocations() for
+ * the Locations File, whose texts may be keys too. Other strings (rule and
+ * effect types, icons) are left alone.
+ *
+ * @param {Object|Array} data - The config data
+ * @returns {Object|Array} The same object
+ */
+export function localizeConfig(data) {
+  for (const [key, value] of Object.entries(data)) {
+    if (typeof value === "string" && value.startsWith("DCS.")) data[key] = game.i18n.localize(value);
+    else if (value && typeof value === "object") localizeConfig(value);
+  }
+  return data;
+}
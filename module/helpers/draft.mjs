@@ -0,0 +1,261 @@
+/**
+ * ============================================================================
+ * DEATH CAP SAUTE - Mutation Draft
+ * ============================================================================
+ *
+ * Instead of choosing their Mutations, restaurants can draft them: the
+ * players take turns picking one Mutation at a time from a shared pool, in
+ * snake order (1-2-3, 3-2-1, 1-2-3...), until every chef has one.
+ *
+ * The draft is kept in the hidden "mutationDraft" world setting:
+ *   { status: "running", restaurants: [actorId...], pool: [mutationKey...], pick: 4 }
+ * - none:    No draft
+ * - lobby:   Restaurants join from the creation wizard (apps/restaurant-wizard.mjs)
+ * - running: The GM started it; the order of the restaurants was shuffled
+ * - done:    Every chef has a Mutation
+ * "pick" counts the turns taken so far. Restaurants whose chefs all have a
+ * Mutation already are skipped.
+ *
+ * THE POOL:
+ * The pool starts with every Mutation (see getMutationChoices). A picked
+ * Mutation leaves the pool. No team may hold the same Mutation twice, so
+ * when nothing left in the pool is new to the restaurant whose turn it is,
+ * the pool is refilled with every Mutation.
+ *
+ * WHO CAN WRITE:
+ * Only the GM can save world settings, so players' joins and picks are
+ * relayed to the GM's client (see helpers/socket.mjs). The GM's client
+ * handles them one at a time, so two quick clicks can't both take a turn.
+ */
+
+import { SYSTEM_ID } from "./settings.mjs";
+import { requestGM } from "./socket.mjs";
+import { assignMutation, getMutationChoiceItem, getMutationChoices } from "./mutation-items.mjs";
+
+/**
+ * The setting value when no draft is going on.
+ */
+export const EMPTY_DRAFT = { status: "none", restaurants: [], pool: [], pick: 0 };
+
+/**
+ * Draft changes waiting on the GM's client, run one after another.
+ * @type {Promise}
+ */
+let queue = Promise.resolve();
+
+/**
+ * Run a draft change after the ones already waiting.
+ *
+ * @param {Function} fn - async () => *
+ * @returns {Promise<*>} What fn returns
+ */
+function enqueue(fn) {
+  const result = queue.then(fn);
+  queue = result.catch(() => {});
+  return result;
+}
+
+/**
+ * Shuffle a list in place (Fisher-Yates).
+ *
+ * @param {Array} list
+ * @returns {Array} The same list
+ */
+export function shuffle(list) {
+  for (let i = list.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [list[i], list[j]] = [list[j], list[i]];
+  }
+  return list;
+}
+
+// ============================================================================
+// READING THE DRAFT
+// ============================================================================
+
+/**
+ * Read the draft state.
+ * @returns {{status: string, restaurants: string[], pool: string[], pick: number}}
+ */
+export function getDraftState() {
+  return game.settings.get(SYSTEM_ID, "mutationDraft");
+}
+
+/**
+ * The restaurants in the draft that still exist, in draft order.
+ *
+ * @param {Object} [state] - The draft state
+ * @returns {Actor[]}
+ */
+export function getDraftRestaurants(state = getDraftState()) {
+  return state.restaurants.map(id => game.actors.get(id)).filter(a => a?.type === "restaurant");
+}
+
+/**
+ * The team members of a restaurant still waiting for a Mutation.
+ *
+ * @param {Actor} actor - The restaurant
+ * @returns {number[]} Their indices
+ */
+export function getOpenChefs(actor) {
+  return actor.system.teamMembers.flatMap((m, i) => (m.alive && !m.mutation ? [i] : []));
+}
+
+/**
+ * Whose turn it is: the first turn from state.pick on whose restaurant
+ * still has a chef without a Mutation.
+ *
+ * @param {Object} [state] - The draft state
+ * @returns {{pick: number, actor: Actor}|null} Null once the draft is over
+ */
+export function getCurrentTurn(state = getDraftState()) {
+  if (state.status !== "running") return null;
+  const restaurants = getDraftRestaurants(state);
+  const count = restaurants.length;
+  const rounds = Math.max(0, ...restaurants.map(a => a.system.teamMembers.length));
+
+  for (let pick = state.pick; pick < count * rounds; pick++) {
+    // Snake order: every other round runs backwards
+    const round = Math.floor(pick / count);
+    const position = pick % count;
+    const actor = restaurants[round % 2 ? count - 1 - position : position];
+    if (getOpenChefs(actor).length) return { pick, actor };
+  }
+  return null;
+}
+
+/**
+ * Why a restaurant can't pick a Mutation right now, if it can't.
+ *
+ * @param {Actor} actor - The restaurant picking
+ * @param {string} key - The mutation key
+ * @param {Object} [state] - The draft state
+ * @returns {string|undefined} The reason, or nothing if the pick is allowed
+ */
+export function validateDraftPick(actor, key, state = getDraftState()) {
+  const turn = getCurrentTurn(state);
+  if (!turn) return game.i18n.localize("DCS.Draft.NotRunning");
+  if (turn.actor !== actor) return game.i18n.format("DCS.Draft.NotYourTurn", { name: turn.actor.name });
+  if (!state.pool.includes(key)) return game.i18n.localize("DCS.Draft.NotInPool");
+  if (actor.system.teamMembers.some(m => m.mutation === key)) return game.i18n.localize("DCS.Draft.AlreadyOnTeam");
+}
+
+// ============================================================================
+// CHANGING THE DRAFT
+// ============================================================================
+
+/**
+ * Refill the pool when the restaurant whose turn it is can't use anything
+ * left in it. Changes the state in place.
+ *
+ * @param {Object} state - The draft state
+ * @returns {Promise<void>}
+ */
+async function refillPool(state) {
+  const turn = getCurrentTurn(state);
+  if (!turn) return;
+  const owned = new Set(turn.actor.system.teamMembers.map(m => m.mutation));
+  if (state.pool.some(key => !owned.has(key))) return;
+  state.pool = (await getMutationChoices()).map(c => c.key);
+}
+
+/**
+ * Put a restaurant in the draft. Starts a new lobby if no draft is open.
+ *
+ * @param {Actor} actor - The restaurant
+ * @returns {Promise<boolean>} True if the restaurant is in the draft
+ */
+export async function joinDraft(actor) {
+  if (!game.user.isGM) return !!(await requestGM("joinDraft", { actorId: actor.id }));
+
+  return enqueue(async () => {
+    let state = foundry.utils.deepClone(getDraftState());
+    if (state.status === "running") {
+      ui.notifications.warn(game.i18n.localize("DCS.Draft.AlreadyRunning"));
+      return false;
+    }
+    if (state.status !== "lobby") state = { ...foundry.utils.deepClone(EMPTY_DRAFT), status: "lobby" };
+    if (!state.restaurants.includes(actor.id)) state.restaurants.push(actor.id);
+    await game.settings.set(SYSTEM_ID, "mutationDraft", state);
+    return true;
+  });
+}
+
+/**
+ * Start the draft with the restaurants in the lobby, in a random order.
+ * GM only.
+ *
+ * @returns {Promise<boolean>} True if the draft started
+ */
+export async function startDraft() {
+  if (!game.user.isGM) {
+    ui.notifications.warn(game.i18n.localize("DCS.Draft.GMOnly"));
+    return false;
+  }
+
+  return enqueue(async () => {
+    const state = foundry.utils.deepClone(getDraftState());
+    const restaurants = getDraftRestaurants(state).filter(a => getOpenChefs(a).length);
+    if (state.status !== "lobby" || !restaurants.length) {
+      ui.notifications.warn(game.i18n.localize("DCS.Draft.NobodyToDraft"));
+      return false;
+    }
+    Object.assign(state, {
+      status: "running",
+      restaurants: shuffle(restaurants.map(a => a.id)),
+      pool: (await getMutationChoices()).map(c => c.key),
+      pick: 0
+    });
+    await game.settings.set(SYSTEM_ID, "mutationDraft", state);
+    return true;
+  });
+}
+
+/**
+ * End the draft, keeping the Mutations picked so far.
+ * GM only.
+ *
+ * @returns {Promise<void>}
+ */
+export async function cancelDraft() {
+  if (!game.user.isGM) {
+    ui.notifications.warn(game.i18n.localize("DCS.Draft.GMOnly"));
+    return;
+  }
+  await enqueue(() => game.settings.set(SYSTEM_ID, "mutationDraft", foundry.utils.deepClone(EMPTY_DRAFT)));
+}
+
+/**
+ * Pick a Mutation from the pool for the restaurant whose turn it is. It
+ * goes to the restaurant's first chef without one, and the turn passes on.
+ *
+ * @param {Actor} actor - The restaurant picking
+ * @param {string} key - The mutation key
+ * @returns {Promise<boolean>} True if the Mutation was picked
+ */
+export async function pickMutation(actor, key) {
+  if (!game.user.isGM) return !!(await requestGM("draftPick", { actorId: actor.id, key }));
+
+  return enqueue(async () => {
+    const state = foundry.utils.deepClone(getDraftState());
+    const error = validateDraftPick(actor, key, state);
+    if (error) {
+      ui.notifications.warn(error);
+      return false;
+    }
+
+    const turn = getCurrentTurn(state);
+    const item = await getMutationChoiceItem(key);
+    if (!item || !(await assignMutation(actor, getOpenChefs(actor)[0], item))) return false;
+
+    state.pool.splice(state.pool.indexOf(key), 1);
+    state.pick = turn.pick + 1;
+    await refillPool(state);
+    if (!getCurrentTurn(state)) {
+      state.status = "done";
+      ui.notifications.info(game.i18n.localize("DCS.Draft.Finished"));
+    }
+    await game.settings.set(SYSTEM_ID, "mutationDraft", state);
+    return true;
+  });
+}
@@ -0,0 +1,296 @@
+/**
+ * ============================================================================
+ * DEATH CAP SAUTE - End-Game Scoring
+ * ============================================================================
+ *
+ * After the final challenge, the restaurant with the highest Presentation,
+ * Flavor and Originality totals each earn a bonus Shroomp. This file compares
+ * the restaurants and writes the result to system.endGame on every actor.
+ *
+ * WHO TAKES PART:
+ * The restaurants in the Competition (apps/competition-manager.mjs), or every
+ * restaurant in the world if no competition has been set up.
+ *
+ * TIES:
+ * The "endGameTieRule" world setting decides what happens when several
+ * restaurants share the highest total:
+ * - "shared" - every tied restaurant gets the bonus
+ * - "none"   - nobody gets the bonus
+ * - "gm"     - the GM picks the winner in a dialog
+ *
+ * WILD SHROOMP:
+ * Each wildShroompTable entry has a "rule" (see config.mjs). WILD_SHROOMP_RULES
+ * scores every restaurant for that rule and the best score wins. A tie is
+ * never settled automatically - the GM decides.
+ *
+ * Writing to other players' actors needs GM permissions, so the award
+ * functions are GM only.
+ */
+
+import { SYSTEM_ID } from "./settings.mjs";
+import { getScopeDice } from "./shroomp-rules.mjs";
+import { getLocationOrder } from "./locations.mjs";
+
+const { DialogV2 } = foundry.applications.api;
+
+/**
+ * The end-game bonus categories: the total they compare and the endGame
+ * field they set.
+ */
+export const CATEGORY_BONUSES = {
+  presentation: { label: "DCS.Slot.presentation", field: "presentationBonus" },
+  flavor: { label: "DCS.Slot.flavor", field: "flavorBonus" },
+  originality: { label: "DCS.Slot.originality", field: "originalityBonus" }
+};
+
+/**
+ * The restaurants competing for end-game bonuses.
+ * @returns {Actor[]}
+ */
+export function getCompetitors() {
+  const restaurants = game.actors.filter(a => a.type === "restaurant");
+  const participants = game.settings.get(SYSTEM_ID, "competition")?.participants ?? [];
+  if (!participants.length) return restaurants;
+  return restaurants.filter(a => participants.includes(a.id));
+}
+
+/**
+ * Find the restaurants with the highest (or lowest) score.
+ *
+ * @param {Actor[]} actors - The restaurants to compare
+ * @param {function(Actor): number} score - Score for each restaurant
+ * @param {Object} [options]
+ * @param {boolean} [options.lowest=false] - Lowest score wins instead
+ * @returns {{best: number, leaders: Actor[]}}
+ */
+export function findLeaders(actors, score, { lowest = false } = {}) {
+  const scores = actors.map(actor => ({ actor, value: score(actor) }));
+  const values = scores.map(s => s.value);
+  const best = lowest ? Math.min(...values) : Math.max(...values);
+  return { best, leaders: scores.filter(s => s.value === best).map(s => s.actor) };
+}
+
+/**
+ * Ask the GM to break a tie.
+ *
+ * @param {string} title - Dialog title
+ * @param {Actor[]} tied - The tied restaurants
+ * @param {string} description - What is being decided
+ * @returns {Promise<Actor|null>} The chosen restaurant, or null for nobody
+ */
+export async function chooseTieWinner(title, tied, description) {
+  const options = tied.map(a => `<option value="${a.id}">${Handlebars.escapeExpression(a.name)}</option>`).join("");
+  const id = await DialogV2.prompt({
+    window: { title },
+    content: `
+      <p>${description}</p>
+      <div class="form-group">
+        <label>${game.i18n.localize("DCS.EndGame.Winner")}</label>
+        <select name="winner">${options}<option value="">${game.i18n.localize("DCS.EndGame.Nobody")}</option></select>
+      </div>`,
+    rejectClose: false,
+    ok: {
+      label: game.i18n.localize("DCS.Dialog.Confirm"),
+      callback: (event, button) => button.form.elements.winner.value
+    }
+  });
+  return id ? game.actors.get(id) ?? null : null;
+}
+
+/**
+ * Award the Presentation, Flavor and Originality bonus Shroomps.
+ * Every competitor's three bonus checkboxes are set (or cleared), so running
+ * this again after a score changes corrects the result.
+ *
+ * @returns {Promise<Object|null>} Category key to the winning actors, or
+ *   null if the awards couldn't be made
+ */
+export async function awardCategoryBonuses() {
+  if (!game.user.isGM) {
+    ui.notifications.warn(game.i18n.localize("DCS.EndGame.GMOnly"));
+    return null;
+  }
+  const actors = getCompetitors();
+  if (!actors.length) {
+    ui.notifications.warn(game.i18n.localize("DCS.EndGame.NoRestaurants"));
+    return null;
+  }
+
+  const tieRule = game.settings.get(SYSTEM_ID, "endGameTieRule");
+  const results = {};
+  // The names go into dialog and chat HTML
+  const escape = Handlebars.escapeExpression;
+
+  for (const [category, bonus] of Object.entries(CATEGORY_BONUSES)) {
+    const { best, leaders } = findLeaders(actors, a => a.system.totals?.[category] ?? 0);
+    let winners = leaders;
+    let note = "";
+
+    if (leaders.length > 1) {
+      const names = leaders.map(a => escape(a.name)).join(", ");
+      const label = game.i18n.localize(bonus.label);
+      if (tieRule === "none") {
+        winners = [];
+        note = game.i18n.format("DCS.EndGame.TieNone", { names });
+      } else if (tieRule === "gm") {
+        const chosen = await chooseTieWinner(game.i18n.format("DCS.EndGame.TieTitle", { label }), leaders,
+          game.i18n.format("DCS.EndGame.TieBonus", { names, label, best }));
+        winners = chosen ? [chosen] : [];
+        note = game.i18n.format("DCS.EndGame.TieGM", { names });
+      } else {
+        note = game.i18n.format("DCS.EndGame.TieShared", { names });
+      }
+    }
+    results[category] = { best, winners, note };
+  }
+
+  // Write every competitor's three checkboxes in one update each
+  for (const actor of actors) {
+    const updates = {};
+    for (const [category, bonus] of Object.entries(CATEGORY_BONUSES)) {
+      updates[`system.endGame.${bonus.field}`] = results[category].winners.includes(actor);
+    }
+    await actor.update(updates);
+  }
+
+  const content = `
+    <div class="dcs-roll end-game-bonuses">
+      <h3>${game.i18n.localize("DCS.EndGame.Title")}</h3>
+      ${Object.entries(CATEGORY_BONUSES).map(([category, bonus]) => {
+        const { best, winners, note } = results[category];
+        const names = winners.length ? winners.map(a => escape(a.name)).join(" & ") : game.i18n.localize("DCS.EndGame.Nobody");
+        const award = winners.length ? ` ${game.i18n.localize("DCS.EndGame.PlusShroomp")}` : "";
+        return `<p><strong>${game.i18n.localize(bonus.label)} (${best}):</strong> ${names}${award}
+          ${note ? `<br><em>${note}</em>` : ""}</p>`;
+      }).join("")}
+    </div>
+  `;
+  await ChatMessage.create({ content });
+
+  return Object.fromEntries(Object.entries(results).map(([key, r]) => [key, r.winners]));
+}
+
+// ============================================================================
+// WILD SHROOMP
+// ============================================================================
+
+/**
+ * Completed challenges of a restaurant.
+ * @param {Actor} actor
+ * @returns {Object[]} Challenge data
+ */
+function completedChallenges(actor) {
+  return getLocationOrder().map(key => actor.system.challenges?.[key]).filter(c => c?.completed);
+}
+
+/**
+ * The Wild Shroomp rule types. Each has:
+ * - score(actor, rule): The restaurant's score for the rule
+ * - lowest: True if the lowest score wins
+ * - qualifies(best): Whether the best score earns anything at all
+ *   (nobody wins "most 1's" if nobody rolled a 1)
+ * - describe(best, rule): The winning score in words
+ */
+export const WILD_SHROOMP_RULES = {
+  mostFace: {
+    score: (actor, rule) => completedChallenges(actor)
+      .flatMap(c => getScopeDice(c, "dish"))
+      .filter(d => d === rule.face).length,
+    qualifies: best => best > 0,
+    describe: (best, rule) => `${best} × ${rule.face}`
+  },
+
+  mostDead: {
+    score: actor => actor.system.deadTeamMembers,
+    qualifies: best => best > 0,
+    describe: best => game.i18n.format("DCS.EndGame.Dead", { count: best })
+  },
+
+  fewestShroomps: {
+    // The Wild Shroomp itself doesn't count (it may be re-rolled)
+    score: actor => (actor.system.totals?.shroomps ?? 0) - (actor.system.endGame?.wildShroomp ? 1 : 0),
+    lowest: true,
+    qualifies: () => true,
+    describe: best => game.i18n.format(best === 1 ? "DCS.EndGame.OneShroomp" : "DCS.EndGame.Shroomps", { count: best })
+  },
+
+  highestDish: {
+    score: actor => Math.max(0, ...completedChallenges(actor).map(c => c.dishTotal)),
+    qualifies: best => best > 0,
+    describe: best => game.i18n.format("DCS.EndGame.Dish", { best })
+  },
+
+  allAlive: {
+    score: actor => (actor.system.teamMembers.length && !actor.system.deadTeamMembers) ? 1 : 0,
+    qualifies: best => best > 0,
+    describe: () => game.i18n.localize("DCS.EndGame.AllAlive")
+  }
+};
+
+/**
+ * Work out who earns a Wild Shroomp.
+ *
+ * @param {Object} entry - The wildShroompTable entry
+ * @param {Actor[]} [actors] - The restaurants to compare (defaults to the competitors)
+ * @returns {{winners: Actor[], tied: boolean, description: string}|null}
+ *   Null if the entry has no rule the system can check. "winners" is empty
+ *   when nobody qualifies and has several entries when there is a tie.
+ */
+export function resolveWildShroomp(entry, actors = getCompetitors()) {
+  const rule = entry?.rule;
+  const handler = WILD_SHROOMP_RULES[rule?.type];
+  if (!handler || !actors.length) return null;
+
+  const { best, leaders } = findLeaders(actors, a => handler.score(a, rule), { lowest: handler.lowest });
+  if (!handler.qualifies(best)) return { winners: [], tied: false, description: game.i18n.localize("DCS.Chat.WildShroomp.Nobody") };
+  return { winners: leaders, tied: leaders.length > 1, description: handler.describe(best, rule) };
+}
+
+/**
+ * Give the Wild Shroomp to one restaurant and take it from everyone else,
+ * so re-rolling the Wild Shroomp replaces the earlier result.
+ * GM only.
+ *
+ * @param {Object} entry - The wildShroompTable entry
+ * @param {Actor|null} winner - The restaurant that earns it, or null for nobody
+ * @returns {Promise<void>}
+ */
+export async function setWildShroompWinner(entry, winner) {
+  for (const actor of getCompetitors()) {
+    const won = actor === winner;
+    if (!won && !actor.system.endGame?.wildShroomp && !actor.system.endGame?.wildShroompName) continue;
+    await actor.update({
+      "system.endGame.wildShroomp": won,
+      "system.endGame.wildShroompName": won ? entry.name : ""
+    });
+  }
+}
+
+/**
+ * Resolve and award a Wild Shroomp. A single winner gets it straight away;
+ * for a tie the GM is asked to pick.
+ * GM only.
+ *
+ * @param {Object} entry - The wildShroompTable entry
+ * @param {Object} [resolution] - A result from resolveWildShroomp() to reuse
+ * @returns {Promise<Actor|null>} The restaurant awarded the Wild Shroomp
+ */
+export async function awardWildShroomp(entry, resolution = resolveWildShroomp(entry)) {
+  if (!game.user.isGM || !resolution) return null;
+
+  let winner = resolution.winners[0] ?? null;
+  if (resolution.tied) {
+    // The names go into dialog and chat HTML
+    const escape = Handlebars.escapeExpression;
+    const name = escape(entry.name);
+    const names = resolution.winners.map(a => escape(a.name)).join(", ");
+    winner = await chooseTieWinner(game.i18n.format("DCS.EndGame.TieTitle", { label: entry.name }), resolution.winners,
+      game.i18n.format("DCS.EndGame.TieWild", { names, name, description: resolution.description }));
+    const awarded = game.i18n.format("DCS.EndGame.GMAwards", { winner: escape(winner?.name ?? game.i18n.localize("DCS.EndGame.Nobody")) });
+    await ChatMessage.create({
+      content: `<div class="dcs-roll wild-shroomp"><p><strong>${name}:</strong> ${awarded}</p></div>`
+    });
+  }
+  await setWildShroompWinner(entry, winner);
+  return winner;
+}
@@ -0,0 +1,412 @@
+/**
+ * ============================================================================
+ * DEATH CAP SAUTE - Hazard Resolution and Penalties
+ * ============================================================================
+ *
+ * Each challenge has a Hazard: a target value rolled on the location's
+ * hazardTable. The team survives if Hazard 1 + Hazard 2 meets or beats it.
+ *
+ * The actor calls resolveHazard() from _preUpdate() whenever the hazard
+ * dice or the hazard value change, so survivedHazard is always in step
+ * with the numbers on the sheet.
+ *
+ * PENALTIES:
+ * Some hazards carry an extra penalty when failed. Each hazardTable entry
+ * has an "effect" (e.g. { type: "swap", slots: [...] }) and PENALTY_EFFECTS
+ * below holds the code for each type. A penalty effect never writes to the
+ * database itself; it returns the updates it wants to make:
+ *   { summary, updates: {path: value}, shroompTransfer: {item, target}, rolls }
+ * "shroompTransfer" takes a shroomp item away (and gives it to "target",
+ * if set) - see helpers/shroomps.mjs.
+ * DCSActor.applyHazardPenalty() records the old value of every path it
+ * changes, so the penalty can be reviewed and reverted later.
+ */
+
+import { promptChoices } from "./mutations.mjs";
+import { getShroompItems } from "./shroomps.mjs";
+import { getNextLocationKey } from "./locations.mjs";
+
+/**
+ * Work out whether a challenge's hazard was survived.
+ *
+ * @param {Object} challenge - Stored challenge data (hazard1, hazard2, hazardValue)
+ * @returns {{total: number, target: number, survived: boolean}|null}
+ *   Null while the hazard value or either hazard die is still missing
+ */
+export function resolveHazard(challenge) {
+  const hazard1 = Number(challenge.hazard1) || 0;
+  const hazard2 = Number(challenge.hazard2) || 0;
+  const target = Number(challenge.hazardValue) || 0;
+  if (!target || !hazard1 || !hazard2) return null;
+
+  const total = hazard1 + hazard2;
+  return { total, target, survived: total >= target };
+}
+
+/**
+ * Find the hazardTable entry a challenge is facing. Uses the stored d6
+ * result, which hazards typed on the sheet get too (see
+ * DCSActor._matchTypedEntries()), so it works in every client's language.
+ * Otherwise matches the name and penalty text, in this client's language.
+ *
+ * @param {string} locationKey - The location key
+ * @param {Object} challenge - Stored challenge data
+ * @returns {Object|null} The hazard table entry
+ */
+export function findHazardEntry(locationKey, challenge) {
+  const table = CONFIG.DCS.locations[locationKey]?.hazardTable ?? [];
+  if (challenge.hazardRoll) return table.find(e => e.roll === challenge.hazardRoll) ?? null;
+
+  const name = (challenge.hazardName ?? "").trim().toLowerCase();
+  if (!name) return null;
+  const byName = table.filter(e => e.name.toLowerCase() === name);
+  // Same-named hazards can have different penalties (e.g. Acidic Critics)
+  return byName.find(e => (e.penalty ?? "") === challenge.hazardPenalty) ?? byName[0] ?? null;
+}
+
+// ============================================================================
+// PENALTY HELPERS
+// ============================================================================
+
+/**
+ * Scores can be pushed down to 0 by penalties, but never past a d6 face.
+ * @param {number} value
+ * @returns {number}
+ */
+function clampScore(value) {
+  return Math.min(6, Math.max(0, value));
+}
+
+/**
+ * The dish slot keys (Presentation, Flavor, Originality).
+ * @returns {string[]}
+ */
+function dishSlots() {
+  return Object.entries(CONFIG.DCS.diceSlots).filter(([, slot]) => !slot.hazard).map(([key]) => key);
+}
+
+/**
+ * <option> list of dish slots with their current values.
+ * @param {Object} challenge - Stored challenge data
+ * @returns {string} HTML options
+ */
+function slotOptions(challenge) {
+  return dishSlots()
+    .map(key => `<option value="${key}">${CONFIG.DCS.diceSlots[key].label} (${challenge[key] || 0})</option>`)
+    .join("");
+}
+
+/**
+ * Build a {path: value} update for some of a challenge's slots.
+ * @param {string} locationKey - The location key
+ * @param {Object} values - Slot key to new value
+ * @returns {Object} Flat update object
+ */
+function slotUpdates(locationKey, values) {
+  return Object.fromEntries(
+    Object.entries(values).map(([slot, value]) => [`system.challenges.${locationKey}.${slot}`, value])
+  );
+}
+
+/**
+ * Roll some d6 and return the Roll and its individual results.
+ * @param {number} count - How many dice
+ * @returns {Promise<{roll: Roll, results: number[]}>}
+ */
+async function rollDice(count) {
+  const roll = new Roll(`${count}d6`);
+  await roll.evaluate();
+  return { roll, results: roll.dice[0].results.map(r => r.result) };
+}
+
+/**
+ * Build the <option> list for picking one of a restaurant's Shroomps.
+ * @param {Item[]} shroomps - shroomp items
+ * @returns {string} HTML options
+ */
+function shroompOptions(shroomps) {
+  return shroomps.map(i => {
+    const where = CONFIG.DCS.locations[i.system.location]?.label;
+    // Players can rename their Shroomps, so the name is escaped
+    return `<option value="${i.id}">${Handlebars.escapeExpression(i.name)}${where ? ` (${where})` : ""}</option>`;
+  }).join("");
+}
+
+/**
+ * Ask the player which of their Shroomps a penalty takes.
+ *
+ * @param {Actor} actor - The restaurant
+ * @param {string} label - Label for the choice
+ * @returns {Promise<Item|null|undefined>} The item, null if cancelled, or
+ *   undefined if the restaurant has no Shroomps
+ */
+async function chooseShroomp(actor, label) {
+  const shroomps = getShroompItems(actor);
+  if (!shroomps.length) return undefined;
+  if (shroomps.length === 1) return shroomps[0];
+  const choice = await promptChoices(game.i18n.localize("DCS.Penalty.Title"), [
+    { name: "itemId", label, options: shroompOptions(shroomps) }
+  ]);
+  return choice ? actor.items.get(choice.itemId) : null;
+}
+
+// ============================================================================
+// PENALTY EFFECTS
+// ============================================================================
+/**
+ * Keys match the "type" of a hazardTable entry's effect in config.mjs.
+ * Each receives {actor, locationKey, challenge, effect} and returns the
+ * outcome described in the file header, or null if the player cancelled.
+ */
+export const PENALTY_EFFECTS = {
+
+  /** Swap two slots, e.g. Presentation and Originality */
+  async swap({ locationKey, challenge, effect }) {
+    const [a, b] = effect.slots;
+    const labels = effect.slots.map(s => CONFIG.DCS.diceSlots[s].label);
+    return {
+      summary: game.i18n.format("DCS.Penalty.Swapped", { a: labels[0], aValue: challenge[a], b: labels[1], bValue: challenge[b] }),
+      updates: slotUpdates(locationKey, { [a]: challenge[b], [b]: challenge[a] })
+    };
+  },
+
+  /** Adjust the lowest dish die */
+  async adjustLowest({ locationKey, challenge, effect }) {
+    const slot = dishSlots().reduce((low, key) => (challenge[key] < challenge[low] ? key : low));
+    const value = clampScore(challenge[slot] + effect.amount);
+    return {
+      summary: game.i18n.format("DCS.Penalty.Adjusted", { amount: effect.amount, slot: CONFIG.DCS.diceSlots[slot].label, before: challenge[slot], after: value }),
+      updates: slotUpdates(locationKey, { [slot]: value })
+    };
+  },
+
+  /** Adjust a dish die of the player's choice */
+  async adjustChoice({ locationKey, challenge, effect }) {
+    const choice = await promptChoices(game.i18n.localize("DCS.Penalty.Title"), [
+      { name: "slot", label: game.i18n.format("DCS.Penalty.AdjustTo", { amount: effect.amount }), options: slotOptions(challenge) }
+    ]);
+    if (!choice) return null;
+    const value = clampScore(challenge[choice.slot] + effect.amount);
+    return {
+      summary: game.i18n.format("DCS.Penalty.Adjusted", { amount: effect.amount, slot: CONFIG.DCS.diceSlots[choice.slot].label, before: challenge[choice.slot], after: value }),
+      updates: slotUpdates(locationKey, { [choice.slot]: value })
+    };
+  },
+
+  /** Adjust one fixed slot, e.g. -1 to Flavor */
+  async adjustSlot({ locationKey, challenge, effect }) {
+    const value = clampScore(challenge[effect.slot] + effect.amount);
+    return {
+      summary: game.i18n.format("DCS.Penalty.Adjusted", { amount: effect.amount, slot: CONFIG.DCS.diceSlots[effect.slot].label, before: challenge[effect.slot], after: value }),
+      updates: slotUpdates(locationKey, { [effect.slot]: value })
+    };
+  },
+
+  /** Adjust every dish die */
+  async adjustAll({ locationKey, challenge, effect }) {
+    const values = Object.fromEntries(dishSlots().map(s => [s, clampScore(challenge[s] + effect.amount)]));
+    return {
+      summary: game.i18n.format("DCS.Penalty.AdjustedAll", { amount: effect.amount }),
+      updates: slotUpdates(locationKey, values)
+    };
+  },
+
+  /** Set every dish die to a fixed score */
+  async setAll({ locationKey, effect }) {
+    const values = Object.fromEntries(dishSlots().map(s => [s, effect.value]));
+    return {
+      summary: game.i18n.format("DCS.Penalty.SetAll", { value: effect.value }),
+      updates: slotUpdates(locationKey, values)
+    };
+  },
+
+  /** Set a dish category of the player's choice to a fixed score */
+  async setChoice({ locationKey, challenge, effect }) {
+    const choice = await promptChoices(game.i18n.localize("DCS.Penalty.Title"), [
+      { name: "slot", label: game.i18n.format("DCS.Penalty.ScoreIn", { value: effect.value }), options: slotOptions(challenge) }
+    ]);
+    if (!choice) return null;
+    return {
+      summary: game.i18n.format("DCS.Penalty.SetOne", { value: effect.value, slot: CONFIG.DCS.diceSlots[choice.slot].label }),
+      updates: slotUpdates(locationKey, { [choice.slot]: effect.value })
+    };
+  },
+
+  /** Re-roll each dish die and keep it in the same slot */
+  async rerollDish({ locationKey }) {
+    const slots = dishSlots();
+    const { roll, results } = await rollDice(slots.length);
+    const values = Object.fromEntries(slots.map((s, i) => [s, results[i]]));
+    return {
+      summary: game.i18n.format("DCS.Penalty.Rerolled", { dice: results.join(", ") }),
+      updates: slotUpdates(locationKey, values),
+      rolls: [roll]
+    };
+  },
+
+  /** Roll a die and subtract its value from the dish, split as the player wishes */
+  async rollSplit({ locationKey, challenge }) {
+    const { roll, results } = await rollDice(1);
+    const fields = Array.from({ length: results[0] }, (_, i) => ({
+      name: `step${i}`, label: game.i18n.format("DCS.Penalty.AdjustTo", { amount: -1 }), options: slotOptions(challenge)
+    }));
+    const choices = await promptChoices(game.i18n.localize("DCS.Penalty.Title"), fields, game.i18n.format("DCS.Penalty.SplitHint", { roll: results[0] }));
+    const values = Object.fromEntries(dishSlots().map(s => [s, challenge[s]]));
+    if (choices) {
+      for (const slot of Object.values(choices)) values[slot] = clampScore(values[slot] - 1);
+    } else {
+      // The die was rolled, so the penalty still applies: take each point
+      // from whichever dish die is currently highest
+      for (let i = 0; i < results[0]; i++) {
+        const highest = dishSlots().reduce((high, key) => (values[key] > values[high] ? key : high));
+        values[highest] = clampScore(values[highest] - 1);
+      }
+    }
+    return {
+      summary: game.i18n.format("DCS.Penalty.Split", { roll: results[0] }),
+      updates: slotUpdates(locationKey, values),
+      rolls: [roll]
+    };
+  },
+
+  /** Swap two dish dice (player's choice) with the two hazard dice */
+  async swapDishHazard({ locationKey, challenge }) {
+    const choice = await promptChoices(game.i18n.localize("DCS.Penalty.Title"), [
+      { name: "first", label: game.i18n.format("DCS.Penalty.SwapWith", { slot: CONFIG.DCS.diceSlots.hazard1.label }), options: slotOptions(challenge) },
+      { name: "second", label: game.i18n.format("DCS.Penalty.SwapWith", { slot: CONFIG.DCS.diceSlots.hazard2.label }), options: slotOptions(challenge) }
+    ]);
+    if (!choice) return null;
+    if (choice.first === choice.second) {
+      ui.notifications.warn(game.i18n.localize("DCS.Penalty.PickTwo"));
+      return null;
+    }
+    return {
+      summary: game.i18n.format("DCS.Penalty.SwappedHazard", { first: CONFIG.DCS.diceSlots[choice.first].label, second: CONFIG.DCS.diceSlots[choice.second].label }),
+      updates: slotUpdates(locationKey, {
+        [choice.first]: challenge.hazard1,
+        [choice.second]: challenge.hazard2,
+        hazard1: challenge[choice.first],
+        hazard2: challenge[choice.second]
+      })
+    };
+  },
+
+  /** The whole team dies and the dish isn't presented */
+  async teamDies({ actor, locationKey }) {
+    const teamMembers = foundry.utils.deepClone(actor._teamMembersArray)
+      .map(member => ({ ...member, alive: false }));
+    const values = Object.fromEntries(dishSlots().map(s => [s, 0]));
+    return {
+      summary: game.i18n.localize("DCS.Penalty.TeamDied"),
+      updates: { ...slotUpdates(locationKey, values), "system.teamMembers": teamMembers }
+    };
+  },
+
+  /** The team loses one mutation (player's choice) */
+  async loseMutation({ actor }) {
+    const teamMembers = foundry.utils.deepClone(actor._teamMembersArray);
+    const options = teamMembers
+      .map((member, index) => ({ member, index }))
+      .filter(({ member }) => member.mutation)
+      .map(({ member, index }) => {
+        const label = actor.getMutation(member.mutation)?.label ?? member.mutation;
+        return `<option value="${index}">${Handlebars.escapeExpression(`${member.name || `#${index + 1}`} - ${label}`)}</option>`;
+      });
+    if (!options.length) {
+      ui.notifications.info(game.i18n.localize("DCS.Penalty.NoMutationsLeft"));
+      return null;
+    }
+
+    const choice = await promptChoices(game.i18n.localize("DCS.Penalty.Title"), [
+      { name: "index", label: game.i18n.localize("DCS.Penalty.LoseMutationOf"), options: options.join("") }
+    ]);
+    if (!choice) return null;
+    const member = teamMembers[choice.index];
+    const label = actor.getMutation(member.mutation)?.label ?? member.mutation;
+    member.mutation = "";
+    return {
+      summary: game.i18n.format("DCS.Penalty.LostMutation", { name: member.name || game.i18n.localize("DCS.Penalty.ATeamMember"), mutation: label }),
+      updates: { "system.teamMembers": teamMembers }
+    };
+  },
+
+  /** Lose a Shroomp (the player picks which one) */
+  async loseShroomp({ actor }) {
+    const item = await chooseShroomp(actor, game.i18n.localize("DCS.Penalty.LoseWhich"));
+    if (item === undefined) return { summary: game.i18n.localize("DCS.Penalty.NoShroompToLose"), updates: {} };
+    if (!item) return null;
+    return {
+      summary: game.i18n.format("DCS.Penalty.LostShroomp", { name: item.name }),
+      updates: {},
+      shroompTransfer: { item, target: null }
+    };
+  },
+
+  /** Give a Shroomp to another restaurant (player's choice) */
+  async giveShroomp({ actor }) {
+    const others = game.actors.filter(a => a.type === "restaurant" && a.id !== actor.id);
+    if (!others.length) {
+      ui.notifications.warn(game.i18n.localize("DCS.Penalty.NoOtherRestaurants"));
+      return null;
+    }
+    const shroomps = getShroompItems(actor);
+    if (!shroomps.length) return { summary: game.i18n.localize("DCS.Penalty.NoShroompToGive"), updates: {} };
+
+    const choice = await promptChoices(game.i18n.localize("DCS.Penalty.Title"), [
+      {
+        name: "actorId",
+        label: game.i18n.localize("DCS.Penalty.GiveTo"),
+        options: others.map(a => `<option value="${a.id}">${Handlebars.escapeExpression(a.name)}</option>`).join("")
+      },
+      { name: "itemId", label: game.i18n.localize("DCS.Penalty.WhichShroomp"), options: shroompOptions(shroomps) }
+    ]);
+    if (!choice) return null;
+
+    // The other restaurant is changed through the GM if we don't own it
+    const target = game.actors.get(choice.actorId);
+    const item = actor.items.get(choice.itemId);
+    return {
+      summary: game.i18n.format("DCS.Penalty.Gave", { name: item.name, target: target.name }),
+      updates: {},
+      shroompTransfer: { item, target }
+    };
+  },
+
+  /** Roll a die: on "success" the next dish gets +amount, otherwise -amount */
+  async nextDishGamble({ actor, locationKey, effect }) {
+    const next = getNextLocationKey(locationKey);
+    const { roll, results } = await rollDice(1);
+    if (!next) return { summary: game.i18n.format("DCS.Penalty.NoNextDish", { roll: results[0] }), updates: {}, rolls: [roll] };
+
+    const amount = results[0] === effect.success ? effect.amount : -effect.amount;
+    const current = actor.system.challenges?.[next]?.dishModifier || 0;
+    return {
+      summary: game.i18n.format("DCS.Penalty.NextDish", { roll: results[0], amount: `${amount > 0 ? "+" : ""}${amount}`, location: CONFIG.DCS.locations[next].label }),
+      updates: { [`system.challenges.${next}.dishModifier`]: current + amount },
+      rolls: [roll]
+    };
+  },
+
+  /** No mutations can be used in the next challenge */
+  async blockMutationsNext({ locationKey }) {
+    const next = getNextLocationKey(locationKey);
+    if (!next) return { summary: game.i18n.localize("DCS.Penalty.NoNextChallenge"), updates: {} };
+    return {
+      summary: game.i18n.format("DCS.Penalty.Blocked", { location: CONFIG.DCS.locations[next].label }),
+      updates: { [`system.challenges.${next}.mutationsBlocked`]: true }
+    };
+  }
+};
+
+/**
+ * Run a hazard's penalty effect.
+ *
+ * @param {Object} effect - The effect data from the hazardTable entry
+ * @param {Object} context - {actor, locationKey, challenge}
+ * @returns {Promise<Object|null>} The outcome, or null if cancelled / no handler
+ */
+export async function runHazardPenalty(effect, context) {
+  const handler = PENALTY_EFFECTS[effect?.type];
+  if (!handler) return null;
+  return handler({ ...context, effect });
+}
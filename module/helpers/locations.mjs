@@ -0,0 +1,153 @@
+/**
+ * ============================================================================
+ * DEATH CAP SAUTE - Locations
+ * ============================================================================
+ *
+ * The locations (one cooking challenge each) come from data instead of a
+ * fixed list. The rulebook's five are in CONFIG.DCS.locations (config.mjs);
+ * a world can add expansion locations, change them or replace them all with
+ * a JSON file picked in the "Locations File" setting.
+ *
+ * Every restaurant gets a challenge for each configured location
+ * automatically (RestaurantData.prepareBaseData in data/restaurant-data.mjs),
+ * and the game lasts as many challenges as there are locations.
+ *
+ * LOCATIONS FILE FORMAT:
+ *   {
+ *     "replace": false,
+ *     "locations": {
+ *       "fungalFjord": {
+ *         "label": "Fungal Fjord", "order": 6,
+ *         "judge": "Captain Morel", "judgeDescription": "...", "flavorText": "...",
+ *         "hazardMin": 7, "hazardMax": 11,
+ *         "shroompTable": [{ "roll": 1, "requirement": "...", "dishTheme": "..." }, ...],
+ *         "hazardTable": [{ "roll": 1, "name": "...", "value": 8, "penalty": "..." }, ...]
+ *       },
+ *       "onionSwamp": null
+ *     }
+ *   }
+ * - "replace": true drops the rulebook locations, so only the file's are used
+ * - An entry for an existing key changes only the fields it lists
+ * - null removes a location
+ * - "order" sorts the challenges; locations without one go last
+ * - Any text can be a translation key starting with "DCS." from a module's
+ *   language file, like the rulebook locations in config.mjs
+ * See CONFIG.DCS.locations for every field, including the optional "rule"
+ * and "effect" that let the system check requirements and apply penalties.
+ */
+
+import { SYSTEM_ID } from "./settings.mjs";
+import { localizeConfig } from "./config.mjs";
+
+/**
+ * The rulebook locations, kept so the list can be rebuilt if the setting
+ * changes. Filled by loadLocations().
+ * @type {Object|null}
+ */
+let rulebookLocations = null;
+
+/**
+ * The location keys in play order.
+ * @returns {string[]}
+ */
+export function getLocationOrder() {
+  return Object.keys(CONFIG.DCS.locations)
+    .sort((a, b) => CONFIG.DCS.locations[a].order - CONFIG.DCS.locations[b].order);
+}
+
+/**
+ * The location played after this one.
+ *
+ * @param {string} locationKey - The location key
+ * @returns {string|null} The next location key, or null after the last challenge
+ */
+export function getNextLocationKey(locationKey) {
+  const keys = getLocationOrder();
+  const index = keys.indexOf(locationKey);
+  return index >= 0 ? keys[index + 1] ?? null : null;
+}
+
+/**
+ * Check that a location has what the sheet and the rolls need.
+ *
+ * @param {string} key - The location key
+ * @param {Object} location - The location data
+ * @returns {string|null} What is wrong, or null if it is usable
+ */
+export function validateLocation(key, location) {
+  const error = (name, data = {}) => game.i18n.format(`DCS.LocationsFile.${name}`, { key, ...data });
+  if (!/^[A-Za-z][\w-]*$/.test(key)) return error("InvalidKey");
+  if (typeof location?.label !== "string" || !location.label) return error("NoLabel");
+  const { hazardMin, hazardMax } = location;
+  if (!Number.isInteger(hazardMin) || !Number.isInteger(hazardMax) || hazardMin > hazardMax) {
+    return error("HazardRange");
+  }
+  for (const table of ["shroompTable", "hazardTable"]) {
+    const entries = location[table];
+    if (!Array.isArray(entries) || !entries.length) return error("NotAList", { table });
+    if (entries.some(e => !Number.isInteger(e?.roll))) return error("NoRoll", { table });
+  }
+  if (location.shroompTable.some(e => typeof e.requirement !== "string" || typeof e.dishTheme !== "string")) {
+    return error("ShroompEntry");
+  }
+  if (location.hazardTable.some(e => typeof e.name !== "string" || !Number.isInteger(e.value))) {
+    return error("HazardEntry");
+  }
+  return null;
+}
+
+/**
+ * Build CONFIG.DCS.locations from the rulebook locations and the Locations
+ * File setting. Invalid locations are left out with a warning for the GM.
+ * Called from the "ready" hook; the "order" of every location is renumbered
+ * 1, 2, 3... and CONFIG.DCS.totalChallenges follows the list.
+ *
+ * @returns {Promise<boolean>} True if the list differs from the rulebook's
+ */
+export async function loadLocations() {
+  rulebookLocations ??= foundry.utils.deepClone(CONFIG.DCS.locations);
+  const locations = foundry.utils.deepClone(rulebookLocations);
+  const path = game.settings.get(SYSTEM_ID, "locationsFile");
+  const errors = [];
+
+  if (path) {
+    try {
+      const response = await fetch(foundry.utils.getRoute(path));
+      if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+      const data = await response.json();
+      if (data.replace) for (const key of Object.keys(locations)) delete locations[key];
+
+      for (const [key, entry] of Object.entries(data.locations ?? {})) {
+        if (entry === null) {
+          delete locations[key];
+          continue;
+        }
+        const merged = foundry.utils.mergeObject(locations[key] ?? {}, entry, { inplace: false });
+        const error = validateLocation(key, merged);
+        if (error) errors.push(error);
+        else locations[key] = localizeConfig(merged);
+      }
+    } catch (err) {
+      errors.push(game.i18n.format("DCS.LocationsFile.Unreadable", { path, error: err.message }));
+    }
+  }
+
+  if (!Object.keys(locations).length) {
+    errors.push(game.i18n.localize("DCS.LocationsFile.Empty"));
+    Object.assign(locations, foundry.utils.deepClone(rulebookLocations));
+  }
+
+  // Locations without an order go last, in the order they were listed
+  const keys = Object.keys(locations).sort((a, b) =>
+    (locations[a].order ?? Infinity) - (locations[b].order ?? Infinity));
+  keys.forEach((key, index) => locations[key].order = index + 1);
+
+  CONFIG.DCS.locations = Object.fromEntries(keys.map(key => [key, locations[key]]));
+  CONFIG.DCS.totalChallenges = keys.length;
+
+  if (errors.length && game.user.isGM) {
+    for (const error of errors) console.warn(`Death Cap Saute | ${error}`);
+    ui.notifications.error(game.i18n.format("DCS.LocationsFile.Errors", { errors: errors.join(" ") }), { permanent: true });
+  }
+  return !!path;
+}
@@ -0,0 +1,207 @@
+/**
+ * ============================================================================
+ * DEATH CAP SAUTE - World Data Migrations
+ * ============================================================================
+ *
+ * When the shape of the data changes (Shroomps and Mutations became items,
+ * locations became data, tables got versions...), worlds made with an older
+ * version of the system need their data brought up to date once.
+ *
+ * The world remembers how far it was migrated in the hidden "schemaVersion"
+ * setting. On "ready", the GM's client runs every step of MIGRATIONS with a
+ * higher version, in order, saving the version after each step. If a step
+ * fails, the runner stops and tells the GM which step and which document;
+ * the steps after it wait until the next reload.
+ *
+ * ADDING A MIGRATION:
+ * Append an entry to MIGRATIONS with the next version number, a label
+ * (a translation key) and any of:
+ * - migrateActor(actor, source): Update one restaurant. "source" is its
+ *   data as stored in the database, before RestaurantData cleaned it, so
+ *   fields the model no longer knows can still be read.
+ * - migrateWorld(): Anything else (roll tables, settings...).
+ * Restaurants are migrated in the world and in unlocked or locked world
+ * compendia alike. Steps must be safe to run twice.
+ */
+
+import { SYSTEM_ID } from "./settings.mjs";
+import { createShroomp, syncEarnedShroomps } from "./shroomps.mjs";
+import { getMutationKey, mutationItemData } from "./mutation-items.mjs";
+import { getLocationOrder } from "./locations.mjs";
+import { hasSystemTables, syncSystemTables } from "./roll-tables.mjs";
+
+/**
+ * The migration steps, oldest first.
+ */
+export const MIGRATIONS = [
+  {
+    version: 1,
+    label: "DCS.Migration.TeamMembers",
+    // RestaurantData reads the old object of numeric keys as a list; save it
+    async migrateActor(actor, source) {
+      if (!source.teamMembers || Array.isArray(source.teamMembers)) return;
+      await actor.update({ "system.teamMembers": actor.system.teamMembers }, { diff: false });
+    }
+  },
+
+  {
+    version: 2,
+    label: "DCS.Migration.ShroompItems",
+    async migrateActor(actor, source) {
+      // Create the items for every ticked Earned Shroomp and end-game bonus
+      const challenges = Object.fromEntries(getLocationOrder().map(key => [key, { completed: true }]));
+      await syncEarnedShroomps(actor, { system: { challenges, endGame: { ...actor.system.endGame } } });
+
+      // The old "Shroomp Adjustment" number becomes that many Shroomps. The
+      // number is removed first, so running the step again can't add them twice.
+      const adjustment = source.shroompAdjustment;
+      if (adjustment === undefined) return;
+      // Shroomps can't be negative: the GM decides which ones to remove. They
+      // are told before the number is gone, in a notification that stays up
+      // and a whisper that survives a reload.
+      if (adjustment < 0) await reportNegativeAdjustment(actor, adjustment);
+      await actor.update({ "system.-=shroompAdjustment": null }, { diff: false });
+      for (let i = 0; i < adjustment; i++) {
+        await createShroomp(actor, { source: "manual", note: game.i18n.localize("DCS.Migration.AdjustmentNote") });
+      }
+    }
+  },
+
+  {
+    version: 3,
+    label: "DCS.Migration.MutationItems",
+    // Team members picked their Mutation from a list; give the restaurant
+    // the matching mutation item
+    async migrateActor(actor) {
+      const owned = new Set(actor.items.filter(i => i.type === "mutation").map(getMutationKey));
+      const missing = actor.system.teamMembers
+        .map(m => m.mutation)
+        .filter(key => key && !owned.has(key) && CONFIG.DCS.mutations[key]);
+      if (!missing.length) return;
+      await actor.createEmbeddedDocuments("Item", missing.map(key => mutationItemData(key, CONFIG.DCS.mutations[key])));
+    }
+  },
+
+  {
+    version: 4,
+    label: "DCS.Migration.RollTables",
+    async migrateWorld() {
+      if (hasSystemTables()) await syncSystemTables({ mode: "update", preserveCustom: true });
+    }
+  }
+];
+
+/**
+ * The data version of this system: the version of the last migration.
+ */
+export const SCHEMA_VERSION = MIGRATIONS.at(-1).version;
+
+/**
+ * Tell the GMs that a restaurant had a negative Shroomp adjustment, which
+ * the migration can't turn into items.
+ *
+ * @param {Actor} actor - The restaurant
+ * @param {number} adjustment - Its old Shroomp adjustment
+ * @returns {Promise<void>}
+ */
+async function reportNegativeAdjustment(actor, adjustment) {
+  const where = actor.pack ? ` (${actor.pack})` : "";
+  const message = game.i18n.format("DCS.Migration.NegativeAdjustment", { name: `${actor.name}${where}`, adjustment });
+  ui.notifications.warn(message, { permanent: true });
+  await ChatMessage.create({
+    content: `<p>${Handlebars.escapeExpression(message)}</p>`,
+    whisper: ChatMessage.getWhisperRecipients("GM").map(u => u.id)
+  });
+}
+
+/**
+ * Call a function for every restaurant, in the world and in world
+ * compendia, with its stored source data.
+ *
+ * @param {Function} fn - async (actor, source) => void
+ * @returns {Promise<void>}
+ */
+async function forEachRestaurant(fn) {
+  for (const actor of game.actors.filter(a => a.type === "restaurant")) {
+    const source = game.data.actors.find(a => a._id === actor.id)?.system ?? {};
+    await runOn(actor, () => fn(actor, source));
+  }
+
+  for (const pack of game.packs.filter(p => p.documentName === "Actor" && p.metadata.packageType === "world")) {
+    const wasLocked = pack.locked;
+    if (wasLocked) await pack.configure({ locked: false });
+    try {
+      // The index is read straight from the database, so it has the raw data
+      const index = await pack.getIndex({ fields: ["system"] });
+      for (const actor of await pack.getDocuments({ type: "restaurant" })) {
+        await runOn(actor, () => fn(actor, index.get(actor.id)?.system ?? {}));
+      }
+    } finally {
+      if (wasLocked) await pack.configure({ locked: true });
+    }
+  }
+}
+
+/**
+ * Run a migration on one document, naming the document if it fails.
+ *
+ * @param {Document} doc - The document being migrated
+ * @param {Function} fn - async () => void
+ * @returns {Promise<void>}
+ */
+async function runOn(doc, fn) {
+  try {
+    await fn();
+  } catch (err) {
+    const where = doc.pack ? ` in ${doc.pack}` : "";
+    throw new Error(`${doc.name}${where}: ${err.message}`, { cause: err });
+  }
+}
+
+/**
+ * Whether this world has anything an older version could have made.
+ * @returns {boolean}
+ */
+function hasWorldData() {
+  return game.actors.some(a => a.type === "restaurant")
+    || game.packs.some(p => p.documentName === "Actor" && p.metadata.packageType === "world")
+    || game.tables.size > 0;
+}
+
+/**
+ * Run the migrations the world hasn't had yet. Called from the "ready" hook.
+ * GM only.
+ *
+ * @returns {Promise<boolean>} True if the world is up to date
+ */
+export async function runMigrations() {
+  if (!game.user.isGM) return false;
+  let version = game.settings.get(SYSTEM_ID, "schemaVersion");
+  const steps = MIGRATIONS.filter(m => m.version > version);
+  if (!steps.length) return true;
+
+  // A new world starts at the current version
+  if (!version && !hasWorldData()) {
+    await game.settings.set(SYSTEM_ID, "schemaVersion", SCHEMA_VERSION);
+    return true;
+  }
+
+  ui.notifications.info(game.i18n.format("DCS.Migration.Start", { from: version, to: SCHEMA_VERSION }));
+  for (const [index, step] of steps.entries()) {
+    const label = game.i18n.localize(step.label);
+    ui.notifications.info(game.i18n.format("DCS.Migration.Step", { index: index + 1, count: steps.length, label }));
+    try {
+      if (step.migrateActor) await forEachRestaurant(step.migrateActor);
+      if (step.migrateWorld) await step.migrateWorld();
+    } catch (err) {
+      console.error(`Death Cap Saute | Migration "${label}" failed`, err);
+      ui.notifications.error(game.i18n.format("DCS.Migration.Failed", { label, error: err.message, version }), { permanent: true });
+      return false;
+    }
+    version = step.version;
+    await game.settings.set(SYSTEM_ID, "schemaVersion", version);
+  }
+
+  ui.notifications.info(game.i18n.format("DCS.Migration.Done", { version: SCHEMA_VERSION }));
+  return true;
+}
@@ -0,0 +1,220 @@
+/**
+ * ============================================================================
+ * DEATH CAP SAUTE - Mutation Items
+ * ============================================================================
+ *
+ * Mutations are "mutation" Items, each with its own sheet, icon and rule data:
+ *   system.key         - Stable id stored on team members, e.g. "knifeFingers"
+ *   system.description - The rules text
+ *   system.effect      - What it does, run by helpers/mutations.mjs
+ *                        ({ type: "rerollOne" }, { type: "shiftPair", amount: 1 }...)
+ *
+ * THE COMPENDIUM:
+ * On the first start of a world, the GM's client creates the "Mutations"
+ * world compendium and fills it with the rulebook Mutations from
+ * CONFIG.DCS.mutations. Homebrew Mutations are made by creating a new
+ * mutation item (or duplicating one) - no need to edit config.mjs.
+ *
+ * ASSIGNING:
+ * Dropping a mutation item on a team member card copies it onto the
+ * restaurant and stores its key on the team member (assignMutation). The
+ * restaurant's copy is what the engine reads, through DCSActor.getMutation().
+ */
+
+/**
+ * Name of the world compendium holding the Mutations.
+ */
+export const MUTATION_PACK = "dcs-mutations";
+
+/**
+ * Icon for mutation items that don't have their own.
+ */
+export const MUTATION_ICON = "icons/svg/biohazard.svg";
+
+/**
+ * Item data for one of the rulebook Mutations in CONFIG.DCS.mutations.
+ *
+ * @param {string} key - The mutation key
+ * @param {Object} data - The config entry ({label, description, effect})
+ * @returns {Object} Item creation data
+ */
+export function mutationItemData(key, data) {
+  return {
+    name: data.label,
+    type: "mutation",
+    img: data.img ?? MUTATION_ICON,
+    system: {
+      key,
+      description: data.description,
+      effect: foundry.utils.deepClone(data.effect ?? {})
+    }
+  };
+}
+
+/**
+ * The key a mutation item is stored under. Homebrew items without a key
+ * use their name.
+ *
+ * @param {Item} item - A mutation item
+ * @returns {string}
+ */
+export function getMutationKey(item) {
+  return item.system.key || item.name.slugify({ strict: true });
+}
+
+/**
+ * The mutation data the engine works with, read from an item.
+ *
+ * @param {Item} item - A mutation item
+ * @returns {{key: string, label: string, description: string, effect: Object, img: string, item: Item}}
+ */
+export function getMutationData(item) {
+  return {
+    key: getMutationKey(item),
+    label: item.name,
+    description: item.system.description,
+    effect: item.system.effect ?? {},
+    img: item.img,
+    item
+  };
+}
+
+/**
+ * Every Mutation a team member can be given, sorted by name: the Mutations
+ * compendium, or the rulebook Mutations while the compendium doesn't exist.
+ * Used by the creation wizard and the Mutation draft.
+ *
+ * @returns {Promise<{key: string, label: string, img: string, description: string, uuid: string}[]>}
+ */
+export async function getMutationChoices() {
+  const pack = getMutationPack();
+  const choices = pack
+    ? (await pack.getIndex({ fields: ["system.key", "system.description"] })).contents.map(entry => ({
+      key: entry.system?.key || entry.name.slugify({ strict: true }),
+      label: entry.name,
+      img: entry.img || MUTATION_ICON,
+      description: entry.system?.description ?? "",
+      uuid: entry.uuid
+    }))
+    : Object.entries(CONFIG.DCS.mutations).map(([key, data]) => ({
+      key,
+      label: data.label,
+      img: data.img ?? MUTATION_ICON,
+      description: data.description,
+      uuid: ""
+    }));
+  return choices.sort((a, b) => a.label.localeCompare(b.label));
+}
+
+/**
+ * The mutation item of one of getMutationChoices(), ready for
+ * assignMutation(). Rulebook Mutations get a temporary item.
+ *
+ * @param {string} key - The mutation key
+ * @returns {Promise<Item|null>}
+ */
+export async function getMutationChoiceItem(key) {
+  const choice = (await getMutationChoices()).find(c => c.key === key);
+  if (choice?.uuid) return fromUuid(choice.uuid);
+  const data = CONFIG.DCS.mutations[key];
+  return data ? new Item.implementation(mutationItemData(key, data)) : null;
+}
+
+/**
+ * The Mutations compendium, if it exists.
+ * @returns {CompendiumCollection|undefined}
+ */
+export function getMutationPack() {
+  return game.packs.get(`world.${MUTATION_PACK}`);
+}
+
+/**
+ * Create the Mutations compendium (if needed) and add any rulebook Mutation
+ * it doesn't have yet. Mutations already in it are left alone, so edits and
+ * homebrew survive.
+ * GM only.
+ *
+ * @returns {Promise<CompendiumCollection|null>} The compendium
+ */
+export async function createMutationCompendium() {
+  if (!game.user.isGM) {
+    ui.notifications.warn(game.i18n.localize("DCS.Notify.MutationPackGMOnly"));
+    return null;
+  }
+
+  let pack = getMutationPack();
+  if (!pack) {
+    pack = await CompendiumCollection.createCompendium({
+      type: "Item",
+      label: game.i18n.localize("DCS.MutationPack"),
+      name: MUTATION_PACK,
+      package: "world"
+    });
+  }
+
+  const index = await pack.getIndex({ fields: ["system.key"] });
+  const existing = new Set(index.map(e => e.system?.key));
+  const missing = Object.entries(CONFIG.DCS.mutations)
+    .filter(([key]) => !existing.has(key))
+    .map(([key, data]) => mutationItemData(key, data));
+
+  if (missing.length) {
+    await Item.implementation.createDocuments(missing, { pack: pack.collection });
+    ui.notifications.info(game.i18n.format("DCS.Notify.MutationPackAdded", { count: missing.length, pack: pack.title }));
+  }
+  return pack;
+}
+
+/**
+ * Give a team member a Mutation. The item is copied onto the restaurant
+ * (unless it already has one with the same key) and the key is stored on
+ * the team member. Mutation items no team member uses any more are removed.
+ *
+ * @param {Actor} actor - The restaurant
+ * @param {number} index - Index of the team member
+ * @param {Item} item - The mutation item (from anywhere)
+ * @returns {Promise<boolean>} True if the Mutation was assigned
+ */
+export async function assignMutation(actor, index, item) {
+  const teamMembers = foundry.utils.deepClone(actor._teamMembersArray);
+  const member = teamMembers[index];
+  if (!member) return false;
+  if (!member.alive) {
+    ui.notifications.warn(game.i18n.localize("DCS.Notify.DeadNoMutation"));
+    return false;
+  }
+
+  const key = getMutationKey(item);
+  const other = teamMembers.find((m, i) => i !== index && m.mutation === key);
+  if (other) {
+    ui.notifications.warn(game.i18n.format("DCS.Notify.MutationTaken", {
+      member: other.name || game.i18n.localize("DCS.AnotherTeamMember"),
+      mutation: item.name
+    }));
+    return false;
+  }
+
+  if (!actor.items.some(i => i.type === "mutation" && getMutationKey(i) === key)) {
+    const data = item.toObject();
+    delete data._id;
+    data.system.key = key;
+    await actor.createEmbeddedDocuments("Item", [data]);
+  }
+
+  member.mutation = key;
+  await actor.update({ "system.teamMembers": teamMembers });
+  await removeUnusedMutations(actor);
+  return true;
+}
+
+/**
+ * Delete the restaurant's mutation items that no team member has.
+ *
+ * @param {Actor} actor - The restaurant
+ * @returns {Promise<void>}
+ */
+export async function removeUnusedMutations(actor) {
+  const used = new Set(actor._teamMembersArray.map(m => m.mutation).filter(Boolean));
+  const unused = actor.items.filter(i => i.type === "mutation" && !used.has(getMutationKey(i)));
+  if (unused.length) await actor.deleteEmbeddedDocuments("Item", unused.map(i => i.id));
+}
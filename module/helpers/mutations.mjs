@@ -0,0 +1,344 @@
+/**
+ * ============================================================================
+ * DEATH CAP SAUTE - Mutation Engine
+ * ============================================================================
+ *
+ * Each mutation item has an "effect" in its system data describing what it
+ * does, e.g. { type: "rerollOne" } (see helpers/mutation-items.mjs). This
+ * file holds the code behind each effect type.
+ *
+ * HOW IT FITS TOGETHER:
+ * 1. A player clicks "Use Mutation" on a team member card
+ * 2. DCSActor.useMutation() checks the rules (member alive, one Mutation
+ *    per challenge, dice waiting to be assigned)
+ * 3. runMutationEffect() runs the effect on a copy of the pending dice pool,
+ *    prompting the player for any choices (which die, which number...)
+ * 4. The actor saves the new pool and posts the result to chat
+ *
+ * EFFECT FUNCTIONS:
+ * Each effect receives a context object:
+ * - actor:  The restaurant using the mutation
+ * - locationKey: The challenge the mutation is used in
+ * - pool:   A copy of the pending dice pool (array of numbers)
+ * - effect: The mutation's effect data (type plus options)
+ * and returns {pool, summary, rolls} or null if the player cancelled
+ * or it failed.
+ * "pool" is left out by effects that don't touch the dice.
+ */
+
+import { addRoundHazardBonus } from "./round.mjs";
+
+const { DialogV2 } = foundry.applications.api;
+
+/**
+ * Dice values always stay on the faces of a d6.
+ * @param {number} value
+ * @returns {number}
+ */
+function clampDie(value) {
+  return Math.min(6, Math.max(1, value));
+}
+
+/**
+ * Roll a number of d6 and return the Roll and its individual results.
+ * @param {number} count - How many dice to roll
+ * @returns {Promise<{roll: Roll, results: number[]}>}
+ */
+async function rollDice(count) {
+  const roll = new Roll(`${count}d6`);
+  await roll.evaluate();
+  return { roll, results: roll.dice[0].results.map(r => r.result) };
+}
+
+/**
+ * Build the <option> list for picking a die out of the pool.
+ * @param {number[]} pool - The dice pool
+ * @returns {string} HTML options
+ */
+function dieOptions(pool) {
+  return pool.map((value, index) => `<option value="${index}">${game.i18n.format("DCS.Mutation.DieOption", { number: index + 1, value })}</option>`).join("");
+}
+
+/**
+ * Ask the player to make one or more choices in a small form dialog.
+ *
+ * @param {string} title - Dialog title
+ * @param {Array<{name: string, label: string, options: string}>} fields - One select per choice
+ * @param {string} [hint] - Optional explanation shown above the fields
+ * @returns {Promise<Object<string, number|string>|null>} Field name to chosen value
+ *   (numbers for numeric options), or null if cancelled
+ */
+export async function promptChoices(title, fields, hint = "") {
+  const content = `
+    ${hint ? `<p class="hint">${hint}</p>` : ""}
+    ${fields.map(f => `
+      <div class="form-group">
+        <label>${f.label}</label>
+        <select name="${f.name}">${f.options}</select>
+      </div>`).join("")}
+  `;
+
+  return DialogV2.prompt({
+    window: { title },
+    content,
+    rejectClose: false,
+    ok: {
+      label: game.i18n.localize("DCS.Dialog.Confirm"),
+      callback: (event, button) => Object.fromEntries(fields.map(f => {
+        const value = button.form.elements[f.name].value;
+        return [f.name, Number.isNaN(Number(value)) ? value : Number(value)];
+      }))
+    }
+  });
+}
+
+/**
+ * Ask the player to hand out a number of +1 or -1 steps across the dice.
+ * Each step is a separate select, so the same die can be picked more than once.
+ *
+ * @param {string} title - Dialog title
+ * @param {number[]} pool - The dice pool
+ * @param {number} steps - Signed number of steps (e.g. -2 means two -1s)
+ * @param {string} hint - Explanation shown above the fields
+ * @returns {Promise<number[]|null>} The new pool, or null if cancelled
+ */
+async function promptSplit(title, pool, steps, hint) {
+  const sign = Math.sign(steps);
+  const fields = Array.from({ length: Math.abs(steps) }, (_, i) => ({
+    name: `step${i}`,
+    label: game.i18n.format("DCS.Penalty.AdjustTo", { amount: sign > 0 ? "+1" : "-1" }),
+    options: dieOptions(pool)
+  }));
+  const choices = await promptChoices(title, fields, hint);
+  if (!choices) return null;
+
+  const result = [...pool];
+  for (const index of Object.values(choices)) result[index] = clampDie(result[index] + sign);
+  return result;
+}
+
+/**
+ * The effect types. Keys match the "type" of a mutation's effect.
+ * - label: Name shown on the mutation item sheet
+ * - options: The effect options it reads ("amount", "threshold"), shown as
+ *   fields on the mutation item sheet
+ * - needsPool: The effect works on the pending dice, so dice must have been
+ *   rolled (and not yet assigned) for the challenge
+ * - apply: Async function doing the work, see the file header
+ */
+export const MUTATION_EFFECTS = {
+
+  rerollAll: {
+    label: "DCS.MutationEffect.rerollAll",
+    options: [],
+    needsPool: true,
+    async apply({ pool }) {
+      const { roll, results } = await rollDice(pool.length);
+      return { pool: results, rolls: [roll], summary: game.i18n.localize("DCS.Mutation.RerolledAll") };
+    }
+  },
+
+  rerollOne: {
+    label: "DCS.MutationEffect.rerollOne",
+    options: [],
+    needsPool: true,
+    async apply({ pool }) {
+      const choice = await promptChoices(game.i18n.localize("DCS.Mutation.RerollTitle"), [
+        { name: "index", label: game.i18n.localize("DCS.Mutation.DieToReroll"), options: dieOptions(pool) }
+      ]);
+      if (!choice) return null;
+
+      const { roll, results } = await rollDice(1);
+      const result = [...pool];
+      result[choice.index] = results[0];
+      return { pool: result, rolls: [roll], summary: game.i18n.format("DCS.Mutation.RerolledOne", { before: pool[choice.index], after: results[0] }) };
+    }
+  },
+
+  setHighest: {
+    label: "DCS.MutationEffect.setHighest",
+    options: [],
+    needsPool: true,
+    async apply({ pool }) {
+      const index = pool.indexOf(Math.max(...pool));
+      const faces = [1, 2, 3, 4, 5, 6].map(v => `<option value="${v}">${v}</option>`).join("");
+      const choice = await promptChoices(game.i18n.localize("DCS.Mutation.SetHighestTitle"), [
+        { name: "value", label: game.i18n.format("DCS.Mutation.SetTo", { value: pool[index] }), options: faces }
+      ]);
+      if (!choice) return null;
+
+      const result = [...pool];
+      result[index] = choice.value;
+      return { pool: result, summary: game.i18n.format("DCS.Mutation.SetHighest", { before: pool[index], after: choice.value }) };
+    }
+  },
+
+  shiftPair: {
+    label: "DCS.MutationEffect.shiftPair",
+    options: ["amount"],
+    needsPool: true,
+    async apply({ pool, effect }) {
+      const amount = effect.amount ?? 1;
+      const choice = await promptChoices(game.i18n.localize("DCS.Mutation.ShiftTitle"), [
+        { name: "minus", label: game.i18n.format("DCS.Penalty.AdjustTo", { amount: `-${amount}` }), options: dieOptions(pool) },
+        { name: "plus", label: game.i18n.format("DCS.Penalty.AdjustTo", { amount: `+${amount}` }), options: dieOptions(pool) }
+      ]);
+      if (!choice) return null;
+
+      const result = [...pool];
+      result[choice.minus] = clampDie(result[choice.minus] - amount);
+      result[choice.plus] = clampDie(result[choice.plus] + amount);
+      return {
+        pool: result,
+        summary: game.i18n.format("DCS.Mutation.Shifted", { amount, minus: pool[choice.minus], plus: pool[choice.plus] })
+      };
+    }
+  },
+
+  perDeadMember: {
+    label: "DCS.MutationEffect.perDeadMember",
+    options: ["amount"],
+    needsPool: true,
+    async apply({ actor, pool, effect }) {
+      const steps = actor.deadTeamMembers * (effect.amount ?? 1);
+      if (steps === 0) {
+        ui.notifications.warn(game.i18n.localize("DCS.Mutation.NoDead"));
+        return null;
+      }
+      const result = await promptSplit(game.i18n.localize("DCS.Mutation.FeastTitle"), pool, steps,
+        game.i18n.format("DCS.Mutation.FeastHint", { dead: actor.deadTeamMembers, steps }));
+      return result && { pool: result, summary: game.i18n.format("DCS.Mutation.Feast", { steps }) };
+    }
+  },
+
+  rollShift: {
+    label: "DCS.MutationEffect.rollShift",
+    options: ["amount", "threshold"],
+    needsPool: true,
+    async apply({ pool, effect }) {
+      const { roll, results } = await rollDice(1);
+      const amount = effect.amount ?? 2;
+      const steps = results[0] >= (effect.threshold ?? 4) ? amount : -amount;
+      const result = await promptSplit(game.i18n.localize("DCS.Mutation.SplitTitle"), pool, steps,
+        game.i18n.format("DCS.Mutation.SplitHint", { roll: results[0], steps: `${steps > 0 ? "+" : ""}${steps}` }));
+      // The die was rolled, so the result stands even if the split is cancelled
+      if (!result) return { pool, rolls: [roll], summary: game.i18n.format("DCS.Mutation.AppliedNothing", { roll: results[0] }) };
+      return { pool: result, rolls: [roll], summary: game.i18n.format("DCS.Mutation.Split", { roll: results[0], steps: `${steps > 0 ? "+" : ""}${steps}` }) };
+    }
+  },
+
+  /**
+   * Curse of the Moon Ladle: raise the hazard for everyone at this location
+   * until the round advances. Stored world-wide, see helpers/round.mjs.
+   */
+  hazardBonus: {
+    label: "DCS.MutationEffect.hazardBonus",
+    options: ["amount"],
+    needsPool: false,
+    async apply({ actor, locationKey, effect }) {
+      const amount = effect.amount ?? 1;
+      // The player already got the GM's reason if it was refused
+      if (!(await addRoundHazardBonus(locationKey, amount, actor))) return null;
+      const label = CONFIG.DCS.locations[locationKey]?.label ?? locationKey;
+      return { summary: game.i18n.format("DCS.Mutation.HazardBonus", { amount, location: label }) };
+    }
+  },
+
+  /**
+   * Gastromancy: use the Mutation of a dead team member from any restaurant.
+   * Whether dice are needed depends on the borrowed Mutation, so the check
+   * happens here instead of through needsPool.
+   */
+  borrow: {
+    label: "DCS.MutationEffect.borrow",
+    options: [],
+    needsPool: false,
+    async apply({ actor, locationKey, pool }) {
+      const donors = findBorrowableMutations();
+      if (!donors.length) {
+        ui.notifications.warn(game.i18n.localize("DCS.Mutation.NobodyDead"));
+        return null;
+      }
+
+      const escape = Handlebars.escapeExpression;
+      const options = donors.map((d, i) =>
+        `<option value="${i}">${escape(d.member.name || game.i18n.localize("DCS.Unnamed"))} (${escape(d.actor.name)}) - ${escape(d.mutation.label)}</option>`
+      ).join("");
+      const choice = await promptChoices(CONFIG.DCS.mutations.gastromancy.label, [
+        { name: "donor", label: game.i18n.localize("DCS.Mutation.BorrowFrom"), options }
+      ], game.i18n.localize("DCS.Mutation.BorrowHint"));
+      if (!choice) return null;
+
+      const donor = donors[choice.donor];
+      if (MUTATION_EFFECTS[donor.mutation.effect.type].needsPool && !pool.length) {
+        ui.notifications.warn(game.i18n.format("DCS.Mutation.NeedsDice", { mutation: donor.mutation.label }));
+        return null;
+      }
+
+      const outcome = await runMutationEffect(donor.mutation, { actor, locationKey, pool });
+      if (!outcome) return null;
+      // The actor's chat card reports who the Mutation was borrowed from
+      return { ...outcome, borrowed: donor };
+    }
+  }
+};
+
+/**
+ * List every dead team member, across all restaurants in the world, whose
+ * Mutation can be borrowed with Gastromancy. Mutations without an automated
+ * effect (and Gastromancy itself) are left out.
+ *
+ * @returns {Array<{actor: Actor, member: Object, mutation: Object}>}
+ */
+export function findBorrowableMutations() {
+  const donors = [];
+  for (const actor of game.actors.filter(a => a.type === "restaurant")) {
+    for (const member of actor._teamMembersArray) {
+      const mutation = actor.getMutation(member.mutation);
+      const type = mutation?.effect?.type;
+      if (member.alive || !MUTATION_EFFECTS[type] || type === "borrow") continue;
+      donors.push({ actor, member, mutation });
+    }
+  }
+  return donors;
+}
+
+/**
+ * Find the Mutation a restaurant would use to add a hazard bonus in a
+ * challenge: a living chef's Curse of the Moon Ladle, or a living chef's
+ * Gastromancy while a dead chef somewhere has the Curse to borrow. Used by
+ * the GM to check players' requests (helpers/socket.mjs).
+ *
+ * @param {Actor} actor - The restaurant
+ * @param {string} locationKey - The challenge
+ * @param {number} amount - The bonus asked for
+ * @returns {string|null} The key of that Mutation, or null if the restaurant
+ *   can't add this bonus (no such Mutation, or one was used this challenge)
+ */
+export function findHazardBonusMutation(actor, locationKey, amount) {
+  const challenge = actor.system.challenges?.[locationKey];
+  if (!challenge || challenge.mutationUsed || challenge.mutationsBlocked) return null;
+
+  const grants = mutation => mutation?.effect?.type === "hazardBonus" && (mutation.effect.amount ?? 1) === amount;
+  for (const member of actor._teamMembersArray) {
+    if (!member.alive) continue;
+    const mutation = actor.getMutation(member.mutation);
+    if (grants(mutation)) return member.mutation;
+    if (mutation?.effect?.type === "borrow" && findBorrowableMutations().some(d => grants(d.mutation))) return member.mutation;
+  }
+  return null;
+}
+
+/**
+ * Run a mutation's effect.
+ *
+ * @param {Object} mutation - Mutation data from DCSActor.getMutation() ({label, effect, ...})
+ * @param {Object} context - {actor, locationKey, pool}
+ * @returns {Promise<{pool?: number[], summary: string, rolls?: Roll[], borrowed?: Object}|null>}
+ *   The outcome, or null if the player cancelled
+ */
+export async function runMutationEffect(mutation, context) {
+  const handler = MUTATION_EFFECTS[mutation.effect?.type];
+  if (!handler) return null;
+  return handler.apply({ ...context, pool: [...context.pool], effect: mutation.effect });
+}
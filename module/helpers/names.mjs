@@ -0,0 +1,115 @@
+/**
+ * ============================================================================
+ * DEATH CAP SAUTE - Name Generator
+ * ============================================================================
+ *
+ * Random names for restaurants and wasteland chefs, rolled on two roll
+ * tables: "Restaurant Names" and "Wasteland Chef Names". The GM can edit
+ * them in Foundry's table editor like any other table; players can see them,
+ * so their rolls use the GM's names too.
+ *
+ * USAGE:
+ *   await game.deathcapsaute.generateName("restaurant");
+ *   await game.deathcapsaute.generateName("chef", { exclude: ["Rusty Jo"] });
+ *
+ * The dice buttons next to the name fields of the restaurant sheet and the
+ * creation wizard call generateName() and fill the name in.
+ *
+ * The tables are made with createRollTable() when the world loads (see
+ * createNameTables), next to the other system tables. Without them, the
+ * names below are rolled on directly.
+ */
+
+import { SYSTEM_ID } from "./settings.mjs";
+import { createRollTable, getResultText, getSystemTable, getTableDestination } from "./roll-tables.mjs";
+
+/**
+ * The name tables. Each has the table's flag kind, its name and the names
+ * it starts with (translation keys, see lang/en.json).
+ */
+export const NAME_TABLES = {
+  restaurant: {
+    kind: "restaurantNames",
+    name: "DCS.Table.RestaurantNames",
+    entries: Array.from({ length: 20 }, (_, i) => `DCS.Names.Restaurant${i + 1}`)
+  },
+  chef: {
+    kind: "chefNames",
+    name: "DCS.Table.ChefNames",
+    entries: Array.from({ length: 20 }, (_, i) => `DCS.Names.Chef${i + 1}`)
+  }
+};
+
+/**
+ * How many times to roll again when the name is already taken.
+ */
+const MAX_REROLLS = 10;
+
+/**
+ * Roll one name, on the table if it exists or on the built-in names.
+ *
+ * @param {Object} config - An entry of NAME_TABLES
+ * @returns {Promise<string>}
+ */
+async function rollName(config) {
+  const table = await getSystemTable(config.kind);
+  const draw = table?.results.size ? await table.draw({ displayChat: false }) : null;
+  const drawn = draw?.results[0];
+  const text = drawn && getResultText(drawn);
+  if (text) return text;
+
+  const roll = await new Roll(`1d${config.entries.length}`).evaluate();
+  return game.i18n.localize(config.entries[roll.total - 1]);
+}
+
+/**
+ * Roll a random name.
+ *
+ * @param {string} type - A key of NAME_TABLES ("restaurant" or "chef")
+ * @param {Object} [options]
+ * @param {string[]} [options.exclude] - Names already in use, such as the
+ *   other chefs of the team. Rolled again (a few times) if they come up.
+ * @returns {Promise<string>} The name, or "" for an unknown type
+ */
+export async function generateName(type, { exclude = [] } = {}) {
+  const config = NAME_TABLES[type];
+  if (!config) {
+    ui.notifications.warn(game.i18n.format("DCS.Notify.UnknownNameType", { type }));
+    return "";
+  }
+
+  let name = await rollName(config);
+  for (let i = 0; i < MAX_REROLLS && exclude.includes(name); i++) name = await rollName(config);
+  return name;
+}
+
+/**
+ * Create the name tables that don't exist yet, where the system tables are.
+ * Called from the "ready" hook.
+ * GM only.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.compendium] - Create them in the world compendium
+ * @returns {Promise<void>}
+ */
+export async function createNameTables({ compendium } = {}) {
+  if (!game.user.isGM) return;
+
+  const missing = [];
+  for (const config of Object.values(NAME_TABLES)) {
+    if (!(await getSystemTable(config.kind))) missing.push(config);
+  }
+  if (!missing.length) return;
+
+  const { folder, pack } = await getTableDestination(compendium);
+  for (const config of missing) {
+    const results = config.entries.map((key, i) => ({ range: [i + 1, i + 1], text: game.i18n.localize(key) }));
+    await createRollTable(game.i18n.localize(config.name), `1d${results.length}`, results, {
+      flags: { [SYSTEM_ID]: { kind: config.kind } },
+      folder,
+      pack,
+      // Names are no secret, and players roll them from their sheets
+      ownership: { default: CONST.DOCUMENT_OWNERSHIP_LEVELS.OBSERVER }
+    });
+  }
+}
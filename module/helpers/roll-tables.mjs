@@ -7,55 +7,336 @@
  * In Death Cap Saute, tables are used for:
  * - Shroomp types (what mushroom you find)
  * - Dish themes (what kind of dish to make)
- * - Hazard events (what danger you encounter)
+ * - Each location's Shroomp & Dish Theme table and Hazard table
+ * - The end-game Wild Shroomp table
+ *
+ * SYSTEM TABLES:
+ * All of these are generated from the data in this file and CONFIG.DCS
+ * (buildSystemTables) and tagged with flags, so they are found again even
+ * if renamed:
+ *   flags["death-cap-saute"] = { kind: "hazard", location: "saltyDesert", version: 1 }
+ * Each result remembers the die face it was made for, the text it was
+ * generated with and that text's language (flags roll, source and lang).
+ * The roll links it back to the config entry holding its rule or penalty
+ * effect; the source tells an edit made by the GM apart from a change in a
+ * newer system version, and the language tells it apart from a GM who just
+ * switched languages.
+ *
+ * VERSIONS:
+ * TABLE_VERSION goes up whenever the generated content changes. When the
+ * world loads, the GM is told about tables that are missing, older than
+ * TABLE_VERSION or broken (results deleted, ranges or formula changed), and
+ * can update them in place or recreate them (promptTableSync). Results the
+ * GM customized can be kept either way.
+ *
+ * DCSActor.rollShroompTable(), rollHazardTable() and rollWildShroomp() draw
+ * from these tables, so a GM can change a result in Foundry's own table
+ * editor. The result text is read back, so keep its shape:
+ *   Shroomp & Theme: "Dish Theme — Shroomp requirement"
+ *   Hazard:          "Hazard name (value) — Penalty" (penalty optional)
+ *   Wild Shroomp:    "Name — Requirement"
+ * Without a table (or if it has no results), the config data is rolled on.
+ *
+ * The tables are created in the world, in a "Death Cap Saute" folder, or
+ * in the "Death Cap Saute Tables" world compendium if asked.
+ *
+ * NAME TABLES:
+ * The restaurant and chef name generators (helpers/names.mjs) keep their
+ * tables in the same place, made with createRollTable(). They aren't
+ * versioned: once created, they are the GM's to edit.
  */
 
+import { SYSTEM_ID } from "./settings.mjs";
+import { getLocationOrder } from "./locations.mjs";
+
 /**
  * Sample Shroomp types - these would ideally come from the rulebook
  * You can expand this list based on the actual game content
+ * The texts are translation keys (see lang/en.json)
  */
 export const SHROOMP_TYPES = [
-  { range: [1, 1], text: "Spotted Deathcap" },
-  { range: [2, 2], text: "Golden Chanterelle" },
-  { range: [3, 3], text: "Crimson Puffball" },
-  { range: [4, 4], text: "Midnight Morel" },
-  { range: [5, 5], text: "Phosphor Shroom" },
-  { range: [6, 6], text: "Royal Truffle" }
+  { range: [1, 1], text: "DCS.ShroompType1" },
+  { range: [2, 2], text: "DCS.ShroompType2" },
+  { range: [3, 3], text: "DCS.ShroompType3" },
+  { range: [4, 4], text: "DCS.ShroompType4" },
+  { range: [5, 5], text: "DCS.ShroompType5" },
+  { range: [6, 6], text: "DCS.ShroompType6" }
 ];
 
 /**
  * Sample dish themes
  */
 export const DISH_THEMES = [
-  { range: [1, 1], text: "Rustic Comfort" },
-  { range: [2, 2], text: "Elegant Presentation" },
-  { range: [3, 3], text: "Spicy Challenge" },
-  { range: [4, 4], text: "Sweet Surprise" },
-  { range: [5, 5], text: "Traditional Classic" },
-  { range: [6, 6], text: "Experimental Fusion" }
+  { range: [1, 1], text: "DCS.DishTheme1" },
+  { range: [2, 2], text: "DCS.DishTheme2" },
+  { range: [3, 3], text: "DCS.DishTheme3" },
+  { range: [4, 4], text: "DCS.DishTheme4" },
+  { range: [5, 5], text: "DCS.DishTheme5" },
+  { range: [6, 6], text: "DCS.DishTheme6" }
 ];
 
 /**
- * Create a roll table document
+ * The version of the generated table content. Increase it whenever the
+ * table data in this file or CONFIG.DCS changes, so existing worlds are
+ * offered the update.
+ */
+export const TABLE_VERSION = 1;
+
+/**
+ * Name of the world compendium the tables can be created in.
+ */
+export const TABLE_PACK = "dcs-roll-tables";
+
+/**
+ * Separates the parts of a result's text.
+ */
+const SEPARATOR = " — ";
+
+/**
+ * The kinds of system table. Each has:
+ * - name(location): The table name
+ * - entries(location): The config entries it is made from
+ * - text(entry): The result text for an entry
+ * - parse(text): Read a (possibly edited) result text back into entry fields
+ */
+export const TABLE_KINDS = {
+  shroompTypes: {
+    name: () => game.i18n.localize("DCS.Table.ShroompTypes"),
+    entries: () => SHROOMP_TYPES.map(t => ({ roll: t.range[0], text: game.i18n.localize(t.text) })),
+    text: entry => entry.text,
+    parse: text => ({ text })
+  },
+
+  dishThemes: {
+    name: () => game.i18n.localize("DCS.Table.DishThemes"),
+    entries: () => DISH_THEMES.map(t => ({ roll: t.range[0], text: game.i18n.localize(t.text) })),
+    text: entry => entry.text,
+    parse: text => ({ text })
+  },
+
+  shroomp: {
+    name: location => game.i18n.format("DCS.Table.Shroomp", { location: location.label }),
+    entries: location => location.shroompTable,
+    text: entry => `${entry.dishTheme}${SEPARATOR}${entry.requirement}`,
+    parse(text) {
+      const [dishTheme, ...rest] = text.split(SEPARATOR);
+      return rest.length ? { dishTheme, requirement: rest.join(SEPARATOR) } : { requirement: text };
+    }
+  },
+
+  hazard: {
+    name: location => game.i18n.format("DCS.Table.Hazard", { location: location.label }),
+    entries: location => location.hazardTable,
+    text: entry => `${entry.name} (${entry.value})${entry.penalty ? `${SEPARATOR}${entry.penalty}` : ""}`,
+    parse(text) {
+      const [head, ...rest] = text.split(SEPARATOR);
+      const match = head.match(/^(.*?)\s*\((\d+)\)$/);
+      const parsed = match ? { name: match[1], value: Number(match[2]) } : { name: head };
+      parsed.penalty = rest.length ? rest.join(SEPARATOR) : null;
+      return parsed;
+    }
+  },
+
+  wildShroomp: {
+    name: () => game.i18n.localize("DCS.Table.WildShroomps"),
+    entries: () => CONFIG.DCS.wildShroompTable,
+    text: entry => `${entry.name}${SEPARATOR}${entry.requirement}`,
+    parse(text) {
+      const [name, ...rest] = text.split(SEPARATOR);
+      return rest.length ? { name, requirement: rest.join(SEPARATOR) } : { name: text };
+    }
+  }
+};
+
+/**
+ * Build the data of every system table: Shroomp Types and Dish Themes, a
+ * Shroomp & Dish Theme and a Hazard table for each configured location,
+ * plus the Wild Shroomp table.
+ *
+ * @returns {Object[]} RollTable creation data
+ */
+export function buildSystemTables() {
+  const tables = [buildTableData("shroompTypes", null, ""), buildTableData("dishThemes", null, "")];
+  for (const key of getLocationOrder()) {
+    const location = CONFIG.DCS.locations[key];
+    tables.push(buildTableData("shroomp", location, key), buildTableData("hazard", location, key));
+  }
+  tables.push(buildTableData("wildShroomp", null, ""));
+  return tables;
+}
+
+/**
+ * Build the data of one system table.
+ *
+ * @param {string} kind - A key of TABLE_KINDS
+ * @param {Object|null} location - The location config (null for Wild Shroomp)
+ * @param {string} locationKey - The location key ("" for Wild Shroomp)
+ * @returns {Object} RollTable creation data
+ */
+function buildTableData(kind, location, locationKey) {
+  const config = TABLE_KINDS[kind];
+  return {
+    name: config.name(location),
+    formula: "1d6",
+    replacement: true,
+    displayRoll: true,
+    results: config.entries(location).map(entry => ({
+      ...resultTextData(config.text(entry)),
+      range: [entry.roll, entry.roll],
+      weight: 1,
+      flags: { [SYSTEM_ID]: { roll: entry.roll, source: config.text(entry), lang: game.i18n.lang } }
+    })),
+    flags: { [SYSTEM_ID]: { kind, location: locationKey, version: TABLE_VERSION } }
+  };
+}
+
+/**
+ * Find a system table, in the world first and then in the compendium.
+ *
+ * @param {string} kind - A key of TABLE_KINDS
+ * @param {string} [locationKey] - The location (not needed for Wild Shroomp)
+ * @returns {Promise<RollTable|null>}
+ */
+export async function getSystemTable(kind, locationKey = "") {
+  const matches = flags => flags?.kind === kind && (flags.location ?? "") === locationKey;
+
+  const table = game.tables.find(t => matches(t.flags?.[SYSTEM_ID]));
+  if (table) return table;
+
+  const pack = game.packs.get(`world.${TABLE_PACK}`);
+  if (!pack) return null;
+  const index = await pack.getIndex({ fields: [`flags.${SYSTEM_ID}`] });
+  const entry = index.find(e => matches(e.flags?.[SYSTEM_ID]));
+  return entry ? pack.getDocument(entry._id) : null;
+}
+
+/**
+ * The text of a table result. v13 replaced TableResult#text with a name
+ * and an HTML description (text results keep theirs in the description);
+ * the old getter is deprecated there. Works on result data objects too.
+ *
+ * @param {TableResult|Object} result - A table result, or its data
+ * @returns {string} Its text, without HTML
+ */
+export function getResultText(result) {
+  if (game.release.generation < 13) return result.text ?? "";
+  const text = result.type === "document" ? result.name : (result.description || result.name);
+  if (!text?.includes("<")) return text ?? "";
+  return new DOMParser().parseFromString(text, "text/html").body.textContent.trim();
+}
+
+/**
+ * The fields that hold a text result's text, for creating or updating a
+ * TableResult: "text" before v13, "description" from v13 on. The other
+ * half of getResultText().
+ *
+ * @param {string} text - The result text
+ * @returns {{text: string}|{description: string}}
+ */
+export function resultTextData(text) {
+  return game.release.generation < 13 ? { text } : { description: text };
+}
+
+/**
+ * Roll on a system table. The drawn result's text is read back over the
+ * config entry for the same die face, so edits made in Foundry's table
+ * editor show up while rules and penalty effects still come from the config.
+ * Falls back to rolling on the config entries if the table is missing.
+ *
+ * @param {string} kind - A key of TABLE_KINDS
+ * @param {string} [locationKey] - The location (not needed for Wild Shroomp)
+ * @returns {Promise<{roll: Roll, result: number, entry: Object}|null>}
+ *   The roll, its total and the entry, or null if nothing could be rolled
+ */
+export async function drawSystemTable(kind, locationKey = "") {
+  const config = TABLE_KINDS[kind];
+  const entries = config.entries(CONFIG.DCS.locations[locationKey]) ?? [];
+
+  const table = await getSystemTable(kind, locationKey);
+  const draw = table?.results.size ? await table.draw({ displayChat: false }) : null;
+  const drawn = draw?.results[0];
+  if (drawn) {
+    const face = drawn.getFlag(SYSTEM_ID, "roll") ?? draw.roll.total;
+    const base = entries.find(e => e.roll === face) ?? { roll: face };
+    return { roll: draw.roll, result: draw.roll.total, entry: { ...base, ...config.parse(getResultText(drawn)) } };
+  }
+
+  const roll = await new Roll("1d6").evaluate();
+  const entry = entries.find(e => e.roll === roll.total);
+  return entry ? { roll, result: roll.total, entry } : null;
+}
+
+/**
+ * Get (or create) the "Death Cap Saute" folder for world tables.
+ * @returns {Promise<Folder>}
+ */
+async function getTableFolder() {
+  const existing = game.folders.find(f => f.type === "RollTable" && f.getFlag(SYSTEM_ID, "tables"));
+  if (existing) return existing;
+  return Folder.create({ name: "Death Cap Saute", type: "RollTable", flags: { [SYSTEM_ID]: { tables: true } } });
+}
+
+/**
+ * Get (or create) the world compendium for tables.
+ * @returns {Promise<CompendiumCollection>}
+ */
+async function getTablePack() {
+  const existing = game.packs.get(`world.${TABLE_PACK}`);
+  if (existing) return existing;
+  return CompendiumCollection.createCompendium({
+    type: "RollTable",
+    label: game.i18n.localize("DCS.Table.Pack"),
+    name: TABLE_PACK,
+    package: "world"
+  });
+}
+
+/**
+ * Where new tables go: the world compendium if asked, or else the
+ * "Death Cap Saute" folder.
+ *
+ * @param {boolean} [compendium] - Use the world compendium. Defaults to
+ *   wherever the existing system tables are.
+ * @returns {Promise<{folder: string|null, pack: CompendiumCollection|null}>}
+ */
+export async function getTableDestination(compendium) {
+  compendium ??= !game.tables.some(t => t.flags?.[SYSTEM_ID]?.kind) && !!game.packs.get(`world.${TABLE_PACK}`);
+  if (compendium) return { folder: null, pack: await getTablePack() };
+  return { folder: (await getTableFolder()).id, pack: null };
+}
+
+/**
+ * Create a roll table document. An existing table of the same name is
+ * returned unchanged - the system's own tables are kept current by
+ * syncSystemTables() instead.
  *
  * @param {string} name - Table name
  * @param {string} formula - Dice formula (e.g., "1d6")
- * @param {Array} results - Array of {range: [min, max], text: string}
+ * @param {Array} results - Array of {range: [min, max], text: string, flags?: Object};
+ *   the text is written where this Foundry version keeps it (resultTextData)
+ * @param {Object} [options]
+ * @param {Object} [options.flags] - Flags for the table
+ * @param {string} [options.folder] - Folder id for a world table
+ * @param {CompendiumCollection} [options.pack] - Create the table in this compendium instead
+ * @param {Object} [options.ownership] - Who may see the table, e.g. { default: OBSERVER }
  * @returns {Promise<RollTable>} The created table
  */
-export async function createRollTable(name, formula, results) {
+export async function createRollTable(name, formula, results, { flags = {}, folder = null, pack = null, ownership } = {}) {
   // Check if table already exists
-  const existing = game.tables.getName(name);
+  const existing = pack
+    ? (await pack.getIndex()).getName(name)
+    : game.tables.getName(name);
   if (existing) {
     console.log(`Death Cap Saute | Roll table "${name}" already exists`);
-    return existing;
+    return pack ? pack.getDocument(existing._id) : existing;
   }
 
   // Format results for Foundry's RollTable
-  const tableResults = results.map((r, idx) => ({
-    text: r.text,
+  const tableResults = results.map(r => ({
+    ...resultTextData(r.text),
     range: r.range,
-    weight: 1
+    weight: 1,
+    flags: r.flags ?? {}
   }));
 
   // Create the table
@@ -63,8 +344,12 @@ export async function createRollTable(name, formula, results) {
     name: name,
     formula: formula,
     results: tableResults,
-    displayRoll: true
-  });
+    replacement: true,
+    displayRoll: true,
+    folder: pack ? null : folder,
+    ...(ownership ? { ownership } : {}),
+    flags
+  }, pack ? { pack: pack.collection } : {});
 
   console.log(`Death Cap Saute | Created roll table: ${name}`);
   return table;
@@ -72,11 +357,272 @@ export async function createRollTable(name, formula, results) {
 
 /**
  * Create all default roll tables for the system
- * Call this from a macro or the ready hook
+ * Call this from a macro or the ready hook. Tables that already exist are
+ * brought up to date, keeping results the GM customized.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.compendium=false] - Create the tables in the
+ *   "Death Cap Saute Tables" world compendium instead of the world
+ * @returns {Promise<void>}
+ */
+export async function createDefaultTables({ compendium = false } = {}) {
+  await syncSystemTables({ mode: "update", preserveCustom: true, compendium });
+  ui.notifications.info(game.i18n.localize("DCS.Table.Created"));
+}
+
+/**
+ * Whether any system table exists yet, in the world or the compendium.
+ * @returns {boolean}
+ */
+export function hasSystemTables() {
+  return game.tables.some(t => t.flags?.[SYSTEM_ID]?.kind) || !!game.packs.get(`world.${TABLE_PACK}`);
+}
+
+// ============================================================================
+// VERSIONED SYNC
+// ============================================================================
+
+/**
+ * Match a table's results to the results it should have, by die face.
+ *
+ * @param {RollTable} table - An existing system table
+ * @param {Object} data - Its expected data from buildSystemTables()
+ * @returns {{outdated: boolean, drifted: boolean, missing: Object[], extra: TableResult[],
+ *   changed: Array<{result: TableResult, expected: Object}>, customized: TableResult[],
+ *   broken: Array<{result: TableResult, expected: Object}>}}
+ *   - missing: expected results the table doesn't have
+ *   - extra: results that match no expected result
+ *   - changed: results a newer version generates differently
+ *   - customized: results whose text the GM changed
+ *   - broken: results whose range no longer matches their die face
  */
-export async function createDefaultTables() {
-  await createRollTable("Shroomp Types", "1d6", SHROOMP_TYPES);
-  await createRollTable("Dish Themes", "1d6", DISH_THEMES);
+export function compareTable(table, data) {
+  const report = { missing: [], extra: [], changed: [], customized: [], broken: [] };
+  const matched = new Set();
+
+  for (const expected of data.results) {
+    const roll = expected.flags[SYSTEM_ID].roll;
+    const result = table.results.find(r => !matched.has(r.id) && r.getFlag(SYSTEM_ID, "roll") === roll)
+      ?? table.results.find(r => !matched.has(r.id) && r.range[0] === roll && r.range[1] === roll);
+    if (!result) {
+      report.missing.push(expected);
+      continue;
+    }
+    matched.add(result.id);
+
+    if (result.range[0] !== roll || result.range[1] !== roll) report.broken.push({ result, expected });
+    const text = getResultText(result);
+    if (text === getResultText(expected)) continue;
+    // Text that differs from what it was generated with was edited by the
+    // GM. Without a source (tables from before versioning) we can't tell,
+    // so it is treated as customized to be safe.
+    const source = result.getFlag(SYSTEM_ID, "source");
+    if (source === undefined || text !== source) report.customized.push(result);
+    // Generated in another language: a translation, not a newer version
+    else if ((result.getFlag(SYSTEM_ID, "lang") ?? game.i18n.lang) !== game.i18n.lang) continue;
+    else report.changed.push({ result, expected });
+  }
+  report.extra = table.results.filter(r => !matched.has(r.id));
+
+  const version = table.getFlag(SYSTEM_ID, "version") ?? 0;
+  report.outdated = version < TABLE_VERSION || report.changed.length > 0;
+  report.drifted = report.missing.length > 0 || report.extra.length > 0 || report.broken.length > 0
+    || table.formula !== data.formula;
+  return report;
+}
+
+/**
+ * Check every system table against the current data.
+ *
+ * @returns {Promise<Array<{data: Object, table: RollTable|null, report: Object|null}>>}
+ *   One entry per expected table; table and report are null if it is missing
+ */
+export async function checkSystemTables() {
+  const checks = [];
+  for (const data of buildSystemTables()) {
+    const { kind, location } = data.flags[SYSTEM_ID];
+    // Tables made before they were flagged are adopted by name
+    const table = await getSystemTable(kind, location)
+      ?? game.tables.find(t => t.name === data.name && !t.flags?.[SYSTEM_ID]?.kind) ?? null;
+    checks.push({ data, table, report: table ? compareTable(table, data) : null });
+  }
+  return checks;
+}
+
+/**
+ * Bring one existing table in line with its data, changing it in place.
+ *
+ * @param {RollTable} table - The table
+ * @param {Object} data - Its expected data from buildSystemTables()
+ * @param {boolean} preserveCustom - Keep results the GM customized (and
+ *   results the GM added)
+ * @returns {Promise<void>}
+ */
+async function updateTable(table, data, preserveCustom) {
+  const report = compareTable(table, data);
+  const customized = new Set(report.customized.map(r => r.id));
+  const updates = [];
+
+  for (const expected of data.results) {
+    const roll = expected.flags[SYSTEM_ID].roll;
+    const result = table.results.find(r => r.getFlag(SYSTEM_ID, "roll") === roll)
+      ?? table.results.find(r => r.range[0] === roll && r.range[1] === roll);
+    if (!result) continue;
 
-  ui.notifications.info("Death Cap Saute roll tables created!");
+    const update = { _id: result.id, range: expected.range, weight: expected.weight };
+    if (preserveCustom && customized.has(result.id)) {
+      // Keep the GM's text. Its source stays as it was, so it still counts as customized
+      update[`flags.${SYSTEM_ID}.roll`] = roll;
+      update[`flags.${SYSTEM_ID}.source`] = result.getFlag(SYSTEM_ID, "source") ?? getResultText(expected);
+    } else {
+      Object.assign(update, resultTextData(getResultText(expected)));
+      update.flags = expected.flags;
+    }
+    updates.push(update);
+  }
+
+  if (updates.length) await table.updateEmbeddedDocuments("TableResult", updates);
+  if (report.missing.length) await table.createEmbeddedDocuments("TableResult", report.missing);
+  if (!preserveCustom && report.extra.length) {
+    await table.deleteEmbeddedDocuments("TableResult", report.extra.map(r => r.id));
+  }
+  await table.update({
+    formula: data.formula,
+    replacement: data.replacement,
+    [`flags.${SYSTEM_ID}`]: data.flags[SYSTEM_ID]
+  });
+}
+
+/**
+ * Replace a table with a freshly generated one, in the same folder or
+ * compendium.
+ *
+ * @param {RollTable} table - The table
+ * @param {Object} data - Its expected data from buildSystemTables()
+ * @param {boolean} preserveCustom - Carry the GM's customized and added
+ *   results over to the new table
+ * @returns {Promise<RollTable>} The new table
+ */
+async function recreateTable(table, data, preserveCustom) {
+  const fresh = foundry.utils.deepClone(data);
+  if (preserveCustom) {
+    const report = compareTable(table, data);
+    for (const result of report.customized) {
+      const roll = result.getFlag(SYSTEM_ID, "roll") ?? result.range[0];
+      const target = fresh.results.find(r => r.flags[SYSTEM_ID].roll === roll);
+      if (target) Object.assign(target, resultTextData(getResultText(result)));
+    }
+    for (const result of report.extra) {
+      const extra = result.toObject();
+      delete extra._id;
+      fresh.results.push(extra);
+    }
+  }
+
+  const pack = table.pack;
+  fresh.folder = pack ? null : table.folder?.id ?? null;
+  await table.delete();
+  return RollTable.create(fresh, pack ? { pack } : {});
+}
+
+/**
+ * Create missing system tables and update or recreate the others.
+ * GM only.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.mode="update"] - "update" changes tables in place,
+ *   "recreate" deletes and creates them again
+ * @param {boolean} [options.preserveCustom=true] - Keep results the GM customized
+ * @param {boolean} [options.compendium] - Create missing tables in the world
+ *   compendium. Defaults to wherever the existing system tables are.
+ * @returns {Promise<{created: number, updated: number}|null>} What was done
+ */
+export async function syncSystemTables({ mode = "update", preserveCustom = true, compendium } = {}) {
+  if (!game.user.isGM) {
+    ui.notifications.warn(game.i18n.localize("DCS.Table.GMOnly"));
+    return null;
+  }
+  const { folder, pack } = await getTableDestination(compendium);
+  const counts = { created: 0, updated: 0 };
+
+  for (const { data, table, report } of await checkSystemTables()) {
+    if (!table) {
+      await RollTable.create({ ...data, folder }, pack ? { pack: pack.collection } : {});
+      counts.created++;
+    } else if (mode === "recreate") {
+      await recreateTable(table, data, preserveCustom);
+      counts.updated++;
+    } else if (report.outdated || report.drifted) {
+      await updateTable(table, data, preserveCustom);
+      counts.updated++;
+    }
+  }
+  return counts;
+}
+
+/**
+ * Describe what is wrong with a table, for the sync dialog.
+ * @param {Object} report - From compareTable()
+ * @param {RollTable} table
+ * @param {Object} data - Its expected data from buildSystemTables()
+ * @returns {string[]}
+ */
+function describeReport(report, table, data) {
+  const notes = [];
+  const note = (key, data) => notes.push(game.i18n.format(`DCS.Table.Report.${key}`, data));
+  if (report.outdated) note("Outdated", { version: table.getFlag(SYSTEM_ID, "version") ?? 0, current: TABLE_VERSION });
+  if (report.missing.length) note("Missing", { count: report.missing.length });
+  if (report.broken.length) note("Broken", { count: report.broken.length });
+  if (report.extra.length) note("Extra", { count: report.extra.length });
+  if (table.formula !== data.formula) note("Formula", { formula: Handlebars.escapeExpression(table.formula) });
+  if (report.customized.length) note("Customized", { count: report.customized.length });
+  return notes;
+}
+
+/**
+ * Check the system tables and, if any are missing, outdated or broken, ask
+ * the GM what to do. Called from the "ready" hook.
+ * GM only.
+ *
+ * @returns {Promise<void>}
+ */
+export async function promptTableSync() {
+  if (!game.user.isGM) return;
+  const checks = await checkSystemTables();
+  // "Ignore" only silences this version's changes - missing and broken
+  // tables are always reported
+  const ignored = game.settings.get(SYSTEM_ID, "tableSyncIgnoredVersion") >= TABLE_VERSION;
+  const problems = checks.filter(c => !c.table || c.report.drifted || (c.report.outdated && !ignored));
+  if (!problems.length) return;
+
+  const items = problems.map(({ data, table, report }) => {
+    const notes = table ? describeReport(report, table, data) : [game.i18n.localize("DCS.Table.Report.Absent")];
+    return `<li><strong>${Handlebars.escapeExpression(table?.name ?? data.name)}:</strong> ${notes.join(", ")}</li>`;
+  }).join("");
+
+  const choice = await foundry.applications.api.DialogV2.wait({
+    window: { title: game.i18n.localize("DCS.Table.Sync.Title") },
+    content: `
+      <p>${game.i18n.localize("DCS.Table.Sync.Intro")}</p>
+      <ul class="dcs-table-sync">${items}</ul>
+      <label class="checkbox">
+        <input type="checkbox" name="preserve" checked/> ${game.i18n.localize("DCS.Table.Sync.Preserve")}
+      </label>`,
+    buttons: [
+      { action: "update", label: game.i18n.localize("DCS.Table.Sync.Update"), icon: "fas fa-sync", default: true,
+        callback: (event, button) => ({ mode: "update", preserveCustom: button.form.elements.preserve.checked }) },
+      { action: "recreate", label: game.i18n.localize("DCS.Table.Sync.Recreate"), icon: "fas fa-redo",
+        callback: (event, button) => ({ mode: "recreate", preserveCustom: button.form.elements.preserve.checked }) },
+      { action: "ignore", label: game.i18n.localize("DCS.Table.Sync.Ignore"), icon: "fas fa-times", callback: () => ({ mode: "ignore" }) }
+    ],
+    rejectClose: false
+  });
+
+  if (!choice) return;
+  if (choice.mode === "ignore") {
+    await game.settings.set(SYSTEM_ID, "tableSyncIgnoredVersion", TABLE_VERSION);
+    return;
+  }
+  const counts = await syncSystemTables(choice);
+  if (counts) ui.notifications.info(game.i18n.format("DCS.Table.Synced", counts));
 }
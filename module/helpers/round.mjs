@@ -0,0 +1,91 @@
+/**
+ * ============================================================================
+ * DEATH CAP SAUTE - Round State
+ * ============================================================================
+ *
+ * A "round" is one cooking challenge that every restaurant plays at the same
+ * location. Some effects last for the whole round and are shared by everyone
+ * at the table, so they are kept in a world setting instead of on an actor:
+ *
+ *   { round: 2, location: "kingsCourt", hazardBonus: 1, contributors: ["Kitchen Nightmare"] }
+ *
+ * CURSE OF THE MOON LADLE:
+ * Each use adds +1 to the round's hazardBonus (it stacks). Every hazard roll
+ * at that location picks the bonus up in DCSActor.rollHazardTable(). The
+ * bonus clears when the GM advances the round.
+ *
+ * WHO CAN WRITE:
+ * World settings can only be saved by a GM. When a player uses the Curse the
+ * request is relayed to the GM's client (see helpers/socket.mjs), which
+ * checks that the restaurant really can use it this challenge.
+ */
+
+import { SYSTEM_ID } from "./settings.mjs";
+import { requestGM } from "./socket.mjs";
+
+/**
+ * Read the current round state.
+ * @returns {{round: number, location: string, hazardBonus: number, contributors: string[]}}
+ */
+export function getRoundState() {
+  return game.settings.get(SYSTEM_ID, "roundState");
+}
+
+/**
+ * The shared hazard bonus for a location. Only counts while the round is
+ * being played at that location.
+ *
+ * @param {string} locationKey - The location key
+ * @returns {number} The bonus to add to hazard rolls there
+ */
+export function getRoundHazardBonus(locationKey) {
+  const state = getRoundState();
+  return state.location === locationKey ? (state.hazardBonus || 0) : 0;
+}
+
+/**
+ * Add to the shared hazard bonus for a location this round.
+ * A bonus for a different location than the stored one starts fresh.
+ * Players ask the GM to add it, who may refuse.
+ *
+ * @param {string} locationKey - The location key
+ * @param {number} amount - How much to add
+ * @param {Actor} [actor] - The restaurant adding it (its name is shown on the hazard roll)
+ * @returns {Promise<{locationKey: string, amount: number}|null>} What was added,
+ *   or null if the request failed
+ */
+export async function addRoundHazardBonus(locationKey, amount, actor = null) {
+  if (!game.user.isGM) return requestGM("addRoundHazardBonus", { actorId: actor?.id, locationKey, amount });
+
+  const source = actor?.name ?? "";
+
+  const state = foundry.utils.deepClone(getRoundState());
+  if (state.location !== locationKey) {
+    Object.assign(state, { location: locationKey, hazardBonus: 0, contributors: [] });
+  }
+  state.hazardBonus += amount;
+  if (source) state.contributors.push(source);
+  await game.settings.set(SYSTEM_ID, "roundState", state);
+  return { locationKey, amount };
+}
+
+/**
+ * Start the next round, clearing every round modifier.
+ * GM only.
+ *
+ * @param {string} [locationKey] - Where the new round is played
+ * @returns {Promise<void>}
+ */
+export async function advanceRound(locationKey = "") {
+  if (!game.user.isGM) {
+    ui.notifications.warn(game.i18n.localize("DCS.Notify.AdvanceGMOnly"));
+    return;
+  }
+  const state = getRoundState();
+  await game.settings.set(SYSTEM_ID, "roundState", {
+    round: (state.round || 0) + 1,
+    location: locationKey,
+    hazardBonus: 0,
+    contributors: []
+  });
+}
@@ -0,0 +1,156 @@
+/**
+ * ============================================================================
+ * DEATH CAP SAUTE - System Settings
+ * ============================================================================
+ *
+ * Foundry settings are key/value pairs stored per world ("world" scope, shared
+ * by everyone and only editable by the GM) or per browser ("client" scope).
+ * Settings with config: true appear in the Configure Settings window. Their
+ * name, hint and choices are i18n keys; Foundry translates them itself.
+ *
+ * Read a setting anywhere with:
+ *   game.settings.get("death-cap-saute", "autoAwardShroomps")
+ *
+ * registerSystemSettings() is called from the "init" hook in death-cap-saute.mjs.
+ */
+
+/**
+ * The namespace all our settings are registered under (the system id).
+ */
+export const SYSTEM_ID = "death-cap-saute";
+
+/**
+ * Register all world and client settings for the system.
+ */
+export function registerSystemSettings() {
+
+  /**
+   * When a challenge is marked complete, set "Earned Shroomp" from the
+   * automatic requirement check. When off, the sheet only shows the
+   * suggestion and the checkbox is left to the players.
+   */
+  game.settings.register(SYSTEM_ID, "autoAwardShroomps", {
+    name: "DCS.Settings.AutoAwardShroomps.Name",
+    hint: "DCS.Settings.AutoAwardShroomps.Hint",
+    scope: "world",
+    config: true,
+    type: Boolean,
+    default: true
+  });
+
+  /**
+   * What happens when restaurants tie for an end-game category bonus
+   * (see helpers/end-game.mjs).
+   */
+  game.settings.register(SYSTEM_ID, "endGameTieRule", {
+    name: "DCS.Settings.EndGameTieRule.Name",
+    hint: "DCS.Settings.EndGameTieRule.Hint",
+    scope: "world",
+    config: true,
+    type: String,
+    choices: {
+      shared: "DCS.Settings.EndGameTieRule.Shared",
+      none: "DCS.Settings.EndGameTieRule.None",
+      gm: "DCS.Settings.EndGameTieRule.GM"
+    },
+    default: "shared"
+  });
+
+  /**
+   * A JSON file of extra or replacement locations (see helpers/locations.mjs).
+   * Read when the world loads, so changing it needs a reload.
+   */
+  game.settings.register(SYSTEM_ID, "locationsFile", {
+    name: "DCS.Settings.LocationsFile.Name",
+    hint: "DCS.Settings.LocationsFile.Hint",
+    scope: "world",
+    config: true,
+    type: String,
+    filePicker: "any",
+    default: "",
+    requiresReload: true
+  });
+
+  /**
+   * Open the creation wizard (see apps/restaurant-wizard.mjs) for new
+   * restaurants. Only the user who created the restaurant sees it.
+   */
+  game.settings.register(SYSTEM_ID, "creationWizard", {
+    name: "DCS.Settings.CreationWizard.Name",
+    hint: "DCS.Settings.CreationWizard.Hint",
+    scope: "world",
+    config: true,
+    type: Boolean,
+    default: true
+  });
+
+  /**
+   * How far this world's data has been migrated (see helpers/migrations.mjs).
+   */
+  game.settings.register(SYSTEM_ID, "schemaVersion", {
+    scope: "world",
+    config: false,
+    type: Number,
+    default: 0
+  });
+
+  /**
+   * The roll table version the GM chose to ignore in the table sync dialog
+   * (see helpers/roll-tables.mjs), so it isn't offered again on every load.
+   */
+  game.settings.register(SYSTEM_ID, "tableSyncIgnoredVersion", {
+    scope: "world",
+    config: false,
+    type: Number,
+    default: 0
+  });
+
+  /**
+   * Shared state for the current round (see helpers/round.mjs). Hidden from
+   * the settings window; changed through the Moon Ladle and advanceRound().
+   * Open restaurant sheets re-render so the hazard bonus stays current.
+   */
+  game.settings.register(SYSTEM_ID, "roundState", {
+    scope: "world",
+    config: false,
+    type: Object,
+    default: { round: 1, location: "", hazardBonus: 0, contributors: [] },
+    onChange: () => {
+      for (const actor of game.actors.filter(a => a.type === "restaurant")) {
+        for (const app of Object.values(actor.apps)) app.render();
+      }
+    }
+  });
+
+  /**
+   * The competition the GM is running (see apps/competition-manager.mjs):
+   * which restaurants take part, the active location and the current phase.
+   */
+  game.settings.register(SYSTEM_ID, "competition", {
+    scope: "world",
+    config: false,
+    type: Object,
+    default: { participants: [], location: "", phase: "introduce" },
+    onChange: () => foundry.applications.instances.get("dcs-competition")?.render()
+  });
+
+  /**
+   * The Mutation draft (see helpers/draft.mjs): the restaurants in it, the
+   * pool and whose turn it is. When the GM starts the draft, players with a
+   * restaurant in it get the draft window.
+   */
+  game.settings.register(SYSTEM_ID, "mutationDraft", {
+    scope: "world",
+    config: false,
+    type: Object,
+    default: { status: "none", restaurants: [], pool: [], pick: 0 },
+    onChange: draft => {
+      const app = foundry.applications.instances.get("dcs-mutation-draft");
+      if (app) app.render();
+      else if (draft.status === "running" && draft.pick === 0
+        && draft.restaurants.some(id => game.actors.get(id)?.isOwner)) {
+        game.deathcapsaute.MutationDraft.open();
+      }
+    }
+  });
+}
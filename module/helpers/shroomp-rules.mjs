@@ -0,0 +1,275 @@
+/**
+ * ============================================================================
+ * DEATH CAP SAUTE - Shroomp Requirement Rules
+ * ============================================================================
+ *
+ * Every entry in a location's shroompTable has a free-text "requirement"
+ * (e.g. "3 in a row") and a structured "rule" that says the same thing in a
+ * form the code can check. This file evaluates those rules against the dice
+ * stored on a challenge.
+ *
+ * RULE FORMAT:
+ * A rule is a plain object with a "type" and some options. Most rules also
+ * take a "scope" saying which dice they look at:
+ * - "all"    - all five dice
+ * - "dish"   - Presentation, Flavor and Originality
+ * - "hazard" - Hazard 1 and Hazard 2
+ *
+ * RULE TYPES:
+ * - allSame                  - every die in scope shows the same number
+ * - allDifferent             - no two dice in scope match
+ * - run {length}             - at least "length" consecutive numbers (3 in a row, straights)
+ * - countOf {face, min}      - at least "min" dice show "face" (pair of 6's)
+ * - noneOf {faces}           - no die in scope shows any of "faces"
+ * - ofAKind {count}          - at least "count" dice show the same number
+ * - parity {parity}          - every die in scope is "even" or "odd"
+ * - minDie {min}             - the lowest die in scope is at least "min"
+ * - total {min, parity}      - the sum of the dice meets "min" and/or is "even"/"odd"
+ * - slot {slot, min, max}    - a single slot (e.g. "flavor") is within min..max
+ * - survivedHazard {bonus}   - the hazard was survived ("bonus" raises the target)
+ * - all {rules}              - every rule in the list passes
+ *
+ * Each check returns {passed, reason} so the sheet can explain the result.
+ */
+
+/**
+ * Translation keys naming the dice scopes, used in reasons.
+ */
+const SCOPE_LABELS = {
+  all: "DCS.Rule.Scope.all",
+  dish: "DCS.Rule.Scope.dish",
+  hazard: "DCS.Rule.Scope.hazard"
+};
+
+/**
+ * Translation keys naming the sum of each scope, used in reasons for
+ * "total" rules.
+ */
+const TOTAL_LABELS = {
+  all: "DCS.Rule.Total.all",
+  dish: "DCS.Rule.Total.dish",
+  hazard: "DCS.Rule.Total.hazard"
+};
+
+/**
+ * Build a translated reason from a DCS.Rule key.
+ *
+ * @param {string} key - The last part of the key, e.g. "AllSame"
+ * @param {Object} [data] - Values for the {placeholders}
+ * @returns {string}
+ */
+function describe(key, data = {}) {
+  return game.i18n.format(`DCS.Rule.${key}`, data);
+}
+
+/**
+ * Read the dice values in a scope from a challenge.
+ *
+ * @param {Object} challenge - Stored challenge data
+ * @param {string} scope - "all", "dish" or "hazard"
+ * @returns {number[]} The dice values, in slot order
+ */
+export function getScopeDice(challenge, scope = "all") {
+  return Object.entries(CONFIG.DCS.diceSlots)
+    .filter(([, slot]) => scope === "all" || slot.hazard === (scope === "hazard"))
+    .map(([key]) => Number(challenge[key]) || 0);
+}
+
+/**
+ * Count how many times each number appears.
+ * @param {number[]} dice
+ * @returns {Map<number, number>} Face value to count
+ */
+function countFaces(dice) {
+  const counts = new Map();
+  for (const die of dice) counts.set(die, (counts.get(die) || 0) + 1);
+  return counts;
+}
+
+/**
+ * Length of the longest run of consecutive numbers (duplicates ignored).
+ * @param {number[]} dice
+ * @returns {number}
+ */
+function longestRun(dice) {
+  const faces = [...new Set(dice)].sort((a, b) => a - b);
+  let best = faces.length ? 1 : 0;
+  let current = 1;
+  for (let i = 1; i < faces.length; i++) {
+    current = faces[i] === faces[i - 1] + 1 ? current + 1 : 1;
+    best = Math.max(best, current);
+  }
+  return best;
+}
+
+/**
+ * Shorthand to build a result object.
+ * @param {boolean} passed
+ * @param {string} reason
+ * @returns {{passed: boolean, reason: string}}
+ */
+function result(passed, reason) {
+  return { passed, reason };
+}
+
+/**
+ * The checks for each rule type. Each function receives the rule, the
+ * challenge data and the dice in the rule's scope.
+ */
+export const SHROOMP_RULES = {
+  allSame(rule, challenge, dice) {
+    const faces = [...new Set(dice)];
+    const label = game.i18n.localize(SCOPE_LABELS[rule.scope ?? "all"]);
+    return faces.length === 1
+      ? result(true, describe("AllSame", { label, face: faces[0] }))
+      : result(false, describe("NotAllSame", { label, dice: dice.join(", ") }));
+  },
+
+  allDifferent(rule, challenge, dice) {
+    const label = game.i18n.localize(SCOPE_LABELS[rule.scope ?? "all"]);
+    const repeated = [...countFaces(dice)].filter(([, count]) => count > 1).map(([face]) => face);
+    return repeated.length === 0
+      ? result(true, describe("AllDifferent", { label, dice: dice.join(", ") }))
+      : result(false, describe("Repeated", { faces: repeated.join(", ") }));
+  },
+
+  run(rule, challenge, dice) {
+    const run = longestRun(dice);
+    return run >= rule.length
+      ? result(true, describe("Run", { run }))
+      : result(false, describe("RunShort", { run, needs: rule.length }));
+  },
+
+  countOf(rule, challenge, dice) {
+    const count = dice.filter(d => d === rule.face).length;
+    return count >= rule.min
+      ? result(true, describe("CountOf", { count, face: rule.face }))
+      : result(false, describe("CountOfShort", { count, face: rule.face, needs: rule.min }));
+  },
+
+  noneOf(rule, challenge, dice) {
+    const found = dice.filter(d => rule.faces.includes(d));
+    return found.length === 0
+      ? result(true, describe("NoneOf", { faces: rule.faces.join("/") }))
+      : result(false, describe("Has", { faces: found.join(", ") }));
+  },
+
+  ofAKind(rule, challenge, dice) {
+    const best = Math.max(0, ...countFaces(dice).values());
+    const label = game.i18n.localize(SCOPE_LABELS[rule.scope ?? "all"]);
+    return best >= rule.count
+      ? result(true, describe("OfAKind", { label, best }))
+      : result(false, describe("OfAKindShort", { label, best, needs: rule.count }));
+  },
+
+  parity(rule, challenge, dice) {
+    const wanted = rule.parity === "even" ? 0 : 1;
+    const wrong = dice.filter(d => d % 2 !== wanted);
+    const label = game.i18n.localize(SCOPE_LABELS[rule.scope ?? "all"]);
+    const parity = game.i18n.localize(`DCS.Rule.Parity.${rule.parity}`);
+    return wrong.length === 0
+      ? result(true, describe("AllParity", { label, parity }))
+      : result(false, describe("NotParity", { dice: wrong.join(", "), parity }));
+  },
+
+  minDie(rule, challenge, dice) {
+    const lowest = Math.min(...dice);
+    return lowest >= rule.min
+      ? result(true, describe("Lowest", { lowest }))
+      : result(false, describe("LowestShort", { lowest, needs: `${rule.min}+` }));
+  },
+
+  total(rule, challenge, dice) {
+    const total = dice.reduce((sum, d) => sum + d, 0);
+    const label = game.i18n.localize(TOTAL_LABELS[rule.scope ?? "all"]);
+    if (rule.min !== undefined && total < rule.min) {
+      return result(false, describe("ValueShort", { label, value: total, needs: `${rule.min}+` }));
+    }
+    if (rule.parity && (total % 2 === 0) !== (rule.parity === "even")) {
+      const parity = game.i18n.localize(`DCS.Rule.Parity.${rule.parity}`);
+      return result(false, describe("ValueNotParity", { label, value: total, parity }));
+    }
+    return result(true, describe("Value", { label, value: total }));
+  },
+
+  slot(rule, challenge) {
+    const value = Number(challenge[rule.slot]) || 0;
+    const label = CONFIG.DCS.diceSlots[rule.slot]?.label ?? rule.slot;
+    const max = rule.max ?? 6;
+    if (value >= rule.min && value <= max) return result(true, describe("Value", { label, value }));
+    const needs = rule.min === max ? `${max}` : `${rule.min}+`;
+    return result(false, describe("ValueShort", { label, value, needs }));
+  },
+
+  survivedHazard(rule, challenge) {
+    if (!challenge.hazardResolved) return result(false, describe("HazardUnresolved"));
+    if (!rule.bonus) {
+      return challenge.survivedHazard
+        ? result(true, describe("Survived"))
+        : result(false, describe("NotSurvived"));
+    }
+    // A bonus raises the hazard target above the stored hazard value
+    const hazardTotal = getScopeDice(challenge, "hazard").reduce((sum, d) => sum + d, 0);
+    const target = challenge.hazardValue + rule.bonus;
+    return hazardTotal >= target
+      ? result(true, describe("HazardBeats", { total: hazardTotal, target, bonus: rule.bonus }))
+      : result(false, describe("HazardBelow", { total: hazardTotal, target, bonus: rule.bonus }));
+  },
+
+  all(rule, challenge) {
+    const results = rule.rules.map(r => evaluateShroompRule(r, challenge));
+    return result(results.every(r => r.passed), results.map(r => r.reason).join("; "));
+  }
+};
+
+/**
+ * Check a single rule against a challenge's dice.
+ *
+ * @param {Object} rule - The structured rule from a shroompTable entry
+ * @param {Object} challenge - Stored challenge data
+ * @returns {{passed: boolean, reason: string}}
+ */
+export function evaluateShroompRule(rule, challenge) {
+  const check = SHROOMP_RULES[rule?.type];
+  if (!check) return result(false, describe("Unknown", { type: rule?.type }));
+  return check(rule, challenge, getScopeDice(challenge, rule.scope ?? "all"));
+}
+
+/**
+ * Find the shroompTable entry a challenge is playing for. Uses the stored d6
+ * result, like hazards do: the saved text is in the language of whoever
+ * rolled or typed it, and may have been edited in the RollTable. Requirements
+ * typed on the sheet get their face from DCSActor._matchTypedEntries(); older
+ * challenges without one are matched on the text (ignoring case and spaces).
+ *
+ * @param {string} locationKey - The location key
+ * @param {Object} challenge - Stored challenge data
+ * @returns {Object|null} The matching table entry
+ */
+export function findShroompEntry(locationKey, challenge) {
+  const table = CONFIG.DCS.locations[locationKey]?.shroompTable ?? [];
+  if (challenge.shroompRoll) return table.find(e => e.roll === challenge.shroompRoll) ?? null;
+
+  const wanted = (challenge.shroompRequirement ?? "").trim().toLowerCase();
+  if (!wanted) return null;
+  return table.find(e => e.requirement.toLowerCase() === wanted) ?? null;
+}
+
+/**
+ * Check a challenge against its Shroomp requirement.
+ *
+ * @param {string} locationKey - The location key
+ * @param {Object} challenge - Stored challenge data
+ * @returns {{entry: Object, passed: boolean, reason: string}|null}
+ *   Null if the requirement isn't one from the location's table
+ */
+export function checkShroompRequirement(locationKey, challenge) {
+  const entry = findShroompEntry(locationKey, challenge);
+  if (!entry?.rule) return null;
+
+  // All zeros means the dice haven't been assigned yet
+  if (getScopeDice(challenge, "all").every(d => d === 0)) {
+    return { entry, passed: false, reason: describe("NoDice") };
+  }
+  return { entry, ...evaluateShroompRule(entry.rule, challenge) };
+}
@@ -0,0 +1,168 @@
+/**
+ * ============================================================================
+ * DEATH CAP SAUTE - Shroomp Items
+ * ============================================================================
+ *
+ * Every Shroomp a restaurant owns is a "shroomp" Item, so each one keeps its
+ * story: its name (e.g. "Golden Chanterelle"), the location where it was
+ * earned and how it was earned (system.location and system.source). The
+ * Shroomp total is simply the number of shroomp items the actor owns.
+ *
+ * WHERE THEY COME FROM:
+ * - Ticking "Earned Shroomp" on a completed challenge, or an end-game bonus
+ *   checkbox, creates the matching item; unticking it removes the item again
+ *   (syncEarnedShroomps, called from DCSActor._onUpdate)
+ * - Hazard penalties can take a Shroomp away or hand it to another
+ *   restaurant (transferShroomp)
+ * - Shroomps can be dragged from one restaurant sheet to another
+ *
+ * Items given to another restaurant remember who gave them (the "giftFrom"
+ * flag), so a penalty can be reverted by taking exactly that item back.
+ */
+
+import { SYSTEM_ID } from "./settings.mjs";
+import { requestGM } from "./socket.mjs";
+import { drawSystemTable } from "./roll-tables.mjs";
+
+/**
+ * Icon for new shroomp items.
+ */
+export const SHROOMP_ICON = "icons/consumables/mushrooms/bell-spotted-red.webp";
+
+/**
+ * The endGame checkboxes that are each worth a Shroomp. The key doubles as
+ * the item's "source".
+ */
+const END_GAME_SOURCES = ["presentationBonus", "flavorBonus", "originalityBonus", "wildShroomp"];
+
+/**
+ * All shroomp items of an actor.
+ * @param {Actor} actor
+ * @returns {Item[]}
+ */
+export function getShroompItems(actor) {
+  return actor.items.filter(i => i.type === "shroomp");
+}
+
+/**
+ * Pick a name for a new Shroomp from the Shroomp Types table.
+ * @returns {Promise<string>}
+ */
+async function rollShroompName() {
+  const draw = await drawSystemTable("shroompTypes");
+  return draw?.entry.text || game.i18n.localize("TYPES.Item.shroomp");
+}
+
+/**
+ * Create a shroomp item on a restaurant.
+ *
+ * @param {Actor} actor - The restaurant
+ * @param {Object} data
+ * @param {string} [data.name] - Item name (rolled on the Shroomp Types table if empty)
+ * @param {string} [data.location] - Location key where it was earned
+ * @param {string} data.source - A key of CONFIG.DCS.shroompSources
+ * @param {string} [data.note] - Free text, e.g. who gave it
+ * @returns {Promise<Item>}
+ */
+export async function createShroomp(actor, { name, location = "", source, note = "" }) {
+  const [item] = await actor.createEmbeddedDocuments("Item", [{
+    name: name || await rollShroompName(),
+    type: "shroomp",
+    img: SHROOMP_ICON,
+    system: { location, source, note }
+  }]);
+  return item;
+}
+
+/**
+ * Create or remove the shroomp items that belong to checkboxes changed by
+ * an update. Only the touched checkboxes are looked at, so a Shroomp that
+ * was moved elsewhere isn't brought back by an unrelated update.
+ *
+ * @param {Actor} actor - The restaurant that was updated
+ * @param {Object} changed - The (expanded) changes of the update
+ * @returns {Promise<void>}
+ */
+export async function syncEarnedShroomps(actor, changed) {
+  const wanted = [];
+
+  // A challenge Shroomp counts once the challenge is completed
+  for (const [key, delta] of Object.entries(changed.system?.challenges ?? {})) {
+    if (!delta || !("earnedShroomp" in delta || "completed" in delta)) continue;
+    const challenge = actor.system.challenges?.[key];
+    wanted.push({ source: "challenge", location: key, earned: !!(challenge?.completed && challenge.earnedShroomp) });
+  }
+
+  const endGame = changed.system?.endGame ?? {};
+  for (const source of END_GAME_SOURCES) {
+    if (!(source in endGame)) continue;
+    const name = source === "wildShroomp" ? actor.system.endGame.wildShroompName : "";
+    wanted.push({ source, location: "", earned: !!actor.system.endGame[source], name });
+  }
+
+  const owned = getShroompItems(actor);
+  for (const { source, location, earned, name } of wanted) {
+    const existing = owned.find(i => i.system.source === source && i.system.location === location);
+    if (earned && !existing) await createShroomp(actor, { name, location, source });
+    else if (!earned && existing) await existing.delete();
+  }
+}
+
+/**
+ * Take a Shroomp away from a restaurant, optionally giving it to another.
+ * Used by hazard penalties and Shroomps dropped on another restaurant's
+ * sheet. Restaurants the user doesn't own are changed through the GM (see
+ * helpers/socket.mjs).
+ *
+ * @param {Actor} actor - The restaurant losing the Shroomp
+ * @param {Item} item - The shroomp item
+ * @param {Actor|null} target - The restaurant receiving it, or null if it's lost
+ * @returns {Promise<Object|null>} A record for reverting the transfer:
+ *   {item, targetActorId, targetItemId}, or null if it failed
+ */
+export async function transferShroomp(actor, item, target = null) {
+  const record = { item: item.toObject(), targetActorId: target?.id ?? null, targetItemId: null };
+
+  if (target) {
+    const data = item.toObject();
+    delete data._id;
+    data.system = { ...data.system, source: "gift", note: game.i18n.format("DCS.Shroomp.GivenBy", { name: actor.name }) };
+    data.flags = { ...data.flags, [SYSTEM_ID]: { giftFrom: actor.id } };
+
+    if (target.isOwner) {
+      const [created] = await target.createEmbeddedDocuments("Item", [data]);
+      record.targetItemId = created.id;
+    } else {
+      const result = await requestGM("giveShroomp", { sourceActorId: actor.id, actorId: target.id, data });
+      if (!result) return null;
+      record.targetItemId = result.itemId;
+    }
+  }
+
+  await item.delete();
+  return record;
+}
+
+/**
+ * Undo transferShroomp(): take the given item back from the other restaurant
+ * and restore the original item.
+ *
+ * @param {Actor} actor - The restaurant that lost the Shroomp
+ * @param {Object} record - The record returned by transferShroomp()
+ * @returns {Promise<boolean>} True if the Shroomp was restored
+ */
+export async function restoreShroomp(actor, record) {
+  if (record.targetActorId && record.targetItemId) {
+    const target = game.actors.get(record.targetActorId);
+    if (target?.isOwner) {
+      await target.items.get(record.targetItemId)?.delete();
+    } else {
+      const result = await requestGM("takeBackShroomp", {
+        sourceActorId: actor.id, actorId: record.targetActorId, itemId: record.targetItemId
+      });
+      if (!result) return false;
+    }
+  }
+  await actor.createEmbeddedDocuments("Item", [record.item], { keepId: true });
+  return true;
+}
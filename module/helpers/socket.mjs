@@ -0,0 +1,257 @@
+/**
+ * ============================================================================
+ * DEATH CAP SAUTE - GM Socket Relay
+ * ============================================================================
+ *
+ * Players can only change documents they own, and only a GM can save world
+ * settings. Some rules reach further than that: "Give a Shroomp to another
+ * player" changes someone else's restaurant, and round effects like the Moon
+ * Ladle change a world setting.
+ *
+ * For those, the player's client sends a typed request over the system socket
+ * ("system.death-cap-saute", enabled by "socket": true in system.json). The
+ * active GM's client checks the request and runs it, then sends the result
+ * back to the player who asked.
+ *
+ * USAGE:
+ *   const result = await requestGM("addRoundHazardBonus", { actorId, locationKey, amount });
+ *
+ * On a GM client the request runs straight away without the socket. If the
+ * GM refuses the request, or no GM is logged in, the player gets a warning
+ * and requestGM() resolves to null.
+ *
+ * WHO ASKED:
+ * The requesting user is the socket's sender, as reported by the server,
+ * never a user id from the message itself.
+ *
+ * ADDING A REQUEST TYPE:
+ * Add an entry to REQUEST_TYPES with:
+ * - validate(data, user): Returns an error message if the request is not
+ *   allowed, or nothing if it is. Never trust data sent by a client.
+ * - run(data, user): Does the work on the GM's client. The return value is
+ *   sent back to the requester, so keep it to plain data.
+ */
+
+import { SYSTEM_ID } from "./settings.mjs";
+import { addRoundHazardBonus } from "./round.mjs";
+import { awardWildShroomp } from "./end-game.mjs";
+import { findHazardBonusMutation } from "./mutations.mjs";
+import { getDraftState, joinDraft, pickMutation, validateDraftPick } from "./draft.mjs";
+
+/**
+ * The socket channel Foundry gives every system: "system.<system id>".
+ */
+const SOCKET_NAME = `system.${SYSTEM_ID}`;
+
+/**
+ * How long a player waits for the GM to answer, in milliseconds. Generous,
+ * because some requests ask the GM to make a choice (e.g. break a tie).
+ */
+const REQUEST_TIMEOUT = 60000;
+
+/**
+ * Requests waiting for an answer from the GM, by request id.
+ * @type {Map<string, {resolve: Function, timeout: number}>}
+ */
+const pending = new Map();
+
+/**
+ * Look up a restaurant actor by id.
+ * @param {string} id
+ * @returns {Actor|null}
+ */
+function getRestaurant(id) {
+  const actor = game.actors.get(id);
+  return actor?.type === "restaurant" ? actor : null;
+}
+
+/**
+ * The request types the GM will run for players.
+ */
+export const REQUEST_TYPES = {
+
+  /**
+   * Curse of the Moon Ladle: add to the shared hazard bonus for the round.
+   * The requester must own a restaurant that can use the Curse (or borrow
+   * it) in this challenge. The Mutation is marked as used here, so the same
+   * request can't be sent twice.
+   */
+  addRoundHazardBonus: {
+    validate({ actorId, locationKey, amount }, user) {
+      const actor = getRestaurant(actorId);
+      if (!actor?.testUserPermission(user, "OWNER")) return game.i18n.localize("DCS.Socket.NotYourRestaurant");
+      if (!CONFIG.DCS.locations[locationKey]) return game.i18n.format("DCS.Socket.UnknownLocation", { location: locationKey });
+      if (!Number.isInteger(amount) || amount < 1 || amount > 6) return game.i18n.localize("DCS.Socket.InvalidHazardBonus");
+      if (!findHazardBonusMutation(actor, locationKey, amount)) return game.i18n.localize("DCS.Socket.NoHazardBonusMutation");
+    },
+    async run({ actorId, locationKey, amount }) {
+      const actor = getRestaurant(actorId);
+      const key = findHazardBonusMutation(actor, locationKey, amount);
+      await actor.update({ [`system.challenges.${locationKey}.mutationUsed`]: key });
+      return addRoundHazardBonus(locationKey, amount, actor);
+    }
+  },
+
+  /**
+   * A hazard penalty giving a Shroomp to another restaurant, such as The
+   * Whispering Sentinel's "Give a Shroomp to another player". The requester
+   * must own the giving restaurant, and the item must be marked as its gift.
+   */
+  giveShroomp: {
+    validate({ sourceActorId, actorId, data }, user) {
+      const source = getRestaurant(sourceActorId);
+      if (!source?.testUserPermission(user, "OWNER")) return game.i18n.localize("DCS.Socket.NotGiver");
+      if (!getRestaurant(actorId) || actorId === sourceActorId) return game.i18n.localize("DCS.Socket.UnknownRestaurant");
+      if (data?.type !== "shroomp" || data.flags?.[SYSTEM_ID]?.giftFrom !== sourceActorId) return game.i18n.localize("DCS.Socket.OnlyShroomps");
+    },
+    async run({ actorId, data }) {
+      const [item] = await getRestaurant(actorId).createEmbeddedDocuments("Item", [data]);
+      return { itemId: item.id };
+    }
+  },
+
+  /** Reverting a penalty: take back a Shroomp the requester's restaurant gave away */
+  takeBackShroomp: {
+    validate({ sourceActorId, actorId, itemId }, user) {
+      const source = getRestaurant(sourceActorId);
+      if (!source?.testUserPermission(user, "OWNER")) return game.i18n.localize("DCS.Socket.NotTaker");
+      const item = getRestaurant(actorId)?.items.get(itemId);
+      if (!item) return game.i18n.localize("DCS.Socket.ShroompGone");
+      if (item.type !== "shroomp" || item.getFlag(SYSTEM_ID, "giftFrom") !== sourceActorId) {
+        return game.i18n.localize("DCS.Socket.NotYourGift");
+      }
+    },
+    async run({ actorId, itemId }) {
+      await getRestaurant(actorId).items.get(itemId).delete();
+      return { itemId };
+    }
+  },
+
+  /** Award a rolled Wild Shroomp (the GM settles any tie) */
+  awardWildShroomp: {
+    validate({ roll, name }) {
+      if (!CONFIG.DCS.wildShroompTable.some(e => e.roll === roll)) return game.i18n.localize("DCS.Socket.UnknownWildShroomp");
+      if (name !== undefined && typeof name !== "string") return game.i18n.localize("DCS.Socket.InvalidWildShroompName");
+    },
+    async run({ roll, name }) {
+      // The name may have been changed in the Wild Shroomps table
+      const entry = { ...CONFIG.DCS.wildShroompTable.find(e => e.roll === roll) };
+      if (name) entry.name = name;
+      const winner = await awardWildShroomp(entry);
+      return { winner: winner?.name ?? null };
+    }
+  },
+
+  /** Put the requester's restaurant in the Mutation draft lobby (see helpers/draft.mjs) */
+  joinDraft: {
+    validate({ actorId }, user) {
+      if (!getRestaurant(actorId)?.testUserPermission(user, "OWNER")) return game.i18n.localize("DCS.Socket.NotYourRestaurant");
+      if (getDraftState().status === "running") return game.i18n.localize("DCS.Draft.AlreadyRunning");
+    },
+    async run({ actorId }) {
+      return joinDraft(getRestaurant(actorId));
+    }
+  },
+
+  /** Pick a Mutation from the draft pool on the requester's turn */
+  draftPick: {
+    validate({ actorId, key }, user) {
+      const actor = getRestaurant(actorId);
+      if (!actor?.testUserPermission(user, "OWNER")) return game.i18n.localize("DCS.Socket.NotYourRestaurant");
+      return validateDraftPick(actor, key);
+    },
+    async run({ actorId, key }) {
+      return pickMutation(getRestaurant(actorId), key);
+    }
+  }
+};
+
+/**
+ * Ask the GM to run a request, or run it directly when we are the GM.
+ *
+ * @param {string} type - A key of REQUEST_TYPES
+ * @param {Object} data - The request data
+ * @returns {Promise<*|null>} The result of the request, or null if it failed
+ */
+export async function requestGM(type, data = {}) {
+  if (game.user.isGM) return executeRequest(type, data, game.user);
+
+  if (!game.users.activeGM) {
+    ui.notifications.warn(game.i18n.localize("DCS.Socket.NoGM"));
+    return null;
+  }
+
+  const id = foundry.utils.randomID();
+  return new Promise(resolve => {
+    const timeout = setTimeout(() => {
+      pending.delete(id);
+      ui.notifications.warn(game.i18n.localize("DCS.Socket.Timeout"));
+      resolve(null);
+    }, REQUEST_TIMEOUT);
+    pending.set(id, { resolve, timeout });
+    game.socket.emit(SOCKET_NAME, { action: "request", id, type, data });
+  });
+}
+
+/**
+ * Check and run a request. Errors become a warning for the user who asked.
+ *
+ * @param {string} type - A key of REQUEST_TYPES
+ * @param {Object} data - The request data
+ * @param {User} user - The user who made the request
+ * @returns {Promise<*|null>} The result, or null if refused
+ */
+async function executeRequest(type, data, user) {
+  const request = REQUEST_TYPES[type];
+  const error = request ? request.validate(data, user) : game.i18n.format("DCS.Socket.UnknownRequest", { type });
+  if (error) {
+    if (user.isSelf) ui.notifications.warn(error);
+    else throw new Error(error);
+    return null;
+  }
+  return request.run(data, user);
+}
+
+/**
+ * Handle a socket message: requests on the active GM's client, responses on
+ * the client that sent the request.
+ *
+ * @param {Object} message - {action, id, type, data} or {action, id, userId, ok, result, error}
+ * @param {string} senderId - The id of the user who sent it, from the server
+ */
+async function onSocketMessage(message, senderId) {
+  if (message?.action === "request") {
+    // Only one GM runs each request, even with several GMs logged in
+    if (!game.users.activeGM?.isSelf) return;
+    const user = game.users.get(senderId);
+    if (!user) return;
+
+    // userId only routes the response back to the requester
+    const response = { action: "response", id: message.id, userId: user.id };
+    try {
+      response.result = await executeRequest(message.type, message.data, user);
+      response.ok = true;
+    } catch (err) {
+      response.ok = false;
+      response.error = err.message;
+    }
+    game.socket.emit(SOCKET_NAME, response);
+  }
+
+  // Only a GM answers requests
+  else if (message?.action === "response" && message.userId === game.user.id && game.users.get(senderId)?.isGM) {
+    const request = pending.get(message.id);
+    if (!request) return;
+    pending.delete(message.id);
+    clearTimeout(request.timeout);
+    if (!message.ok) ui.notifications.warn(message.error);
+    request.resolve(message.ok ? message.result : null);
+  }
+}
+
+/**
+ * Start listening on the system socket. Called from the "ready" hook.
+ */
+export function registerSocket() {
+  game.socket.on(SOCKET_NAME, (message, senderId) => onSocketMessage(message, senderId));
+}
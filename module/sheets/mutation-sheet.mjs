@@ -0,0 +1,110 @@
+/**
+ * ============================================================================
+ * DEATH CAP SAUTE - Mutation Sheet Class (ApplicationV2)
+ * ============================================================================
+ *
+ * The sheet for "mutation" Items: name, icon, rules text and the effect the
+ * mutation engine runs (helpers/mutations.mjs). Only the options the chosen
+ * effect type reads are shown.
+ */
+
+import { MUTATION_EFFECTS } from "../helpers/mutations.mjs";
+import { MUTATION_ICON } from "../helpers/mutation-items.mjs";
+
+const { ItemSheetV2 } = foundry.applications.sheets;
+const { HandlebarsApplicationMixin } = foundry.applications.api;
+
+/**
+ * Labels and hints for the effect options (translation keys).
+ */
+const EFFECT_OPTIONS = {
+  amount: { label: "DCS.MutationSheet.Amount", hint: "DCS.MutationSheet.AmountHint" },
+  threshold: { label: "DCS.MutationSheet.Threshold", hint: "DCS.MutationSheet.ThresholdHint" }
+};
+
+export class MutationSheet extends HandlebarsApplicationMixin(ItemSheetV2) {
+
+  static DEFAULT_OPTIONS = {
+    classes: ["death-cap-saute", "sheet", "item", "mutation"],
+    position: {
+      width: 460,
+      height: "auto"
+    },
+    window: {
+      resizable: true
+    },
+    actions: {
+      editImage: MutationSheet.#onEditImage
+    },
+    form: {
+      submitOnChange: true
+    }
+  };
+
+  static PARTS = {
+    sheet: {
+      template: "systems/death-cap-saute/templates/item/mutation-sheet.hbs"
+    }
+  };
+
+  /**
+   * The window title for the application.
+   * @returns {string}
+   */
+  get title() {
+    return this.item.name || game.i18n.localize("TYPES.Item.mutation");
+  }
+
+  /**
+   * Prepare the data context for rendering.
+   *
+   * @param {object} options - Rendering options
+   * @returns {Promise<object>} The context object for the template
+   */
+  async _prepareContext(options) {
+    const context = await super._prepareContext(options);
+    const effect = this.item.system.effect ?? {};
+    context.item = this.item;
+    context.system = this.item.system;
+    context.editable = this.isEditable;
+    context.img = this.item.img || MUTATION_ICON;
+    // Team members point at their Mutation by key, so it can't change once
+    // the Mutation belongs to a restaurant
+    context.keyLocked = !!this.item.parent;
+
+    context.effectTypes = Object.entries(MUTATION_EFFECTS).map(([key, data]) => ({
+      key,
+      label: game.i18n.localize(data.label),
+      selected: key === effect.type
+    }));
+    context.effectOptions = (MUTATION_EFFECTS[effect.type]?.options ?? []).map(name => ({
+      name,
+      label: game.i18n.localize(EFFECT_OPTIONS[name]?.label ?? name),
+      hint: game.i18n.localize(EFFECT_OPTIONS[name]?.hint ?? ""),
+      value: effect[name] ?? ""
+    }));
+
+    // Without an effect the Mutation can still be assigned, but "Use
+    // Mutation" has nothing to run - the table resolves it by hand
+    context.manualOnly = !MUTATION_EFFECTS[effect.type];
+    return context;
+  }
+
+  /**
+   * Handle clicking the image to change it.
+   * @param {PointerEvent} event - The click event
+   * @param {HTMLElement} target - The element that triggered the action
+   */
+  static async #onEditImage(event, target) {
+    event.preventDefault();
+    if (!this.isEditable) return;
+    const fp = new FilePicker({
+      type: "image",
+      current: this.item.img,
+      callback: async (path) => {
+        await this.item.update({ img: path });
+      }
+    });
+    fp.render(true);
+  }
+}
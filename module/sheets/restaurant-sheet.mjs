@@ -14,9 +14,30 @@
  * - Event handling uses native DOM instead of jQuery
  */
 
+import { DiceAssignmentDialog } from "../apps/dice-assignment.mjs";
+import { getRollModeFromEvent } from "../helpers/chat-cards.mjs";
+import { findHazardEntry } from "../helpers/hazards.mjs";
+import { getRoundHazardBonus } from "../helpers/round.mjs";
+import { getLocationOrder } from "../helpers/locations.mjs";
+import { awardCategoryBonuses } from "../helpers/end-game.mjs";
+import { createShroomp, getShroompItems, transferShroomp } from "../helpers/shroomps.mjs";
+import { assignMutation, getMutationPack, MUTATION_ICON, removeUnusedMutations } from "../helpers/mutation-items.mjs";
+import { generateName } from "../helpers/names.mjs";
+
 const { ActorSheetV2 } = foundry.applications.sheets;
 const { HandlebarsApplicationMixin } = foundry.applications.api;
 
+/**
+ * Read the data of a drop event. v13 moved TextEditor under
+ * foundry.applications.ux; the global one is deprecated there.
+ * @param {DragEvent} event - The drop event
+ * @returns {Object} The dropped data
+ */
+function getDragEventData(event) {
+  const editor = foundry.applications.ux?.TextEditor?.implementation ?? TextEditor;
+  return editor.getDragEventData(event);
+}
+
 /**
  * RestaurantSheet - The character sheet for restaurant actors.
  *
@@ -51,13 +72,25 @@ export class RestaurantSheet extends HandlebarsApplicationMixin(ActorSheetV2) {
     // Actions define event handlers for elements with data-action attributes
     actions: {
       rollChallengeDice: RestaurantSheet.#onRollChallengeDice,
+      assignDice: RestaurantSheet.#onAssignDice,
       rollShroompTable: RestaurantSheet.#onRollShroompTable,
       rollHazardTable: RestaurantSheet.#onRollHazardTable,
       rollWildShroomp: RestaurantSheet.#onRollWildShroomp,
+      awardBonuses: RestaurantSheet.#onAwardBonuses,
       rollSingleDie: RestaurantSheet.#onRollSingleDie,
       introduceLocation: RestaurantSheet.#onIntroduceLocation,
       killMember: RestaurantSheet.#onKillMember,
+      useMutation: RestaurantSheet.#onUseMutation,
+      applyPenalty: RestaurantSheet.#onApplyPenalty,
+      revertPenalty: RestaurantSheet.#onRevertPenalty,
       reviveMember: RestaurantSheet.#onReviveMember,
+      rollName: RestaurantSheet.#onRollName,
+      addShroomp: RestaurantSheet.#onAddShroomp,
+      openShroomp: RestaurantSheet.#onOpenShroomp,
+      deleteShroomp: RestaurantSheet.#onDeleteShroomp,
+      openMutation: RestaurantSheet.#onOpenMutation,
+      clearMutation: RestaurantSheet.#onClearMutation,
+      browseMutations: RestaurantSheet.#onBrowseMutations,
       editImage: RestaurantSheet.#onEditImage
     },
 
@@ -95,7 +128,7 @@ export class RestaurantSheet extends HandlebarsApplicationMixin(ActorSheetV2) {
    * @returns {string}
    */
   get title() {
-    return this.actor.name || "Restaurant";
+    return this.actor.name || game.i18n.localize("TYPES.Actor.restaurant");
   }
 
   /**
@@ -109,14 +142,12 @@ export class RestaurantSheet extends HandlebarsApplicationMixin(ActorSheetV2) {
     // Get base context from parent class
     const context = await super._prepareContext(options);
 
-    // Get a clean copy of the actor's data
-    const actorData = this.actor.toObject(false);
-
     // Add the actor reference for template access (V2 doesn't include this by default)
     context.actor = this.actor;
 
-    // Add the system data to context for easy access in templates
-    context.system = actorData.system;
+    // Add the system data to context for easy access in templates. This is
+    // the prepared RestaurantData, so derived values like totals are included.
+    context.system = this.actor.system;
 
     // Add our game configuration so templates can access mutations, locations, etc.
     context.config = CONFIG.DCS;
@@ -124,26 +155,57 @@ export class RestaurantSheet extends HandlebarsApplicationMixin(ActorSheetV2) {
     // Flag to check if the sheet is editable
     context.editable = this.isEditable;
 
+    // Some end-game actions change every restaurant and are GM only
+    context.isGM = game.user.isGM;
+
     // -------------------------------------------------------------------------
-    // MUTATION OPTIONS
+    // MUTATIONS
     // -------------------------------------------------------------------------
-    context.mutationOptions = Object.entries(CONFIG.DCS.mutations).map(([key, data]) => ({
-      key,
-      label: data.label,
-      description: data.description
-    }));
+    // Each team member's Mutation, read from the restaurant's mutation items
+    // (by index, to match system.teamMembers)
+    context.memberMutations = this.actor._teamMembersArray.map(member => {
+      const mutation = this.actor.getMutation(member.mutation);
+      return mutation && { ...mutation, img: mutation.img ?? MUTATION_ICON, itemId: mutation.item?.id ?? "" };
+    });
+    context.mutationReference = await this._prepareMutationReference();
 
     // -------------------------------------------------------------------------
     // CHALLENGE DATA
     // -------------------------------------------------------------------------
     context.challengeData = this._prepareChallengeData(context.system.challenges);
 
+    // -------------------------------------------------------------------------
+    // CURRENT CHALLENGE
+    // -------------------------------------------------------------------------
+    // Mutations and the Team tab's roll button act on the current challenge
+    const current = context.challengeData.find(c => c.key === context.system.currentChallenge);
+    context.currentChallenge = current ?? null;
+    context.mutationUsedLabel = current?.mutationUsedLabel ?? "";
+
+    // -------------------------------------------------------------------------
+    // SHROOMP COLLECTION
+    // -------------------------------------------------------------------------
+    // Each Shroomp item with where and how it was earned
+    context.shroomps = getShroompItems(this.actor).map(item => {
+      const source = CONFIG.DCS.shroompSources[item.system.source] ?? CONFIG.DCS.shroompSources.manual;
+      return {
+        id: item.id,
+        name: item.name,
+        img: item.img,
+        note: item.system.note,
+        sourceLabel: source.label,
+        sourceIcon: source.icon,
+        locationLabel: CONFIG.DCS.locations[item.system.location]?.label ?? ""
+      };
+    });
+
     // -------------------------------------------------------------------------
     // DERIVED VALUES
     // -------------------------------------------------------------------------
-    context.aliveCount = this.actor.aliveTeamMembers;
-    context.deadCount = this.actor.deadTeamMembers;
-    context.isEliminated = this.actor.isEliminated;
+    // Calculated by RestaurantData.prepareDerivedData()
+    context.aliveCount = this.actor.system.aliveTeamMembers;
+    context.deadCount = this.actor.system.deadTeamMembers;
+    context.isEliminated = this.actor.system.eliminated;
 
     // -------------------------------------------------------------------------
     // TAB CONFIGURATION
@@ -165,7 +227,7 @@ export class RestaurantSheet extends HandlebarsApplicationMixin(ActorSheetV2) {
         id: "team",
         group: "primary",
         icon: "fas fa-users",
-        label: "Team",
+        label: "DCS.Tabs.Team",
         active: false,
         cssClass: ""
       },
@@ -173,7 +235,7 @@ export class RestaurantSheet extends HandlebarsApplicationMixin(ActorSheetV2) {
         id: "challenges",
         group: "primary",
         icon: "fas fa-utensils",
-        label: "Challenges",
+        label: "DCS.Tabs.Challenges",
         active: false,
         cssClass: ""
       },
@@ -181,7 +243,7 @@ export class RestaurantSheet extends HandlebarsApplicationMixin(ActorSheetV2) {
         id: "totals",
         group: "primary",
         icon: "fas fa-trophy",
-        label: "Totals",
+        label: "DCS.Tabs.Totals",
         active: false,
         cssClass: ""
       }
@@ -197,6 +259,27 @@ export class RestaurantSheet extends HandlebarsApplicationMixin(ActorSheetV2) {
     return tabs;
   }
 
+  /**
+   * List the Mutations in the Mutations compendium for the reference on the
+   * Team tab. Entries can be dragged onto a team member card.
+   *
+   * @returns {Promise<Array<{uuid: string, name: string, img: string, description: string}>>}
+   * @private
+   */
+  async _prepareMutationReference() {
+    const pack = getMutationPack();
+    if (!pack) return [];
+    const index = await pack.getIndex({ fields: ["system.description"] });
+    return index.contents
+      .map(entry => ({
+        uuid: entry.uuid,
+        name: entry.name,
+        img: entry.img || MUTATION_ICON,
+        description: entry.system?.description ?? ""
+      }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
   /**
    * Prepare challenge data by merging stored data with location configuration.
    *
@@ -205,12 +288,21 @@ export class RestaurantSheet extends HandlebarsApplicationMixin(ActorSheetV2) {
    * @private
    */
   _prepareChallengeData(challenges) {
-    const locationOrder = ['saltyDesert', 'kingsCourt', 'onionSwamp', 'meltedMountain', 'shroompLair'];
-
-    return locationOrder.map(key => {
+    // One card per configured location, in play order (see helpers/locations.mjs)
+    return getLocationOrder().map(key => {
       const config = CONFIG.DCS.locations[key];
       const data = challenges[key] || {};
 
+      // Automatic Shroomp requirement check (null if the requirement
+      // text doesn't match an entry from this location's table)
+      const check = this.actor.checkShroompRequirement(key);
+      const shroompCheck = check && {
+        passed: check.passed,
+        reason: check.reason,
+        // Requirement met but the checkbox isn't ticked yet
+        suggested: check.passed && !data.earnedShroomp
+      };
+
       return {
         key,
         label: config.label,
@@ -219,12 +311,59 @@ export class RestaurantSheet extends HandlebarsApplicationMixin(ActorSheetV2) {
         hazardMax: config.hazardMax,
         judge: config.judge,
         ...data,
-        dishTotal: (data.presentation || 0) + (data.flavor || 0) + (data.originality || 0),
-        hazardTotal: (data.hazard1 || 0) + (data.hazard2 || 0)
+        hazardTotal: (data.hazard1 || 0) + (data.hazard2 || 0),
+        // Dice rolled but not yet assigned to the five slots
+        hasPendingDice: (data.dicePool?.length || 0) > 0,
+        mutationUsedLabel: data.mutationUsed
+          ? (this.actor.getMutation(data.mutationUsed)?.label ?? data.mutationUsed)
+          : "",
+        // "survived", "failed" or null while the hazard is unresolved
+        hazardStatus: data.hazardResolved ? (data.survivedHazard ? "survived" : "failed") : null,
+        // The failed hazard has a penalty the system knows how to apply
+        hasPenaltyEffect: !!findHazardEntry(key, data)?.effect,
+        // Shared Moon Ladle bonus for hazard rolls here this round
+        roundHazardBonus: getRoundHazardBonus(key),
+        // Event log timeline, oldest first
+        logEntries: (data.log ?? []).map(entry => ({
+          ...entry,
+          ...(CONFIG.DCS.challengeLogTypes[entry.type] ?? { label: entry.type, icon: "fas fa-circle" }),
+          timeLabel: new Date(entry.time).toLocaleString()
+        })),
+        shroompCheck
       };
     });
   }
 
+  // ==========================================================================
+  // FORM SUBMISSION
+  // ==========================================================================
+
+  /**
+   * Turn the submitted form into update data.
+   *
+   * The form only has team member name inputs (and none for dead members,
+   * whose input is disabled), submitted as "system.teamMembers.0.name".
+   * Team members are an array in RestaurantData, which is saved whole, so
+   * the submitted names are merged into a copy of the full array.
+   *
+   * @param {SubmitEvent} event - The form submission event
+   * @param {HTMLFormElement} form - The form element
+   * @param {FormDataExtended} formData - The submitted data
+   * @returns {object} The update data
+   */
+  _processFormData(event, form, formData) {
+    const submitData = super._processFormData(event, form, formData);
+    const submitted = submitData.system?.teamMembers;
+    if (submitted && !Array.isArray(submitted)) {
+      const teamMembers = foundry.utils.deepClone(this.actor.system.teamMembers);
+      for (const [index, changes] of Object.entries(submitted)) {
+        if (teamMembers[index]) Object.assign(teamMembers[index], changes);
+      }
+      submitData.system.teamMembers = teamMembers;
+    }
+    return submitData;
+  }
+
   // ==========================================================================
   // RENDERING
   // ==========================================================================
@@ -239,12 +378,35 @@ export class RestaurantSheet extends HandlebarsApplicationMixin(ActorSheetV2) {
    */
   _onRender(context, options) {
     super._onRender(context, options);
+    const html = this.element;
+
+    // Shroomps can be dragged to other sheets even from a read-only sheet,
+    // and dropped on one to give them away; the drop checks whether the user
+    // may move them
+    html.querySelectorAll('.shroomp-item').forEach(li => {
+      li.addEventListener('dragstart', this._onDragShroomp.bind(this));
+    });
+    const dropZone = html.querySelector('[data-drop-zone="shroomp"]');
+    dropZone?.addEventListener('dragover', event => event.preventDefault());
+    dropZone?.addEventListener('drop', this._onDropShroomp.bind(this));
 
     // Only add interactive listeners if the sheet is editable
     if (!this.isEditable) return;
 
+    // Dropping a Mutation on a team member card assigns it
+    html.querySelectorAll('.team-member').forEach(card => {
+      card.addEventListener('dragover', event => event.preventDefault());
+      card.addEventListener('drop', this._onDropMutation.bind(this));
+    });
+
+    // Mutations from the reference list can be dragged onto a card
+    html.querySelectorAll('.mutation-ref[data-uuid]').forEach(entry => {
+      entry.addEventListener('dragstart', event => {
+        event.dataTransfer.setData("text/plain", JSON.stringify({ type: "Item", uuid: entry.dataset.uuid }));
+      });
+    });
+
     // Set up checkbox change handlers (these need special handling)
-    const html = this.element;
 
     // Shroomp checkbox toggles
     html.querySelectorAll('.shroomp-checkbox').forEach(checkbox => {
@@ -294,16 +456,61 @@ export class RestaurantSheet extends HandlebarsApplicationMixin(ActorSheetV2) {
   /**
    * In V2, actions are static methods called with the event and target.
    * The 'this' context is bound to the application instance automatically.
+   *
+   * Roll buttons read the modifier keys of the click to pick the roll mode:
+   * Shift for a private GM roll, Ctrl for a blind roll and Alt for a self
+   * roll (see getRollModeFromEvent in helpers/chat-cards.mjs).
    */
 
   /**
    * Handle clicking the "Roll 5d6 (Challenge Dice)" button.
+   * Buttons on a challenge card carry data-location; the Team tab button
+   * rolls for the current challenge. The assignment dialog opens after a
+   * public roll; hidden dice are assigned from their chat card.
    * @param {PointerEvent} event - The click event
    * @param {HTMLElement} target - The element that triggered the action
    */
   static async #onRollChallengeDice(event, target) {
     event.preventDefault();
-    await this.actor.rollChallengeDice();
+    const location = target.dataset.location || this.actor.system.currentChallenge;
+    const result = await this.actor.rollChallengeDice(location, { rollMode: getRollModeFromEvent(event) });
+    if (result && !result.pending) DiceAssignmentDialog.open(this.actor, location);
+  }
+
+  /**
+   * Handle clicking "Assign Dice" to (re)open the assignment dialog for
+   * dice that were rolled but not yet assigned.
+   * @param {PointerEvent} event - The click event
+   * @param {HTMLElement} target - The element that triggered the action
+   */
+  static async #onAssignDice(event, target) {
+    event.preventDefault();
+    DiceAssignmentDialog.open(this.actor, target.dataset.location);
+  }
+
+  /**
+   * Handle clicking "Apply Penalty" for a failed hazard.
+   * @param {PointerEvent} event - The click event
+   * @param {HTMLElement} target - The element that triggered the action
+   */
+  static async #onApplyPenalty(event, target) {
+    event.preventDefault();
+    await this.actor.applyHazardPenalty(target.dataset.location);
+  }
+
+  /**
+   * Handle clicking "Revert" to undo an applied hazard penalty.
+   * @param {PointerEvent} event - The click event
+   * @param {HTMLElement} target - The element that triggered the action
+   */
+  static async #onRevertPenalty(event, target) {
+    event.preventDefault();
+    const confirmed = await foundry.applications.api.DialogV2.confirm({
+      window: { title: game.i18n.localize("DCS.Sheet.RevertPenalty") },
+      content: `<p>${game.i18n.localize("DCS.Sheet.RevertPenaltyConfirm")}</p>`,
+      rejectClose: false
+    });
+    if (confirmed) await this.actor.revertHazardPenalty(target.dataset.location);
   }
 
   /**
@@ -314,7 +521,7 @@ export class RestaurantSheet extends HandlebarsApplicationMixin(ActorSheetV2) {
   static async #onRollShroompTable(event, target) {
     event.preventDefault();
     const location = target.dataset.location;
-    await this.actor.rollShroompTable(location);
+    await this.actor.rollShroompTable(location, { rollMode: getRollModeFromEvent(event) });
   }
 
   /**
@@ -325,7 +532,7 @@ export class RestaurantSheet extends HandlebarsApplicationMixin(ActorSheetV2) {
   static async #onRollHazardTable(event, target) {
     event.preventDefault();
     const location = target.dataset.location;
-    await this.actor.rollHazardTable(location);
+    await this.actor.rollHazardTable(location, 0, { rollMode: getRollModeFromEvent(event) });
   }
 
   /**
@@ -335,7 +542,18 @@ export class RestaurantSheet extends HandlebarsApplicationMixin(ActorSheetV2) {
    */
   static async #onRollWildShroomp(event, target) {
     event.preventDefault();
-    await this.actor.rollWildShroomp();
+    await this.actor.rollWildShroomp({ rollMode: getRollModeFromEvent(event) });
+  }
+
+  /**
+   * Handle clicking "Award Bonuses" (GM): compare every restaurant's totals
+   * and tick the category bonuses for the leaders.
+   * @param {PointerEvent} event - The click event
+   * @param {HTMLElement} target - The element that triggered the action
+   */
+  static async #onAwardBonuses(event, target) {
+    event.preventDefault();
+    await awardCategoryBonuses();
   }
 
   /**
@@ -345,8 +563,8 @@ export class RestaurantSheet extends HandlebarsApplicationMixin(ActorSheetV2) {
    */
   static async #onRollSingleDie(event, target) {
     event.preventDefault();
-    const purpose = target.dataset.purpose || "Mutation Roll";
-    await this.actor.rollSingleDie(purpose);
+    const purpose = target.dataset.purpose || game.i18n.localize("DCS.Sheet.MutationRoll");
+    await this.actor.rollSingleDie(purpose, { rollMode: getRollModeFromEvent(event) });
   }
 
   /**
@@ -371,8 +589,9 @@ export class RestaurantSheet extends HandlebarsApplicationMixin(ActorSheetV2) {
     const member = this.actor.system.teamMembers[index];
 
     const confirmed = await foundry.applications.api.DialogV2.confirm({
-      window: { title: "Kill Team Member" },
-      content: `<p>Are you sure ${member.name || "this team member"} should die?</p><p>Their mutation will no longer be available.</p>`,
+      window: { title: game.i18n.localize("DCS.Sheet.KillMember") },
+      content: `<p>${game.i18n.format("DCS.Sheet.KillMemberConfirm", { name: Handlebars.escapeExpression(member.name || game.i18n.localize("DCS.Sheet.ThisMember")) })}</p>`
+        + `<p>${game.i18n.localize("DCS.Sheet.KillMemberHint")}</p>`,
       yes: { default: true }
     });
 
@@ -381,6 +600,18 @@ export class RestaurantSheet extends HandlebarsApplicationMixin(ActorSheetV2) {
     }
   }
 
+  /**
+   * Handle clicking "Use Mutation" on a team member card.
+   * The actor enforces the rules (alive, once per challenge, dice pending).
+   * @param {PointerEvent} event - The click event
+   * @param {HTMLElement} target - The element that triggered the action
+   */
+  static async #onUseMutation(event, target) {
+    event.preventDefault();
+    const index = parseInt(target.dataset.index);
+    await this.actor.useMutation(index);
+  }
+
   /**
    * Handle clicking the "Revive" button for a dead team member.
    * @param {PointerEvent} event - The click event
@@ -398,6 +629,112 @@ export class RestaurantSheet extends HandlebarsApplicationMixin(ActorSheetV2) {
     }
   }
 
+  /**
+   * Handle clicking the dice next to a name: roll a random restaurant name,
+   * or a chef name if the button has a data-index. Chef names already on
+   * the team are avoided.
+   * @param {PointerEvent} event - The click event
+   * @param {HTMLElement} target - The element that triggered the action
+   */
+  static async #onRollName(event, target) {
+    event.preventDefault();
+    if (target.dataset.index === undefined) {
+      const name = await generateName("restaurant");
+      if (name) await this.actor.update({ name });
+      return;
+    }
+
+    const index = parseInt(target.dataset.index);
+    const teamMembers = foundry.utils.deepClone(this.actor.system.teamMembers);
+    if (!teamMembers[index]) return;
+    const name = await generateName("chef", { exclude: teamMembers.map(m => m.name) });
+    if (!name) return;
+    teamMembers[index].name = name;
+    await this.actor.update({ "system.teamMembers": teamMembers });
+  }
+
+  /**
+   * Handle clicking "+" in the Shroomp Collection to add a Shroomp by hand.
+   * @param {PointerEvent} event - The click event
+   * @param {HTMLElement} target - The element that triggered the action
+   */
+  static async #onAddShroomp(event, target) {
+    event.preventDefault();
+    const item = await createShroomp(this.actor, { source: "manual" });
+    item?.sheet.render(true);
+  }
+
+  /**
+   * Handle clicking a Shroomp's name to open its item sheet.
+   * @param {PointerEvent} event - The click event
+   * @param {HTMLElement} target - The element that triggered the action
+   */
+  static async #onOpenShroomp(event, target) {
+    event.preventDefault();
+    this.actor.items.get(target.dataset.itemId)?.sheet.render(true);
+  }
+
+  /**
+   * Handle clicking the trash icon on a Shroomp.
+   * @param {PointerEvent} event - The click event
+   * @param {HTMLElement} target - The element that triggered the action
+   */
+  static async #onDeleteShroomp(event, target) {
+    event.preventDefault();
+    const item = this.actor.items.get(target.dataset.itemId);
+    if (!item) return;
+
+    const confirmed = await foundry.applications.api.DialogV2.confirm({
+      window: { title: game.i18n.localize("DCS.Sheet.RemoveShroomp") },
+      content: `<p>${game.i18n.format("DCS.Sheet.RemoveShroompConfirm", {
+        item: Handlebars.escapeExpression(item.name),
+        actor: Handlebars.escapeExpression(this.actor.name)
+      })}</p>`,
+      rejectClose: false
+    });
+    if (confirmed) await item.delete();
+  }
+
+  /**
+   * Handle clicking a team member's Mutation to open its item sheet.
+   * @param {PointerEvent} event - The click event
+   * @param {HTMLElement} target - The element that triggered the action
+   */
+  static async #onOpenMutation(event, target) {
+    event.preventDefault();
+    this.actor.items.get(target.dataset.itemId)?.sheet.render(true);
+  }
+
+  /**
+   * Handle clicking the "x" next to a team member's Mutation to remove it.
+   * @param {PointerEvent} event - The click event
+   * @param {HTMLElement} target - The element that triggered the action
+   */
+  static async #onClearMutation(event, target) {
+    event.preventDefault();
+    const index = parseInt(target.dataset.index);
+    const teamMembers = foundry.utils.deepClone(this.actor._teamMembersArray);
+    if (!teamMembers[index]) return;
+    teamMembers[index].mutation = "";
+    await this.actor.update({ "system.teamMembers": teamMembers });
+    await removeUnusedMutations(this.actor);
+  }
+
+  /**
+   * Handle clicking "Browse Mutations" to open the Mutations compendium.
+   * @param {PointerEvent} event - The click event
+   * @param {HTMLElement} target - The element that triggered the action
+   */
+  static async #onBrowseMutations(event, target) {
+    event.preventDefault();
+    const pack = getMutationPack();
+    if (!pack) {
+      ui.notifications.warn(game.i18n.localize("DCS.Notify.NoMutationPack"));
+      return;
+    }
+    pack.render(true);
+  }
+
   /**
    * Handle clicking the profile image to change it.
    * Opens Foundry's file picker to select a new image.
@@ -424,6 +761,75 @@ export class RestaurantSheet extends HandlebarsApplicationMixin(ActorSheetV2) {
    * (like checkbox change events that aren't click actions).
    */
 
+  /**
+   * Start dragging a Shroomp from the collection.
+   * @param {DragEvent} event - The dragstart event
+   */
+  _onDragShroomp(event) {
+    const item = this.actor.items.get(event.currentTarget.dataset.itemId);
+    if (!item) return;
+    event.dataTransfer.setData("text/plain", JSON.stringify(item.toDragData()));
+  }
+
+  /**
+   * Handle a Mutation dropped on a team member card.
+   * @param {DragEvent} event - The drop event
+   */
+  async _onDropMutation(event) {
+    event.preventDefault();
+    event.stopPropagation();
+
+    const data = getDragEventData(event);
+    if (data.type !== "Item") return;
+    const item = await Item.implementation.fromDropData(data);
+    if (item?.type !== "mutation") {
+      ui.notifications.warn(game.i18n.localize("DCS.Notify.DropMutationOnly"));
+      return;
+    }
+    const index = parseInt(event.currentTarget.dataset.index);
+    await assignMutation(this.actor, index, item);
+  }
+
+  /**
+   * Handle a Shroomp dropped on the collection.
+   * A Shroomp from another restaurant is given to this one (the user must
+   * own the giver). This restaurant doesn't have to be theirs: the gift goes
+   * through the GM (see transferShroomp). One from the Items sidebar or a
+   * compendium is copied, on the user's own restaurants only.
+   * @param {DragEvent} event - The drop event
+   */
+  async _onDropShroomp(event) {
+    event.preventDefault();
+    // Keep the sheet's own drop handling from creating the item a second time
+    event.stopPropagation();
+
+    const data = getDragEventData(event);
+    if (data.type !== "Item") return;
+    const item = await Item.implementation.fromDropData(data);
+    if (item?.type !== "shroomp") {
+      ui.notifications.warn(game.i18n.localize("DCS.Notify.DropShroompOnly"));
+      return;
+    }
+
+    const source = item.parent;
+    if (source === this.actor) return;
+
+    if (source) {
+      if (!source.isOwner) {
+        ui.notifications.warn(game.i18n.format("DCS.Notify.NotSourceOwner", { name: source.name }));
+        return;
+      }
+      // Counted as a gift, so the checkboxes of either restaurant don't
+      // mistake it for the Shroomp they earned themselves
+      await transferShroomp(source, item, this.actor);
+    } else if (this.isEditable) {
+      const itemData = item.toObject();
+      delete itemData._id;
+      itemData.system.source = "manual";
+      await this.actor.createEmbeddedDocuments("Item", [itemData]);
+    }
+  }
+
   /**
    * Handle toggling the "Earned Shroomp" checkbox.
    * @param {Event} event - The change event
@@ -437,12 +843,12 @@ export class RestaurantSheet extends HandlebarsApplicationMixin(ActorSheetV2) {
 
   /**
    * Handle toggling the "Challenge Complete" checkbox.
+   * Completing a challenge also runs the automatic Shroomp check.
    * @param {Event} event - The change event
    */
   async _onToggleChallengeComplete(event) {
     const checkbox = event.currentTarget;
     const location = checkbox.dataset.location;
-    const path = `system.challenges.${location}.completed`;
-    await this.actor.update({ [path]: checkbox.checked });
+    await this.actor.completeChallenge(location, checkbox.checked);
   }
 }
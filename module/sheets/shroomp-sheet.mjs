@@ -0,0 +1,96 @@
+/**
+ * ============================================================================
+ * DEATH CAP SAUTE - Shroomp Sheet Class (ApplicationV2)
+ * ============================================================================
+ *
+ * A small sheet for "shroomp" Items: the Shroomp's name and picture, the
+ * location where it was earned and how it was earned. Shroomps are usually
+ * created by the system (see helpers/shroomps.mjs), so this is mostly for
+ * looking them up and correcting mistakes.
+ */
+
+import { SHROOMP_ICON } from "../helpers/shroomps.mjs";
+
+const { ItemSheetV2 } = foundry.applications.sheets;
+const { HandlebarsApplicationMixin } = foundry.applications.api;
+
+export class ShroompSheet extends HandlebarsApplicationMixin(ItemSheetV2) {
+
+  static DEFAULT_OPTIONS = {
+    classes: ["death-cap-saute", "sheet", "item", "shroomp"],
+    position: {
+      width: 420,
+      height: "auto"
+    },
+    window: {
+      resizable: true
+    },
+    actions: {
+      editImage: ShroompSheet.#onEditImage
+    },
+    form: {
+      submitOnChange: true
+    }
+  };
+
+  static PARTS = {
+    sheet: {
+      template: "systems/death-cap-saute/templates/item/shroomp-sheet.hbs"
+    }
+  };
+
+  /**
+   * The window title for the application.
+   * @returns {string}
+   */
+  get title() {
+    return this.item.name || game.i18n.localize("TYPES.Item.shroomp");
+  }
+
+  /**
+   * Prepare the data context for rendering.
+   *
+   * @param {object} options - Rendering options
+   * @returns {Promise<object>} The context object for the template
+   */
+  async _prepareContext(options) {
+    const context = await super._prepareContext(options);
+    context.item = this.item;
+    context.system = this.item.system;
+    context.editable = this.isEditable;
+    context.img = this.item.img || SHROOMP_ICON;
+
+    context.locationOptions = Object.entries(CONFIG.DCS.locations).map(([key, data]) => ({
+      key,
+      label: data.label,
+      selected: key === this.item.system.location
+    }));
+    context.sourceOptions = Object.entries(CONFIG.DCS.shroompSources).map(([key, data]) => ({
+      key,
+      label: data.label,
+      selected: key === this.item.system.source
+    }));
+
+    // The restaurant that owns this Shroomp, if any
+    context.ownerName = this.item.parent?.name ?? "";
+    return context;
+  }
+
+  /**
+   * Handle clicking the image to change it.
+   * @param {PointerEvent} event - The click event
+   * @param {HTMLElement} target - The element that triggered the action
+   */
+  static async #onEditImage(event, target) {
+    event.preventDefault();
+    if (!this.isEditable) return;
+    const fp = new FilePicker({
+      type: "image",
+      current: this.item.img,
+      callback: async (path) => {
+        await this.item.update({ img: path });
+      }
+    });
+    fp.render(true);
+  }
+}